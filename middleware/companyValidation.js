@@ -1,3 +1,5 @@
+const { isValidGstin } = require('../utils/gst');
+
 const validateCompanyDetails = (req, res, next) => {
   try {
     const companyData = req.body;
@@ -75,6 +77,20 @@ const validateCompanyDetails = (req, res, next) => {
       }
     }
 
+    // Validate GSTIN (optional)
+    if (companyData.gstin && companyData.gstin.trim() !== '') {
+      if (!isValidGstin(companyData.gstin.toUpperCase().trim())) {
+        errors.push('Invalid GSTIN, check the number and its last character');
+      }
+    }
+    
+    // Validate state code (optional)
+    if (companyData.stateCode && companyData.stateCode.trim() !== '') {
+      if (!/^\d{2}$/.test(companyData.stateCode.trim())) {
+        errors.push('State code must be 2 digits');
+      }
+    }
+
     if (errors.length > 0) {
       return res.status(400).json({
         success: false,
@@ -105,6 +121,9 @@ const validateCompanyDetails = (req, res, next) => {
     if (companyData.signature) {
       companyData.signature = companyData.signature.trim();
     }
+    if (companyData.gstin) {
+      companyData.gstin = companyData.gstin.toUpperCase().trim();
+    }
 
     next();
   } catch (error) {
@@ -1,3 +1,6 @@
+const { UNITS } = require('../utils/units');
+const { GST_RATES } = require('../utils/gst');
+
 const validatePhoneNumber = (phoneNumber) => {
   const cleaned = phoneNumber.replace(/[^\d+]/g, '');
   return /^\+[1-9]\d{9,14}$/.test(cleaned);
@@ -158,7 +161,22 @@ const validateWhatsAppRequest = (req, res, next) => {
 };
 
 const validateItem = (req, res, next) => {
-  const { productName, category, purchasePrice, salePrice, openingStock, asOfDate, lowStockAlert } = req.body;
+  const {
+    productName,
+    category,
+    purchasePrice,
+    salePrice,
+    openingStock,
+    asOfDate,
+    lowStockAlert,
+    baseUnit,
+    alternateUnit,
+    conversionFactor,
+    hsnCode,
+    gstRate,
+    cessRate,
+    trackLots
+  } = req.body;
 
   // Check required fields
   if (!productName || !category || purchasePrice === undefined || salePrice === undefined || 
@@ -223,6 +241,66 @@ const validateItem = (req, res, next) => {
     });
   }
 
+  // Validate units (optional, defaults to bags with kg as alternate unit)
+  if (baseUnit !== undefined && !UNITS.includes(baseUnit)) {
+    return res.status(400).json({
+      success: false,
+      error: `Base unit must be one of: ${UNITS.join(', ')}`
+    });
+  }
+
+  if (alternateUnit !== undefined && alternateUnit !== null) {
+    if (!UNITS.includes(alternateUnit)) {
+      return res.status(400).json({
+        success: false,
+        error: `Alternate unit must be one of: ${UNITS.join(', ')}`
+      });
+    }
+
+    if (baseUnit !== undefined && alternateUnit === baseUnit) {
+      return res.status(400).json({
+        success: false,
+        error: 'Alternate unit must be different from the base unit'
+      });
+    }
+  }
+
+  if (conversionFactor !== undefined && (typeof conversionFactor !== 'number' || conversionFactor <= 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Conversion factor must be a positive number'
+    });
+  }
+
+  // Validate GST details (optional)
+  if (hsnCode !== undefined && hsnCode !== null && hsnCode !== '' && !/^\d{4,8}$/.test(String(hsnCode))) {
+    return res.status(400).json({
+      success: false,
+      error: 'HSN/SAC code must be 4 to 8 digits'
+    });
+  }
+
+  if (gstRate !== undefined && !GST_RATES.includes(gstRate)) {
+    return res.status(400).json({
+      success: false,
+      error: `GST rate must be one of: ${GST_RATES.join(', ')}`
+    });
+  }
+
+  if (cessRate !== undefined && (typeof cessRate !== 'number' || cessRate < 0)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Cess rate must be a non-negative number'
+    });
+  }
+
+  if (trackLots !== undefined && typeof trackLots !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      error: 'Track lots must be true or false'
+    });
+  }
+
   // Sanitize product name
   req.body.productName = productName.trim();
   
@@ -1,4 +1,61 @@
 const mongoose = require('mongoose');
+const { getSupplyType, isValidGstin } = require('../utils/gst');
+
+// Settings for one document number series (see models/Counter.js)
+const numberSeriesSchema = new mongoose.Schema({
+  prefix: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Prefix cannot exceed 20 characters'],
+    match: [/^[A-Za-z0-9-]*$/, 'Prefix can only contain letters, digits and hyphens']
+  },
+  padding: {
+    type: Number,
+    min: [1, 'Padding must be at least 1'],
+    max: [10, 'Padding cannot exceed 10']
+  }
+}, { _id: false });
+
+// Overdue payment reminders on WhatsApp (see utils/paymentReminders.js for the defaults)
+const paymentReminderSettingsSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false
+  },
+  // Message text with placeholders like {partyName} and {balanceDue}
+  template: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Reminder template cannot exceed 1000 characters']
+  },
+  // Days past the due date before the first reminder
+  firstReminderAfterDays: {
+    type: Number,
+    min: [1, 'First reminder must be at least 1 day after the due date'],
+    max: [365, 'First reminder cannot be more than 365 days after the due date']
+  },
+  repeatEveryDays: {
+    type: Number,
+    min: [1, 'Reminders cannot repeat more than once a day'],
+    max: [365, 'Reminder interval cannot exceed 365 days']
+  },
+  // Reminders per invoice, 0 for no limit
+  maxReminders: {
+    type: Number,
+    min: [0, 'Maximum reminders cannot be negative'],
+    max: [100, 'Maximum reminders cannot exceed 100']
+  },
+  // Hour of the day (0-23, server time) from which reminders go out
+  sendHour: {
+    type: Number,
+    min: [0, 'Send hour must be between 0 and 23'],
+    max: [23, 'Send hour must be between 0 and 23']
+  },
+  // Send the party's ledger statement PDF with each reminder (needs Cloudinary)
+  attachLedger: {
+    type: Boolean
+  }
+}, { _id: false });
 
 const companySchema = new mongoose.Schema({
   businessName: {
@@ -85,6 +142,35 @@ const companySchema = new mongoose.Schema({
       },
       message: 'Invalid profile image URL format'
     }
+  },
+  gstin: {
+    type: String,
+    required: false,
+    trim: true,
+    uppercase: true,
+    validate: {
+      validator: function(v) {
+        if (!v) return true; // Optional field
+        return isValidGstin(v);
+      },
+      message: 'Invalid GSTIN, check the number and its last character'
+    }
+  },
+  // Two digit GST state code, decides CGST + SGST vs IGST
+  stateCode: {
+    type: String,
+    required: false,
+    trim: true,
+    match: [/^\d{2}$/, 'State code must be 2 digits']
+  },
+  numberSeries: {
+    type: Map,
+    of: numberSeriesSchema,
+    default: {}
+  },
+  paymentReminders: {
+    type: paymentReminderSettingsSchema,
+    default: () => ({})
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt fields
@@ -108,6 +194,9 @@ companySchema.methods.getFormattedDetails = function() {
     businessDescription: this.businessDescription,
     signature: this.signature,
     profileImage: this.profileImage,
+    gstin: this.gstin,
+    stateCode: this.stateCode,
+    numberSeries: this.numberSeries,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
@@ -128,6 +217,20 @@ companySchema.statics.getDefaultDetails = function() {
   };
 };
 
+// Static method to decide the place of supply and whether CGST + SGST or IGST applies
+companySchema.statics.getSupplyDetails = async function(partyStateCode, documentType = 'sale', session = null) {
+  const company = await this.findOne().sort({ createdAt: -1 }).session(session);
+  const companyStateCode = company ? company.stateCode : undefined;
+  
+  // Sales are supplied in the party's state, purchases are received in ours
+  const placeOfSupply = documentType === 'purchase' ? companyStateCode : partyStateCode;
+  
+  return {
+    placeOfSupply: placeOfSupply || undefined,
+    supplyType: getSupplyType(companyStateCode, partyStateCode)
+  };
+};
+
 // Pre-save middleware to sanitize data
 companySchema.pre('save', function(next) {
   // Sanitize phone numbers
@@ -150,6 +253,11 @@ companySchema.pre('save', function(next) {
     this.emailId = this.emailId.toLowerCase().trim();
   }
   
+  // State code is the first two digits of the GSTIN
+  if (this.gstin && !this.stateCode) {
+    this.stateCode = this.gstin.slice(0, 2);
+  }
+  
   next();
 });
 
@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { parseDocumentDate, getFinancialYear } = require('../utils/dates');
+
+// Document number series and their default settings
+const SERIES_DEFAULTS = {
+  'sale': { prefix: 'INV', padding: 4 },
+  'purchase': { prefix: 'PUR', padding: 4 },
+  'payment-in': { prefix: 'PAY-IN', padding: 4 },
+  'payment-out': { prefix: 'PAY-OUT', padding: 4 },
+  'credit-note': { prefix: 'CN', padding: 4 },
+  'debit-note': { prefix: 'DN', padding: 4 },
+  'estimate': { prefix: 'EST', padding: 4 },
+  'purchase-order': { prefix: 'PO', padding: 4 },
+  'delivery-challan': { prefix: 'DC', padding: 4 },
+  'stock-adjustment': { prefix: 'ADJ', padding: 4 },
+  'stock-take': { prefix: 'ST', padding: 4 },
+  'stock-transfer': { prefix: 'TRF', padding: 4 },
+  'stock-lot': { prefix: 'LOT', padding: 4 }
+};
+
+// One counter per series per financial year, so numbering restarts every April
+const counterSchema = new mongoose.Schema({
+  series: {
+    type: String,
+    required: [true, 'Series is required'],
+    enum: {
+      values: Object.keys(SERIES_DEFAULTS),
+      message: 'Invalid number series'
+    }
+  },
+  financialYear: {
+    type: String,
+    required: [true, 'Financial year is required'],
+    match: [/^\d{4}-\d{2}$/, 'Financial year must be in YYYY-YY format']
+  },
+  seq: {
+    type: Number,
+    default: 0,
+    min: [0, 'Sequence cannot be negative']
+  }
+}, {
+  timestamps: true,
+  versionKey: false
+});
+
+counterSchema.index({ series: 1, financialYear: 1 }, { unique: true });
+
+// Static method to atomically increment and return the next sequence value
+counterSchema.statics.nextSequence = async function(series, financialYear, session = null) {
+  const counter = await this.findOneAndUpdate(
+    { series, financialYear },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true, session }
+  );
+  
+  return counter.seq;
+};
+
+// Static method to get the prefix and padding configured for a series
+counterSchema.statics.getSeriesSettings = async function(series, session = null) {
+  const Company = require('./Company');
+  
+  const company = await Company.findOne().sort({ createdAt: -1 }).session(session);
+  const configured = company && company.numberSeries ? company.numberSeries.get(series) : null;
+  
+  return {
+    prefix: configured && configured.prefix !== undefined ? configured.prefix : SERIES_DEFAULTS[series].prefix,
+    padding: configured && configured.padding ? configured.padding : SERIES_DEFAULTS[series].padding
+  };
+};
+
+// Static method to generate the next document number, e.g. "VB/2026-27/0001"
+// Pass the document date so backdated documents land in their own financial year
+counterSchema.statics.generateNumber = async function(series, documentDate = null, session = null) {
+  if (!SERIES_DEFAULTS[series]) {
+    throw new Error(`Unknown number series: ${series}`);
+  }
+  
+  const financialYear = getFinancialYear(parseDocumentDate(documentDate) || new Date());
+  const { prefix, padding } = await this.getSeriesSettings(series, session);
+  const seq = await this.nextSequence(series, financialYear, session);
+  
+  return [prefix, financialYear, seq.toString().padStart(padding, '0')]
+    .filter(Boolean)
+    .join('/');
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+Counter.SERIES_DEFAULTS = SERIES_DEFAULTS;
+
+module.exports = Counter;
@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const { SUPPLY_TYPES, roundAmount } = require('../utils/gst');
+const { buildReturnLines, sumReturnedQuantities } = require('../utils/returns');
+const StockLot = require('./StockLot');
+
+// Returned line subdocument schema, a share of one line of the original sale
+const creditNoteItemSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: [true, 'Item ID is required']
+  },
+  itemName: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true
+  },
+  // Position of the returned line in the original sale's items
+  lineIndex: {
+    type: Number,
+    required: [true, 'Sale line is required'],
+    min: [0, 'Sale line cannot be negative']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  baseQuantity: {
+    type: Number,
+    min: [0, 'Base quantity cannot be negative']
+  },
+  // Warehouse the returned goods went into
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
+  // Lots the returned goods went back into, a share of the sale line's
+  lots: {
+    type: [StockLot.allocationSchema],
+    default: undefined
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  hsnCode: {
+    type: String,
+    trim: true
+  },
+  gstRate: {
+    type: Number,
+    default: 0
+  },
+  taxableValue: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  cessAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: [true, 'Total is required'],
+    min: [0, 'Total cannot be negative']
+  }
+}, { _id: false }); // Disable _id for subdocuments
+
+// Main CreditNote schema
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNo: {
+    type: String,
+    required: [true, 'Credit note number is required'],
+    unique: true,
+    trim: true
+  },
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: [true, 'Original sale is required']
+  },
+  invoiceNo: {
+    type: String,
+    required: [true, 'Original invoice number is required'],
+    trim: true
+  },
+  partyName: {
+    type: String,
+    required: [true, 'Party name is required'],
+    trim: true,
+    maxlength: [100, 'Party name cannot exceed 100 characters']
+  },
+  phoneNumber: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true
+  },
+  partyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Party',
+    required: false
+  },
+  items: {
+    type: [creditNoteItemSchema],
+    required: [true, 'Items are required'],
+    validate: {
+      validator: function(items) {
+        return items && items.length > 0;
+      },
+      message: 'At least one item is required'
+    }
+  },
+  placeOfSupply: {
+    type: String,
+    trim: true
+  },
+  supplyType: {
+    type: String,
+    enum: {
+      values: SUPPLY_TYPES,
+      message: 'Supply type must be either intra-state or inter-state'
+    },
+    default: 'intra-state'
+  },
+  taxableAmount: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  cessAmount: {
+    type: Number,
+    default: 0
+  },
+  totalTaxAmount: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: [true, 'Total amount is required'],
+    min: [0, 'Total amount cannot be negative']
+  },
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Date must be in MM/DD/YYYY format']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  },
+  pdfUri: {
+    type: String,
+    required: false,
+    trim: true
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields
+  versionKey: false // Removes __v field
+});
+
+// Index for better query performance
+// Note: creditNoteNo already has unique: true which creates an index
+creditNoteSchema.index({ saleId: 1 });
+creditNoteSchema.index({ partyId: 1 });
+
+// Pre-save middleware to calculate totals from the returned lines
+creditNoteSchema.pre('save', function(next) {
+  const sum = (field) => roundAmount(this.items.reduce((total, item) => total + (item[field] || 0), 0));
+
+  this.taxableAmount = sum('taxableValue');
+  this.cgstAmount = sum('cgstAmount');
+  this.sgstAmount = sum('sgstAmount');
+  this.igstAmount = sum('igstAmount');
+  this.cessAmount = sum('cessAmount');
+  this.totalTaxAmount = roundAmount(this.cgstAmount + this.sgstAmount + this.igstAmount + this.cessAmount);
+  this.totalAmount = sum('total');
+
+  next();
+});
+
+// Instance method to get formatted credit note details
+creditNoteSchema.methods.getFormattedDetails = function() {
+  return {
+    id: this._id,
+    creditNoteNo: this.creditNoteNo,
+    saleId: this.saleId,
+    invoiceNo: this.invoiceNo,
+    partyName: this.partyName,
+    phoneNumber: this.phoneNumber,
+    partyId: this.partyId,
+    items: this.items,
+    placeOfSupply: this.placeOfSupply,
+    supplyType: this.supplyType,
+    taxableAmount: this.taxableAmount,
+    cgstAmount: this.cgstAmount,
+    sgstAmount: this.sgstAmount,
+    igstAmount: this.igstAmount,
+    cessAmount: this.cessAmount,
+    totalTaxAmount: this.totalTaxAmount,
+    totalAmount: this.totalAmount,
+    date: this.date,
+    reason: this.reason,
+    pdfUri: this.pdfUri,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to generate next credit note number
+creditNoteSchema.statics.generateNextCreditNoteNumber = async function(date = null, session = null) {
+  const Counter = require('./Counter');
+  return Counter.generateNumber('credit-note', date, session);
+};
+
+// Static method to get quantities already returned per line of a sale
+creditNoteSchema.statics.getReturnedQuantities = async function(saleId, session = null) {
+  const creditNotes = await this.find({ saleId }).session(session);
+  return sumReturnedQuantities(creditNotes);
+};
+
+// Static method to build returned lines as a share of the original sale lines
+creditNoteSchema.statics.buildReturnLines = function(sale, returnItems, returnedQuantities = {}) {
+  return buildReturnLines(sale, sale.invoiceNo, returnItems, returnedQuantities);
+};
+
+const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
+
+module.exports = CreditNote;
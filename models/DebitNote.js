@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+const { SUPPLY_TYPES, roundAmount } = require('../utils/gst');
+const { buildReturnLines, sumReturnedQuantities } = require('../utils/returns');
+const StockLot = require('./StockLot');
+
+// Returned line subdocument schema, a share of one line of the original purchase
+const debitNoteItemSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: [true, 'Item ID is required']
+  },
+  itemName: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true
+  },
+  // Position of the returned line in the original purchase's items
+  lineIndex: {
+    type: Number,
+    required: [true, 'Purchase line is required'],
+    min: [0, 'Purchase line cannot be negative']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  baseQuantity: {
+    type: Number,
+    min: [0, 'Base quantity cannot be negative']
+  },
+  // Warehouse the returned goods left from
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
+  // Lots the returned goods were taken from, a share of the purchase line's
+  lots: {
+    type: [StockLot.allocationSchema],
+    default: undefined
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  hsnCode: {
+    type: String,
+    trim: true
+  },
+  gstRate: {
+    type: Number,
+    default: 0
+  },
+  taxableValue: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  cessAmount: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: [true, 'Total is required'],
+    min: [0, 'Total cannot be negative']
+  }
+}, { _id: false }); // Disable _id for subdocuments
+
+// Main DebitNote schema
+const debitNoteSchema = new mongoose.Schema({
+  debitNoteNo: {
+    type: String,
+    required: [true, 'Debit note number is required'],
+    unique: true,
+    trim: true
+  },
+  purchaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Purchase',
+    required: [true, 'Original purchase is required']
+  },
+  billNo: {
+    type: String,
+    required: [true, 'Original bill number is required'],
+    trim: true
+  },
+  partyName: {
+    type: String,
+    required: [true, 'Party name is required'],
+    trim: true,
+    maxlength: [100, 'Party name cannot exceed 100 characters']
+  },
+  phoneNumber: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true
+  },
+  partyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Party',
+    required: false
+  },
+  items: {
+    type: [debitNoteItemSchema],
+    required: [true, 'Items are required'],
+    validate: {
+      validator: function(items) {
+        return items && items.length > 0;
+      },
+      message: 'At least one item is required'
+    }
+  },
+  placeOfSupply: {
+    type: String,
+    trim: true
+  },
+  supplyType: {
+    type: String,
+    enum: {
+      values: SUPPLY_TYPES,
+      message: 'Supply type must be either intra-state or inter-state'
+    },
+    default: 'intra-state'
+  },
+  taxableAmount: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  cessAmount: {
+    type: Number,
+    default: 0
+  },
+  totalTaxAmount: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: [true, 'Total amount is required'],
+    min: [0, 'Total amount cannot be negative']
+  },
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Date must be in MM/DD/YYYY format']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters'],
+    default: ''
+  },
+  pdfUri: {
+    type: String,
+    required: false,
+    trim: true
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields
+  versionKey: false // Removes __v field
+});
+
+// Index for better query performance
+// Note: debitNoteNo already has unique: true which creates an index
+debitNoteSchema.index({ purchaseId: 1 });
+debitNoteSchema.index({ partyId: 1 });
+
+// Pre-save middleware to calculate totals from the returned lines
+debitNoteSchema.pre('save', function(next) {
+  const sum = (field) => roundAmount(this.items.reduce((total, item) => total + (item[field] || 0), 0));
+
+  this.taxableAmount = sum('taxableValue');
+  this.cgstAmount = sum('cgstAmount');
+  this.sgstAmount = sum('sgstAmount');
+  this.igstAmount = sum('igstAmount');
+  this.cessAmount = sum('cessAmount');
+  this.totalTaxAmount = roundAmount(this.cgstAmount + this.sgstAmount + this.igstAmount + this.cessAmount);
+  this.totalAmount = sum('total');
+
+  next();
+});
+
+// Instance method to get formatted debit note details
+debitNoteSchema.methods.getFormattedDetails = function() {
+  return {
+    id: this._id,
+    debitNoteNo: this.debitNoteNo,
+    purchaseId: this.purchaseId,
+    billNo: this.billNo,
+    partyName: this.partyName,
+    phoneNumber: this.phoneNumber,
+    partyId: this.partyId,
+    items: this.items,
+    placeOfSupply: this.placeOfSupply,
+    supplyType: this.supplyType,
+    taxableAmount: this.taxableAmount,
+    cgstAmount: this.cgstAmount,
+    sgstAmount: this.sgstAmount,
+    igstAmount: this.igstAmount,
+    cessAmount: this.cessAmount,
+    totalTaxAmount: this.totalTaxAmount,
+    totalAmount: this.totalAmount,
+    date: this.date,
+    reason: this.reason,
+    pdfUri: this.pdfUri,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to generate next debit note number
+debitNoteSchema.statics.generateNextDebitNoteNumber = async function(date = null, session = null) {
+  const Counter = require('./Counter');
+  return Counter.generateNumber('debit-note', date, session);
+};
+
+// Static method to get quantities already returned per line of a purchase
+debitNoteSchema.statics.getReturnedQuantities = async function(purchaseId, session = null) {
+  const debitNotes = await this.find({ purchaseId }).session(session);
+  return sumReturnedQuantities(debitNotes);
+};
+
+// Static method to build returned lines as a share of the original purchase lines
+debitNoteSchema.statics.buildReturnLines = function(purchase, returnItems, returnedQuantities = {}) {
+  return buildReturnLines(purchase, purchase.billNo, returnItems, returnedQuantities);
+};
+
+const DebitNote = mongoose.model('DebitNote', debitNoteSchema);
+
+module.exports = DebitNote;
@@ -0,0 +1,252 @@
+const mongoose = require('mongoose');
+const { roundAmount } = require('../utils/gst');
+const { ApiError } = require('../utils/errors');
+const { getLineProgress, isFullyDone, hasAnyDone, allocateLineQuantities } = require('../utils/lineProgress');
+const StockLot = require('./StockLot');
+
+const CHALLAN_STATUSES = ['unbilled', 'partially-billed', 'billed'];
+
+// Dispatched line subdocument schema, billing is tracked in the item's stock unit
+const challanItemSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: [true, 'Item ID is required']
+  },
+  itemName: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  // Unit the quantity and rate are in (defaults to the item's alternate unit)
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Dispatched quantity converted to the item's stock unit
+  baseQuantity: {
+    type: Number,
+    required: [true, 'Base quantity is required'],
+    min: [0, 'Base quantity cannot be negative']
+  },
+  // Warehouse the goods left from
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
+  // Lots the goods were taken from, for items tracked by lot
+  lots: {
+    type: [StockLot.allocationSchema],
+    default: undefined
+  },
+  // Quantity billed so far through sales, in the item's stock unit
+  billedBaseQuantity: {
+    type: Number,
+    min: [0, 'Billed quantity cannot be negative'],
+    default: 0
+  },
+  rate: {
+    type: Number,
+    min: [0, 'Rate cannot be negative'],
+    default: 0
+  },
+  total: {
+    type: Number,
+    min: [0, 'Total cannot be negative'],
+    default: 0
+  }
+}, { _id: false }); // Disable _id for subdocuments
+
+// Main DeliveryChallan schema
+const deliveryChallanSchema = new mongoose.Schema({
+  challanNo: {
+    type: String,
+    required: [true, 'Challan number is required'],
+    unique: true,
+    trim: true
+  },
+  partyName: {
+    type: String,
+    required: [true, 'Party name is required'],
+    trim: true,
+    maxlength: [100, 'Party name cannot exceed 100 characters']
+  },
+  phoneNumber: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true,
+    validate: {
+      validator: function(v) {
+        // Basic phone number validation
+        return /^\+?[1-9]\d{1,14}$/.test(v.replace(/\s/g, ''));
+      },
+      message: 'Invalid phone number format'
+    }
+  },
+  partyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Party',
+    required: false
+  },
+  items: {
+    type: [challanItemSchema],
+    required: [true, 'Items are required'],
+    validate: {
+      validator: function(items) {
+        return items && items.length > 0;
+      },
+      message: 'At least one item is required'
+    }
+  },
+  // Value of the goods at the rates on the challan, for reference only
+  totalAmount: {
+    type: Number,
+    min: [0, 'Total amount cannot be negative'],
+    default: 0
+  },
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Date must be in MM/DD/YYYY format']
+  },
+  vehicleNumber: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Vehicle number cannot exceed 20 characters']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: CHALLAN_STATUSES,
+      message: 'Status must be one of: unbilled, partially-billed, billed'
+    },
+    default: 'unbilled'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  },
+  pdfUri: {
+    type: String,
+    required: false,
+    trim: true
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields
+  versionKey: false // Removes __v field
+});
+
+// Index for better query performance
+// Note: challanNo already has unique: true which creates an index
+deliveryChallanSchema.index({ partyId: 1 });
+deliveryChallanSchema.index({ status: 1 });
+
+// Pre-save middleware to sanitize data and calculate totals
+deliveryChallanSchema.pre('save', function(next) {
+  // Sanitize phone number
+  if (this.phoneNumber) {
+    this.phoneNumber = this.phoneNumber.replace(/[^\d+]/g, '');
+    if (!this.phoneNumber.startsWith('+')) {
+      this.phoneNumber = '+91' + this.phoneNumber;
+    }
+  }
+
+  let totalAmount = 0;
+  for (const item of this.items) {
+    item.total = roundAmount(item.quantity * item.rate);
+    totalAmount += item.total;
+  }
+  this.totalAmount = roundAmount(totalAmount);
+
+  next();
+});
+
+// Instance method to get billed and unbilled quantities of every line, in the line's unit
+deliveryChallanSchema.methods.getLineProgress = function() {
+  return getLineProgress(this.items, 'billedBaseQuantity').map(({ quantity, doneQuantity, ...line }) => ({
+    ...line,
+    dispatchedQuantity: quantity,
+    billedQuantity: doneQuantity
+  }));
+};
+
+// Instance method to check whether any of the goods have been billed
+deliveryChallanSchema.methods.hasBilling = function() {
+  return hasAnyDone(this.items, 'billedBaseQuantity');
+};
+
+// Instance method to set the status from what has been billed
+deliveryChallanSchema.methods.refreshStatus = function() {
+  if (isFullyDone(this.items, 'billedBaseQuantity')) {
+    this.status = 'billed';
+  } else if (this.hasBilling()) {
+    this.status = 'partially-billed';
+  } else {
+    this.status = 'unbilled';
+  }
+};
+
+// Instance method to get formatted challan details
+deliveryChallanSchema.methods.getFormattedDetails = function() {
+  return {
+    id: this._id,
+    challanNo: this.challanNo,
+    partyName: this.partyName,
+    phoneNumber: this.phoneNumber,
+    partyId: this.partyId,
+    items: this.items,
+    progress: this.getLineProgress(),
+    totalAmount: this.totalAmount,
+    date: this.date,
+    vehicleNumber: this.vehicleNumber,
+    status: this.status,
+    notes: this.notes,
+    pdfUri: this.pdfUri,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to generate next challan number
+deliveryChallanSchema.statics.generateNextChallanNumber = async function(date = null, session = null) {
+  const Counter = require('./Counter');
+  return Counter.generateNumber('delivery-challan', date, session);
+};
+
+/**
+ * Record goods billed on a sale against a delivery challan, or reverse that.
+ * Sale lines are matched to dispatched lines of the same item, in order.
+ * @param {ObjectId} challanId - Delivery challan the goods were dispatched on
+ * @param {Array<Object>} lineItems - Resolved sale lines ({ id, itemName, baseQuantity })
+ * @param {number} direction - 1 to bill, -1 to reverse billing
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<DeliveryChallan>} Updated delivery challan
+ */
+deliveryChallanSchema.statics.recordBilling = async function(challanId, lineItems, direction, session = null) {
+  const challan = await this.findById(challanId).session(session);
+
+  if (!challan) {
+    throw new ApiError(404, 'Delivery challan not found');
+  }
+
+  allocateLineQuantities(challan.items, lineItems, 'billedBaseQuantity', direction, `delivery challan ${challan.challanNo}`);
+
+  challan.refreshStatus();
+  await challan.save({ session });
+
+  return challan;
+};
+
+const DeliveryChallan = mongoose.model('DeliveryChallan', deliveryChallanSchema);
+
+DeliveryChallan.STATUSES = CHALLAN_STATUSES;
+
+module.exports = DeliveryChallan;
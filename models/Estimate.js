@@ -0,0 +1,269 @@
+const mongoose = require('mongoose');
+const Sale = require('./Sale');
+const { SUPPLY_TYPES } = require('../utils/gst');
+const { DISCOUNT_TYPES, calculateInvoice } = require('../utils/invoiceCalculator');
+const { parseDocumentDate } = require('../utils/dates');
+
+const ESTIMATE_STATUSES = ['draft', 'sent', 'accepted', 'expired'];
+
+// Main Estimate schema, lines and charges are shaped exactly like a sale's
+const estimateSchema = new mongoose.Schema({
+  estimateNo: {
+    type: String,
+    required: [true, 'Estimate number is required'],
+    unique: true,
+    trim: true
+  },
+  partyName: {
+    type: String,
+    required: [true, 'Party name is required'],
+    trim: true,
+    maxlength: [100, 'Party name cannot exceed 100 characters']
+  },
+  phoneNumber: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true,
+    validate: {
+      validator: function(v) {
+        // Basic phone number validation
+        return /^\+?[1-9]\d{1,14}$/.test(v.replace(/\s/g, ''));
+      },
+      message: 'Invalid phone number format'
+    }
+  },
+  items: {
+    type: [Sale.schema.path('items').schema],
+    required: [true, 'Items are required'],
+    validate: {
+      validator: function(items) {
+        return items && items.length > 0;
+      },
+      message: 'At least one item is required'
+    }
+  },
+  placeOfSupply: {
+    type: String,
+    trim: true,
+    match: [/^\d{2}$/, 'Place of supply must be a 2 digit state code']
+  },
+  supplyType: {
+    type: String,
+    enum: {
+      values: SUPPLY_TYPES,
+      message: 'Supply type must be either intra-state or inter-state'
+    },
+    default: 'intra-state'
+  },
+  subTotal: {
+    type: Number,
+    default: 0
+  },
+  discountType: {
+    type: String,
+    enum: {
+      values: DISCOUNT_TYPES,
+      message: 'Discount type must be either percentage or flat'
+    },
+    default: 'percentage'
+  },
+  discountValue: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  additionalCharges: {
+    type: [Sale.schema.path('additionalCharges').schema],
+    default: []
+  },
+  chargesAmount: {
+    type: Number,
+    default: 0
+  },
+  taxableAmount: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  cessAmount: {
+    type: Number,
+    default: 0
+  },
+  totalTaxAmount: {
+    type: Number,
+    default: 0
+  },
+  autoRoundOff: {
+    type: Boolean,
+    default: false
+  },
+  roundOff: {
+    type: Number,
+    min: [-1, 'Round-off cannot be less than -1'],
+    max: [1, 'Round-off cannot be more than 1'],
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    required: [true, 'Total amount is required'],
+    min: [0, 'Total amount cannot be negative']
+  },
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Date must be in MM/DD/YYYY format']
+  },
+  validUntil: {
+    type: String,
+    required: [true, 'Valid until date is required'],
+    match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Valid until date must be in MM/DD/YYYY format'],
+    validate: {
+      validator: function(v) {
+        const date = parseDocumentDate(this.date);
+        const validUntil = parseDocumentDate(v);
+        return !date || !validUntil || validUntil >= date;
+      },
+      message: 'Valid until date cannot be before the estimate date'
+    }
+  },
+  status: {
+    type: String,
+    enum: {
+      values: ESTIMATE_STATUSES,
+      message: 'Status must be one of draft, sent, accepted or expired'
+    },
+    default: 'draft'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  },
+  pdfUri: {
+    type: String,
+    required: false,
+    trim: true
+  },
+  // Sale created when the estimate was converted
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: false
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields
+  versionKey: false // Removes __v field
+});
+
+// Index for better query performance
+// Note: estimateNo already has unique: true which creates an index
+estimateSchema.index({ partyName: 1 });
+estimateSchema.index({ phoneNumber: 1 });
+estimateSchema.index({ status: 1 });
+
+// Pre-save middleware to sanitize data and calculate totals
+estimateSchema.pre('save', function(next) {
+  // Sanitize phone number
+  if (this.phoneNumber) {
+    this.phoneNumber = this.phoneNumber.replace(/[^\d+]/g, '');
+    if (!this.phoneNumber.startsWith('+')) {
+      this.phoneNumber = '+91' + this.phoneNumber;
+    }
+  }
+  
+  // Recalculate discounts, taxes, charges and total amount from items
+  if (this.items && this.items.length > 0) {
+    calculateInvoice(this);
+  }
+  
+  next();
+});
+
+// Instance method to check if the estimate's validity has run out
+estimateSchema.methods.isPastValidity = function(today = new Date()) {
+  const validUntil = parseDocumentDate(this.validUntil);
+  if (!validUntil) {
+    return false;
+  }
+  
+  const startOfToday = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  return validUntil < startOfToday;
+};
+
+// Instance method to get formatted estimate details
+estimateSchema.methods.getFormattedDetails = function() {
+  return {
+    id: this._id,
+    estimateNo: this.estimateNo,
+    partyName: this.partyName,
+    phoneNumber: this.phoneNumber,
+    items: this.items,
+    placeOfSupply: this.placeOfSupply,
+    supplyType: this.supplyType,
+    subTotal: this.subTotal,
+    discountType: this.discountType,
+    discountValue: this.discountValue,
+    discountAmount: this.discountAmount,
+    additionalCharges: this.additionalCharges,
+    chargesAmount: this.chargesAmount,
+    taxableAmount: this.taxableAmount,
+    cgstAmount: this.cgstAmount,
+    sgstAmount: this.sgstAmount,
+    igstAmount: this.igstAmount,
+    cessAmount: this.cessAmount,
+    totalTaxAmount: this.totalTaxAmount,
+    autoRoundOff: this.autoRoundOff,
+    roundOff: this.roundOff,
+    totalAmount: this.totalAmount,
+    date: this.date,
+    validUntil: this.validUntil,
+    status: this.status,
+    notes: this.notes,
+    pdfUri: this.pdfUri,
+    saleId: this.saleId,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to generate next estimate number
+estimateSchema.statics.generateNextEstimateNumber = async function(date = null, session = null) {
+  const Counter = require('./Counter');
+  return Counter.generateNumber('estimate', date, session);
+};
+
+// Static method to mark open estimates past their validity as expired
+estimateSchema.statics.markExpired = async function() {
+  const openEstimates = await this.find({ status: { $in: ['draft', 'sent'] } }, 'validUntil');
+  const expiredIds = openEstimates
+    .filter(estimate => estimate.isPastValidity())
+    .map(estimate => estimate._id);
+  
+  if (expiredIds.length > 0) {
+    await this.updateMany({ _id: { $in: expiredIds } }, { status: 'expired' });
+  }
+  
+  return expiredIds.length;
+};
+
+const Estimate = mongoose.model('Estimate', estimateSchema);
+
+Estimate.STATUSES = ESTIMATE_STATUSES;
+
+module.exports = Estimate;
@@ -1,4 +1,20 @@
 const mongoose = require('mongoose');
+const { UNITS } = require('../utils/units');
+const { GST_RATES } = require('../utils/gst');
+
+// Stock held in one warehouse, in the item's base unit
+const warehouseStockSchema = new mongoose.Schema({
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'Warehouse is required']
+  },
+  quantity: {
+    type: Number,
+    min: [0, 'Warehouse stock cannot be negative'],
+    default: 0
+  }
+}, { _id: false }); // Disable _id for subdocuments
 
 const itemSchema = new mongoose.Schema({
   productName: {
@@ -23,11 +39,46 @@ const itemSchema = new mongoose.Schema({
     required: [true, 'Sale price is required'],
     min: [0, 'Sale price cannot be negative']
   },
+  // Current stock across all warehouses
   openingStock: {
     type: Number,
     required: [true, 'Opening stock is required'],
     min: [0, 'Opening stock cannot be negative']
   },
+  // Current stock per warehouse; adds up to openingStock
+  warehouseStock: {
+    type: [warehouseStockSchema],
+    default: []
+  },
+  // Unit stock is kept in
+  baseUnit: {
+    type: String,
+    enum: {
+      values: UNITS,
+      message: 'Invalid base unit'
+    },
+    default: 'bag'
+  },
+  // Optional second unit items are bought and sold in
+  alternateUnit: {
+    type: String,
+    enum: {
+      values: [...UNITS, null],
+      message: 'Invalid alternate unit'
+    },
+    default: 'kg'
+  },
+  // Number of alternate units in one base unit (e.g. 30 kg per bag)
+  conversionFactor: {
+    type: Number,
+    default: 30,
+    validate: {
+      validator: function(v) {
+        return v > 0;
+      },
+      message: 'Conversion factor must be greater than 0'
+    }
+  },
   asOfDate: {
     type: String,
     required: [true, 'As of date is required'],
@@ -38,9 +89,34 @@ const itemSchema = new mongoose.Schema({
     required: [true, 'Low stock alert is required'],
     min: [0, 'Low stock alert cannot be negative']
   },
+  // GST details used as defaults on sale/purchase lines
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4,8}$/, 'HSN/SAC code must be 4 to 8 digits']
+  },
+  gstRate: {
+    type: Number,
+    enum: {
+      values: GST_RATES,
+      message: 'Invalid GST rate'
+    },
+    default: 0
+  },
+  cessRate: {
+    type: Number,
+    min: [0, 'Cess rate cannot be negative'],
+    default: 0
+  },
   isUniversal: {
     type: Boolean,
     default: false
+  },
+  // Purchases open a lot per line, with its moisture, grade and arrival date,
+  // and goods going out are taken from lots oldest first
+  trackLots: {
+    type: Boolean,
+    default: false
   }
 }, {
   // Pre-save middleware to handle Bardana initialization
@@ -64,5 +140,41 @@ const itemSchema = new mongoose.Schema({
 // Note: productName already has unique: true which creates an index
 itemSchema.index({ category: 1 });
 itemSchema.index({ isUniversal: 1 });
+itemSchema.index({ 'warehouseStock.warehouseId': 1 });
+
+// Instance method to get the stock held in one warehouse
+itemSchema.methods.getWarehouseStock = function(warehouseId) {
+  const entry = this.warehouseStock.find(stock => stock.warehouseId.equals(warehouseId));
+  return entry ? entry.quantity : 0;
+};
+
+// Instance method to place stock not yet in any warehouse (kept before warehouses
+// existed, or set directly as a total) in the given warehouse
+itemSchema.methods.allocateUnassignedStock = function(warehouseId) {
+  const assigned = this.warehouseStock.reduce((total, stock) => total + stock.quantity, 0);
+  const unassigned = this.openingStock - assigned;
+
+  // Ignore float dust from unit conversions
+  if (unassigned > 1e-6) {
+    this.openingStock = assigned;
+    this.moveWarehouseStock(warehouseId, unassigned);
+  }
+};
+
+// Instance method to move stock in or out of one warehouse, keeping the total in step.
+// A warehouse's stock never goes below zero; returns the change actually made.
+itemSchema.methods.moveWarehouseStock = function(warehouseId, change) {
+  let entry = this.warehouseStock.find(stock => stock.warehouseId.equals(warehouseId));
+  if (!entry) {
+    this.warehouseStock.push({ warehouseId, quantity: 0 });
+    entry = this.warehouseStock[this.warehouseStock.length - 1];
+  }
+
+  const before = entry.quantity;
+  entry.quantity = Math.max(0, before + change);
+  this.openingStock = Math.max(0, this.openingStock + entry.quantity - before);
+
+  return entry.quantity - before;
+};
 
 module.exports = mongoose.model('Item', itemSchema);
@@ -1,4 +1,53 @@
 const mongoose = require('mongoose');
+const { PAN_PATTERN, roundAmount, isValidGstin } = require('../utils/gst');
+const { parseDocumentDate, formatDocumentDate, addDaysToDocumentDate } = require('../utils/dates');
+const { sanitizePhoneNumber, getPartyNamePattern } = require('../utils/partyMatching');
+const { ApiError } = require('../utils/errors');
+
+// How each kind of document moves a party's balance.
+// The balance is signed: positive means the party owes us (receivable),
+// negative means we owe the party (payable).
+const BALANCE_EFFECTS = {
+  'sale': 1,
+  'credit-note': -1,
+  'purchase': -1,
+  'debit-note': 1,
+  'payment-in': -1,
+  'payment-out': 1
+};
+
+// Bumped when the way balances are kept changes; older parties get recomputed
+const BALANCE_VERSION = 2;
+
+// Direction of a balance carried over from before the party was added
+const OPENING_BALANCE_TYPES = ['to-receive', 'to-pay'];
+
+// Who the party is to us; 'both' both buys from and sells to us
+const PARTY_TYPES = ['customer', 'supplier', 'both', 'broker'];
+
+// Postal address subdocument schema, used for billing and shipping
+const partyAddressSchema = new mongoose.Schema({
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Address cannot exceed 500 characters']
+  },
+  city: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'City cannot exceed 100 characters']
+  },
+  pincode: {
+    type: String,
+    trim: true,
+    match: [/^\d{6}$/, 'Pincode must be 6 digits']
+  },
+  stateCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{2}$/, 'State code must be 2 digits']
+  }
+}, { _id: false });
 
 const partySchema = new mongoose.Schema({
   name: {
@@ -19,10 +68,49 @@ const partySchema = new mongoose.Schema({
       message: 'Invalid phone number format'
     }
   },
+  // Signed balance, see BALANCE_EFFECTS
   balance: {
+    type: Number,
+    default: 0
+  },
+  balanceVersion: {
+    type: Number,
+    default: BALANCE_VERSION
+  },
+  // What the party owed us, or we owed them, before their first transaction here
+  openingBalance: {
     type: Number,
     default: 0,
-    min: [0, 'Balance cannot be negative']
+    min: [0, 'Opening balance cannot be negative']
+  },
+  openingBalanceType: {
+    type: String,
+    enum: {
+      values: OPENING_BALANCE_TYPES,
+      message: 'Opening balance type must be either to-receive or to-pay'
+    },
+    default: 'to-receive'
+  },
+  openingBalanceDate: {
+    type: String,
+    match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Opening balance date must be in MM/DD/YYYY format']
+  },
+  // Days of credit the party gets (or gives us); bills fall due this many days after their date
+  creditDays: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit days cannot be negative'],
+    max: [365, 'Credit days cannot exceed 365'],
+    validate: {
+      validator: Number.isInteger,
+      message: 'Credit days must be a whole number'
+    }
+  },
+  // Most the party may owe us; sales beyond it need an override. 0 means no limit
+  creditLimit: {
+    type: Number,
+    default: 0,
+    min: [0, 'Credit limit cannot be negative']
   },
   address: {
     type: String,
@@ -42,6 +130,64 @@ const partySchema = new mongoose.Schema({
       },
       message: 'Invalid email format'
     }
+  },
+  // Two digit GST state code, decides CGST + SGST vs IGST
+  stateCode: {
+    type: String,
+    required: false,
+    trim: true,
+    match: [/^\d{2}$/, 'State code must be 2 digits']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: PARTY_TYPES,
+      message: 'Party type must be customer, supplier, both or broker'
+    },
+    default: 'customer'
+  },
+  // Village, market or any other grouping the business uses
+  group: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Group cannot exceed 100 characters']
+  },
+  gstin: {
+    type: String,
+    required: false,
+    trim: true,
+    uppercase: true,
+    validate: {
+      validator: function(v) {
+        if (!v) return true; // Optional field
+        return isValidGstin(v);
+      },
+      message: 'Invalid GSTIN, check the number and its last character'
+    }
+  },
+  pan: {
+    type: String,
+    required: false,
+    trim: true,
+    uppercase: true,
+    match: [PAN_PATTERN, 'Invalid PAN format']
+  },
+  billingAddress: {
+    type: partyAddressSchema,
+    required: false
+  },
+  shippingAddress: {
+    type: partyAddressSchema,
+    required: false
+  },
+  // Archived parties are hidden from pickers and take no new documents, but keep their history
+  isArchived: {
+    type: Boolean,
+    default: false
+  },
+  archivedAt: {
+    type: Date,
+    required: false
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt fields
@@ -52,6 +198,10 @@ const partySchema = new mongoose.Schema({
 partySchema.index({ name: 1 });
 partySchema.index({ phoneNumber: 1 });
 partySchema.index({ name: 1, phoneNumber: 1 }); // Compound index for unique party identification
+partySchema.index({ type: 1 });
+partySchema.index({ group: 1 });
+partySchema.index({ gstin: 1 });
+partySchema.index({ isArchived: 1 });
 
 // Pre-save middleware to sanitize data
 partySchema.pre('save', function(next) {
@@ -68,36 +218,137 @@ partySchema.pre('save', function(next) {
     this.email = this.email.toLowerCase().trim();
   }
   
+  // State code and PAN are part of the GSTIN
+  if (this.gstin) {
+    if (!this.stateCode) {
+      this.stateCode = this.gstin.slice(0, 2);
+    }
+    if (!this.pan) {
+      this.pan = this.gstin.slice(2, 12);
+    }
+  }
+  
+  // Otherwise the state comes from the billing address
+  if (!this.stateCode && this.billingAddress && this.billingAddress.stateCode) {
+    this.stateCode = this.billingAddress.stateCode;
+  }
+  
+  // An opening balance without a date is as of the day it was entered
+  if (this.openingBalance > 0 && !this.openingBalanceDate) {
+    this.openingBalanceDate = formatDocumentDate(this.createdAt || new Date());
+  }
+  
+  // A new party starts from its opening balance
+  if (this.isNew) {
+    this.balance = roundAmount((this.balance || 0) + this.getSignedOpeningBalance());
+  }
+  
   next();
 });
 
+// Instance method to get the opening balance signed like the balance
+partySchema.methods.getSignedOpeningBalance = function() {
+  const amount = this.openingBalance || 0;
+  return this.openingBalanceType === 'to-pay' ? -amount : amount;
+};
+
+// Instance method to change the balance by hand. Balances follow from the opening balance and
+// documents, so the change is made to the opening balance and survives a recompute
+partySchema.methods.adjustOpeningBalance = function(change) {
+  const openingBalance = roundAmount(this.getSignedOpeningBalance() + change);
+  this.openingBalance = Math.abs(openingBalance);
+  this.openingBalanceType = openingBalance < 0 ? 'to-pay' : 'to-receive';
+  this.balance = roundAmount((this.balance || 0) + change);
+};
+
+// Instance method to split the signed balance into what is receivable and payable
+partySchema.methods.getBalanceSummary = function() {
+  const balance = roundAmount(this.balance || 0);
+  let balanceType = 'settled';
+  if (balance > 0) {
+    balanceType = 'receivable';
+  } else if (balance < 0) {
+    balanceType = 'payable';
+  }
+
+  return {
+    balance,
+    receivable: Math.max(balance, 0),
+    payable: Math.max(-balance, 0),
+    balanceType
+  };
+};
+
+// Instance method to check whether a sale of the given amount keeps the party within its credit limit
+partySchema.methods.checkCreditLimit = function(amount = 0) {
+  const balance = roundAmount(this.balance || 0);
+  const creditLimit = this.creditLimit || 0;
+  const hasLimit = creditLimit > 0;
+  const projectedBalance = roundAmount(balance + amount);
+
+  return {
+    creditLimit,
+    hasLimit,
+    balance,
+    amount: roundAmount(amount),
+    projectedBalance,
+    availableCredit: hasLimit ? roundAmount(Math.max(creditLimit - balance, 0)) : null,
+    exceedsBy: hasLimit ? roundAmount(Math.max(projectedBalance - creditLimit, 0)) : 0,
+    withinLimit: !hasLimit || projectedBalance <= creditLimit
+  };
+};
+
+// Instance method to get the due date of a bill dated on the given date
+partySchema.methods.getDueDate = function(documentDate) {
+  return addDaysToDocumentDate(documentDate, this.creditDays || 0);
+};
+
 // Instance method to get formatted party details
 partySchema.methods.getFormattedDetails = function() {
   return {
     id: this._id,
     name: this.name,
     phoneNumber: this.phoneNumber,
-    balance: this.balance,
+    ...this.getBalanceSummary(),
+    openingBalance: this.openingBalance,
+    openingBalanceType: this.openingBalanceType,
+    openingBalanceDate: this.openingBalanceDate,
+    creditDays: this.creditDays,
+    creditLimit: this.creditLimit,
     address: this.address,
     email: this.email,
+    stateCode: this.stateCode,
+    type: this.type,
+    group: this.group,
+    gstin: this.gstin,
+    pan: this.pan,
+    // Parties saved before structured addresses only have the address text
+    billingAddress: this.billingAddress || (this.address ? { address: this.address } : undefined),
+    shippingAddress: this.shippingAddress,
+    isArchived: this.isArchived || false,
+    archivedAt: this.archivedAt,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
 };
 
 // Static method to find or create party
-partySchema.statics.findOrCreate = async function(partyData) {
+// Pass a session to run it inside a transaction
+partySchema.statics.findOrCreate = async function(partyData, session = null) {
   try {
-    // Try to find existing party by name and phone number
+    // Try to find existing party by name and phone number, with the phone number
+    // as it is stored and the name in any case or spacing
     let party = await this.findOne({
-      name: partyData.name,
-      phoneNumber: partyData.phoneNumber
-    });
+      name: { $regex: getPartyNamePattern(partyData.name), $options: 'i' },
+      phoneNumber: sanitizePhoneNumber(partyData.phoneNumber)
+    }).session(session);
     
     if (!party) {
       // Create new party if not found
       party = new this(partyData);
-      await party.save();
+      await party.save({ session });
+    } else if (party.isArchived) {
+      throw new ApiError(409, `Party ${party.name} is archived, restore it to use it again`);
     }
     
     return party;
@@ -107,9 +358,10 @@ partySchema.statics.findOrCreate = async function(partyData) {
 };
 
 // Static method to update party balance
-partySchema.statics.updateBalance = async function(partyId, amount, operation = 'add') {
+// Pass a session to run it inside a transaction
+partySchema.statics.updateBalance = async function(partyId, amount, operation = 'add', session = null) {
   try {
-    const party = await this.findById(partyId);
+    const party = await this.findById(partyId).session(session);
     if (!party) {
       throw new Error('Party not found');
     }
@@ -122,18 +374,228 @@ partySchema.statics.updateBalance = async function(partyId, amount, operation =
       party.balance = amount;
     }
     
-    // Ensure balance doesn't go negative
-    if (party.balance < 0) {
-      party.balance = 0;
-    }
-    
-    await party.save();
+    party.balance = roundAmount(party.balance);
+    await party.save({ session });
     return party;
   } catch (error) {
     throw error;
   }
 };
 
+// Static method to move a party's balance for a document, in that document's direction.
+// Pass a negative amount to reverse the document.
+partySchema.statics.applyTransaction = async function(partyId, documentType, amount, session = null) {
+  const effect = BALANCE_EFFECTS[documentType];
+  if (!effect) {
+    throw new Error(`Unknown document type: ${documentType}`);
+  }
+  
+  return this.updateBalance(partyId, effect * amount, 'add', session);
+};
+
+// Static method to work out balances from opening balances and the documents on record
+// Returns a Map of party id to signed balance, for the given parties or all of them
+partySchema.statics.computeBalances = async function(partyIds = null, session = null) {
+  const Sale = require('./Sale');
+  const Purchase = require('./Purchase');
+  const Payment = require('./Payment');
+  const CreditNote = require('./CreditNote');
+  const DebitNote = require('./DebitNote');
+  
+  const match = partyIds
+    ? { partyId: { $in: partyIds.map(id => new mongoose.Types.ObjectId(String(id))) } }
+    : { partyId: { $ne: null } };
+  
+  const balances = new Map();
+  const addToBalance = (partyId, signedAmount) => {
+    const key = partyId.toString();
+    balances.set(key, (balances.get(key) || 0) + signedAmount);
+  };
+  
+  // Balances start from the opening balance
+  const openingFilter = partyIds ? { _id: match.partyId } : {};
+  const openings = await this.find({ ...openingFilter, openingBalance: { $gt: 0 } }, 'openingBalance openingBalanceType')
+    .session(session);
+  openings.forEach(party => addToBalance(party._id, party.getSignedOpeningBalance()));
+  
+  const documentSources = [
+    [Sale, 'sale'],
+    [CreditNote, 'credit-note'],
+    [Purchase, 'purchase'],
+    [DebitNote, 'debit-note']
+  ];
+  
+  for (const [model, documentType] of documentSources) {
+    const totals = await model.aggregate([
+      { $match: match },
+      { $group: { _id: '$partyId', amount: { $sum: '$totalAmount' } } }
+    ]).session(session);
+    
+    totals.forEach(total => addToBalance(total._id, BALANCE_EFFECTS[documentType] * total.amount));
+  }
+  
+  // Payments go either way, depending on their type
+  const paymentTotals = await Payment.aggregate([
+    { $match: match },
+    { $group: { _id: { partyId: '$partyId', type: '$type' }, amount: { $sum: '$amount' } } }
+  ]).session(session);
+  
+  paymentTotals.forEach(total => addToBalance(total._id.partyId, BALANCE_EFFECTS[total._id.type] * total.amount));
+  
+  for (const [key, balance] of balances) {
+    balances.set(key, roundAmount(balance));
+  }
+  
+  return balances;
+};
+
+// Static method to recompute party balances from history
+// By default only parties whose balance predates the current BALANCE_VERSION are migrated
+partySchema.statics.recomputeBalances = async function({ partyIds = null, all = false } = {}) {
+  const filter = {};
+  if (partyIds) {
+    filter._id = { $in: partyIds };
+  } else if (!all) {
+    filter.balanceVersion = { $ne: BALANCE_VERSION };
+  }
+  
+  const parties = await this.find(filter, '_id name balance');
+  if (parties.length === 0) {
+    return { updatedCount: 0, parties: [] };
+  }
+  
+  const balances = await this.computeBalances(parties.map(party => party._id));
+  
+  const changes = [];
+  for (const party of parties) {
+    const balance = balances.get(party._id.toString()) || 0;
+    if (balance !== party.balance) {
+      changes.push({ partyId: party._id, name: party.name, previousBalance: party.balance, balance });
+    }
+  }
+  
+  await this.bulkWrite(parties.map(party => ({
+    updateOne: {
+      filter: { _id: party._id },
+      update: {
+        $set: {
+          balance: balances.get(party._id.toString()) || 0,
+          balanceVersion: BALANCE_VERSION
+        }
+      }
+    }
+  })));
+  
+  return { updatedCount: changes.length, parties: changes };
+};
+
+// Documents that belong to a party, keyed by the name they are counted under
+const getPartyDocumentModels = () => [
+  ['sales', require('./Sale')],
+  ['purchases', require('./Purchase')],
+  ['payments', require('./Payment')],
+  ['creditNotes', require('./CreditNote')],
+  ['debitNotes', require('./DebitNote')],
+  ['purchaseOrders', require('./PurchaseOrder')],
+  ['deliveryChallans', require('./DeliveryChallan')],
+  ['paymentReminders', require('./PaymentReminder')]
+];
+
+// Static method to count the documents that reference a party, e.g. { sales: 3, payments: 1, ... }
+partySchema.statics.countDocumentsFor = async function(partyId, session = null) {
+  const counts = {};
+  for (const [name, model] of getPartyDocumentModels()) {
+    counts[name] = await model.countDocuments({ partyId }).session(session);
+  }
+  return counts;
+};
+
+// Details a merged party keeps from its duplicates when it has none of its own
+const MERGE_FILL_FIELDS = [
+  'address', 'email', 'stateCode', 'group', 'gstin', 'pan',
+  'billingAddress', 'shippingAddress', 'creditDays', 'creditLimit'
+];
+
+// Static method to merge duplicate parties into a surviving one. Every document of the
+// duplicates moves to the survivor and takes its name and phone number, opening balances are added up, details the survivor
+// lacks are taken from the duplicates, the duplicates are deleted and the survivor's
+// balance is recomputed from history. Call it inside withTransaction (utils/transaction.js).
+partySchema.statics.mergeParties = async function(survivorId, duplicateIds, session) {
+  if (!mongoose.isValidObjectId(survivorId)) {
+    throw new ApiError(400, 'Invalid party id');
+  }
+  
+  const survivor = await this.findById(survivorId).session(session);
+  if (!survivor) {
+    throw new ApiError(404, 'Party not found');
+  }
+  
+  const ids = [...new Set((duplicateIds || []).map(String))].filter(id => id !== survivor._id.toString());
+  if (ids.length === 0) {
+    throw new ApiError(400, 'Select at least one other party to merge');
+  }
+  if (ids.some(id => !mongoose.isValidObjectId(id))) {
+    throw new ApiError(400, 'Invalid party id');
+  }
+  
+  const duplicates = await this.find({ _id: { $in: ids } }).session(session);
+  if (duplicates.length !== ids.length) {
+    const found = new Set(duplicates.map(party => party._id.toString()));
+    throw new ApiError(404, `Party ${ids.find(id => !found.has(id))} not found`);
+  }
+  
+  // Move every document over to the survivor, showing its name and number from now on
+  const moved = {};
+  for (const [name, model] of getPartyDocumentModels()) {
+    const result = await model.updateMany(
+      { partyId: { $in: duplicates.map(party => party._id) } },
+      { $set: { partyId: survivor._id, partyName: survivor.name, phoneNumber: survivor.phoneNumber } },
+      { session }
+    );
+    moved[name] = result.modifiedCount;
+  }
+  
+  // Opening balances add up, dated from the earliest of them
+  const withOpening = [survivor, ...duplicates].filter(party => party.openingBalance > 0);
+  const signedOpening = roundAmount(withOpening.reduce((total, party) => total + party.getSignedOpeningBalance(), 0));
+  const openingDates = withOpening.map(party => party.openingBalanceDate).filter(parseDocumentDate);
+  survivor.openingBalance = Math.abs(signedOpening);
+  survivor.openingBalanceType = signedOpening < 0 ? 'to-pay' : 'to-receive';
+  survivor.openingBalanceDate = openingDates.length > 0
+    ? openingDates.reduce((earliest, date) => (parseDocumentDate(date) < parseDocumentDate(earliest) ? date : earliest))
+    : undefined;
+  
+  for (const duplicate of duplicates) {
+    for (const field of MERGE_FILL_FIELDS) {
+      if (!survivor[field] && duplicate[field]) {
+        survivor[field] = duplicate[field];
+      }
+    }
+    
+    // A customer merged with a supplier is both
+    if (duplicate.type !== survivor.type && duplicate.type !== 'broker' && survivor.type !== 'broker') {
+      survivor.type = 'both';
+    }
+  }
+  
+  await this.deleteMany({ _id: { $in: duplicates.map(party => party._id) } }, { session });
+  
+  const balances = await this.computeBalances([survivor._id], session);
+  survivor.balance = balances.get(survivor._id.toString()) || 0;
+  survivor.balanceVersion = BALANCE_VERSION;
+  await survivor.save({ session });
+  
+  return {
+    party: survivor,
+    mergedParties: duplicates.map(party => ({ id: party._id.toString(), name: party.name, phoneNumber: party.phoneNumber })),
+    moved
+  };
+};
+
 const Party = mongoose.model('Party', partySchema);
 
+Party.BALANCE_EFFECTS = BALANCE_EFFECTS;
+Party.OPENING_BALANCE_TYPES = OPENING_BALANCE_TYPES;
+Party.TYPES = PARTY_TYPES;
+
 module.exports = Party;
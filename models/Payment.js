@@ -1,4 +1,23 @@
 const mongoose = require('mongoose');
+const { roundAmount } = require('../utils/gst');
+
+// Allocation subdocument schema - the part of a payment that settles one bill
+// (a sale for payment-in, a purchase for payment-out)
+const paymentAllocationSchema = new mongoose.Schema({
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Bill is required']
+  },
+  documentNo: {
+    type: String,
+    trim: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Allocated amount is required'],
+    min: [0.01, 'Allocated amount must be greater than 0']
+  }
+}, { _id: false });
 
 // Payment Schema - Clean implementation from scratch
 const paymentSchema = new mongoose.Schema({
@@ -111,6 +130,12 @@ const paymentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Party',
     required: false
+  },
+  
+  // Bills this payment settles; any remainder stays on account
+  allocations: {
+    type: [paymentAllocationSchema],
+    default: []
   }
 }, {
   timestamps: true,
@@ -122,6 +147,7 @@ paymentSchema.index({ type: 1, partyName: 1 });
 paymentSchema.index({ type: 1, date: 1 });
 paymentSchema.index({ partyName: 1, phoneNumber: 1 });
 paymentSchema.index({ createdAt: -1 });
+paymentSchema.index({ 'allocations.documentId': 1 });
 
 // Pre-save middleware for data sanitization
 paymentSchema.pre('save', function(next) {
@@ -138,24 +164,18 @@ paymentSchema.pre('save', function(next) {
     this.totalAmount = this.amount;
   }
   
-  // Generate payment number if not set
-  if (!this.paymentNo) {
-    this.paymentNo = this.generatePaymentNumber();
-  }
-  
   next();
 });
 
-// Instance method to generate payment number
-paymentSchema.methods.generatePaymentNumber = function() {
-  const prefix = this.type === 'payment-in' ? 'PAY-IN' : 'PAY-OUT';
-  const timestamp = Date.now().toString().slice(-8); // Last 8 digits
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-  return `${prefix}-${timestamp}-${random}`;
+// Instance method to get the amount allocated to bills
+paymentSchema.methods.getAllocatedAmount = function() {
+  return roundAmount((this.allocations || []).reduce((total, allocation) => total + allocation.amount, 0));
 };
 
 // Instance method to get formatted details
 paymentSchema.methods.getFormattedDetails = function() {
+  const allocatedAmount = this.getAllocatedAmount();
+  
   return {
     id: this._id.toString(),
     paymentNo: this.paymentNo,
@@ -169,42 +189,26 @@ paymentSchema.methods.getFormattedDetails = function() {
     paymentMethod: this.paymentMethod,
     reference: this.reference,
     partyId: this.partyId,
+    allocations: this.allocations,
+    allocatedAmount,
+    unallocatedAmount: roundAmount(this.amount - allocatedAmount),
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
 };
 
-// Static method to generate unique payment number
-paymentSchema.statics.generateUniquePaymentNumber = async function(type = 'payment-in') {
-  const prefix = type === 'payment-in' ? 'PAY-IN' : 'PAY-OUT';
-  let attempts = 0;
-  const maxAttempts = 10;
-  
-  while (attempts < maxAttempts) {
-    const timestamp = Date.now().toString().slice(-8);
-    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
-    const paymentNo = `${prefix}-${timestamp}-${random}`;
-    
-    // Check if this payment number already exists
-    const existing = await this.findOne({ paymentNo });
-    if (!existing) {
-      return paymentNo;
-    }
-    
-    attempts++;
-  }
-  
-  // Ultimate fallback
-  const timestamp = Date.now();
-  const random = Math.floor(Math.random() * 100000);
-  return `${prefix}-${timestamp}-${random}`;
+// Static method to generate unique payment number from the payment-in/payment-out counter
+paymentSchema.statics.generateUniquePaymentNumber = async function(type = 'payment-in', date = null, session = null) {
+  const Counter = require('./Counter');
+  return Counter.generateNumber(type, date, session);
 };
 
 // Static method to create payment with unique number
-paymentSchema.statics.createPayment = async function(paymentData) {
+// Pass a session to run it inside a transaction
+paymentSchema.statics.createPayment = async function(paymentData, session = null) {
   try {
     // Generate unique payment number
-    const paymentNo = await this.generateUniquePaymentNumber(paymentData.type);
+    const paymentNo = await this.generateUniquePaymentNumber(paymentData.type, paymentData.date, session);
     
     // Create payment with unique number
     const payment = new this({
@@ -212,7 +216,7 @@ paymentSchema.statics.createPayment = async function(paymentData) {
       paymentNo
     });
     
-    await payment.save();
+    await payment.save({ session });
     return payment;
   } catch (error) {
     console.error('Error creating payment:', error);
@@ -272,7 +276,8 @@ paymentSchema.statics.getPaymentSummary = async function(type = null, startDate
 };
 
 // Static method to update party balance
-paymentSchema.statics.updatePartyBalance = async function(payment) {
+// Pass a session to run it inside a transaction
+paymentSchema.statics.updatePartyBalance = async function(payment, session = null) {
   try {
     const Party = require('./Party');
     
@@ -280,10 +285,9 @@ paymentSchema.statics.updatePartyBalance = async function(payment) {
       return;
     }
     
-    // For payment-in: reduce customer balance (they paid us)
-    // For payment-out: reduce supplier balance (we paid them)
-    const operation = 'subtract';
-    await Party.updateBalance(payment.partyId, payment.amount, operation);
+    // payment-in: the customer owes us less (they paid us)
+    // payment-out: we owe the supplier less (we paid them)
+    await Party.applyTransaction(payment.partyId, payment.type, payment.amount, session);
   } catch (error) {
     console.error('Error updating party balance:', error);
     throw error;
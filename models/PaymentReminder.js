@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+
+const REMINDER_STATUSES = ['sent', 'failed'];
+
+// How the reminder was triggered
+const REMINDER_TRIGGERS = ['scheduled', 'manual'];
+
+// One WhatsApp reminder sent (or attempted) for an overdue sale
+const paymentReminderSchema = new mongoose.Schema({
+  saleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sale',
+    required: [true, 'Sale is required']
+  },
+  invoiceNo: {
+    type: String,
+    required: [true, 'Invoice number is required'],
+    trim: true
+  },
+  partyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Party',
+    required: false
+  },
+  partyName: {
+    type: String,
+    required: [true, 'Party name is required'],
+    trim: true
+  },
+  phoneNumber: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true
+  },
+  // State of the invoice when the reminder went out
+  dueDate: {
+    type: String,
+    match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Due date must be in MM/DD/YYYY format']
+  },
+  balanceDue: {
+    type: Number,
+    required: [true, 'Balance due is required'],
+    min: [0, 'Balance due cannot be negative']
+  },
+  daysOverdue: {
+    type: Number,
+    default: 0
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required']
+  },
+  // Ledger statement PDF sent with the reminder, when attached
+  ledgerUrl: {
+    type: String,
+    required: false
+  },
+  // Why the ledger statement was asked for but not attached
+  ledgerError: {
+    type: String,
+    required: false
+  },
+  status: {
+    type: String,
+    enum: {
+      values: REMINDER_STATUSES,
+      message: 'Reminder status must be sent or failed'
+    },
+    required: [true, 'Status is required']
+  },
+  trigger: {
+    type: String,
+    enum: {
+      values: REMINDER_TRIGGERS,
+      message: 'Reminder trigger must be scheduled or manual'
+    },
+    default: 'scheduled'
+  },
+  messageId: {
+    type: String,
+    required: false
+  },
+  error: {
+    type: String,
+    required: false
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields
+  versionKey: false // Removes __v field
+});
+
+// Index for better query performance
+paymentReminderSchema.index({ saleId: 1, createdAt: -1 });
+paymentReminderSchema.index({ partyId: 1 });
+paymentReminderSchema.index({ createdAt: -1 });
+
+// Instance method to get formatted reminder details
+paymentReminderSchema.methods.getFormattedDetails = function() {
+  return {
+    id: this._id,
+    saleId: this.saleId,
+    invoiceNo: this.invoiceNo,
+    partyId: this.partyId,
+    partyName: this.partyName,
+    phoneNumber: this.phoneNumber,
+    dueDate: this.dueDate,
+    balanceDue: this.balanceDue,
+    daysOverdue: this.daysOverdue,
+    message: this.message,
+    ledgerUrl: this.ledgerUrl,
+    ledgerError: this.ledgerError,
+    status: this.status,
+    trigger: this.trigger,
+    messageId: this.messageId,
+    error: this.error,
+    createdAt: this.createdAt
+  };
+};
+
+// Static method to sum up reminders per sale: how many were sent, when the last
+// one was sent and when the last attempt (sent or failed) was made
+paymentReminderSchema.statics.getHistory = async function(saleIds) {
+  const rows = await this.aggregate([
+    { $match: { saleId: { $in: saleIds } } },
+    {
+      $group: {
+        _id: '$saleId',
+        sentCount: { $sum: { $cond: [{ $eq: ['$status', 'sent'] }, 1, 0] } },
+        lastSentAt: { $max: { $cond: [{ $eq: ['$status', 'sent'] }, '$createdAt', null] } },
+        lastAttemptAt: { $max: '$createdAt' }
+      }
+    }
+  ]);
+
+  return new Map(rows.map(row => [row._id.toString(), row]));
+};
+
+const PaymentReminder = mongoose.model('PaymentReminder', paymentReminderSchema);
+
+PaymentReminder.STATUSES = REMINDER_STATUSES;
+PaymentReminder.TRIGGERS = REMINDER_TRIGGERS;
+
+module.exports = PaymentReminder;
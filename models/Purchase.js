@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const { GST_RATES, SUPPLY_TYPES } = require('../utils/gst');
+const { DISCOUNT_TYPES, calculateInvoice } = require('../utils/invoiceCalculator');
+const { PAYMENT_STATUSES, getSettlement } = require('../utils/billPayments');
+const { parseDocumentDate } = require('../utils/dates');
+const StockLot = require('./StockLot');
 
 // PurchaseItem subdocument schema
 const purchaseItemSchema = new mongoose.Schema({
@@ -16,11 +21,106 @@ const purchaseItemSchema = new mongoose.Schema({
     required: [true, 'Quantity is required'],
     min: [0, 'Quantity cannot be negative']
   },
+  // Unit the quantity and rate are in (defaults to the item's alternate unit)
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Quantity converted to the item's stock unit when the line was saved
+  baseQuantity: {
+    type: Number,
+    min: [0, 'Base quantity cannot be negative']
+  },
+  // Warehouse the goods went into
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
+  // Quality of the goods on arrival, recorded on the lot opened for items tracked by lot
+  moisture: {
+    type: Number,
+    min: [0, 'Moisture cannot be negative'],
+    max: [100, 'Moisture cannot exceed 100%']
+  },
+  grade: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Grade cannot exceed 50 characters']
+  },
+  // Day the goods arrived, if not the bill date
+  arrivalDate: {
+    type: String,
+    match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Arrival date must be in MM/DD/YYYY format']
+  },
+  // Lot opened for the goods
+  lots: {
+    type: [StockLot.allocationSchema],
+    default: undefined
+  },
   rate: {
     type: Number,
     required: [true, 'Rate is required'],
     min: [0, 'Rate cannot be negative']
   },
+  // Line discount, as a percentage or flat amount
+  discountType: {
+    type: String,
+    enum: {
+      values: DISCOUNT_TYPES,
+      message: 'Discount type must be either percentage or flat'
+    },
+    default: 'percentage'
+  },
+  discountValue: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  // GST details, defaulted from the item
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4,8}$/, 'HSN/SAC code must be 4 to 8 digits']
+  },
+  gstRate: {
+    type: Number,
+    enum: {
+      values: GST_RATES,
+      message: 'Invalid GST rate'
+    },
+    default: 0
+  },
+  cessRate: {
+    type: Number,
+    min: [0, 'Cess rate cannot be negative'],
+    default: 0
+  },
+  // Calculated in pre-save middleware
+  taxableValue: {
+    type: Number,
+    min: [0, 'Taxable value cannot be negative']
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  cessAmount: {
+    type: Number,
+    default: 0
+  },
   total: {
     type: Number,
     required: [true, 'Total is required'],
@@ -28,6 +128,38 @@ const purchaseItemSchema = new mongoose.Schema({
   }
 }, { _id: false }); // Disable _id for subdocuments
 
+// Additional charge subdocument schema (hamali, transport, packing...)
+const additionalChargeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Charge name is required'],
+    trim: true,
+    maxlength: [50, 'Charge name cannot exceed 50 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Charge amount is required'],
+    min: [0, 'Charge amount cannot be negative']
+  },
+  isTaxable: {
+    type: Boolean,
+    default: false
+  },
+  gstRate: {
+    type: Number,
+    enum: {
+      values: GST_RATES,
+      message: 'Invalid GST rate'
+    },
+    default: 0
+  },
+  // Calculated in pre-save middleware
+  taxAmount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
 // Main Purchase schema
 const purchaseSchema = new mongoose.Schema({
   billNo: {
@@ -64,6 +196,87 @@ const purchaseSchema = new mongoose.Schema({
       message: 'At least one item is required'
     }
   },
+  // State code of the place of supply, and whether CGST + SGST or IGST applies
+  placeOfSupply: {
+    type: String,
+    trim: true,
+    match: [/^\d{2}$/, 'Place of supply must be a 2 digit state code']
+  },
+  supplyType: {
+    type: String,
+    enum: {
+      values: SUPPLY_TYPES,
+      message: 'Supply type must be either intra-state or inter-state'
+    },
+    default: 'intra-state'
+  },
+  // Sum of lines after line discounts, calculated in pre-save middleware
+  subTotal: {
+    type: Number,
+    default: 0
+  },
+  // Discount on the whole bill, as a percentage or flat amount
+  discountType: {
+    type: String,
+    enum: {
+      values: DISCOUNT_TYPES,
+      message: 'Discount type must be either percentage or flat'
+    },
+    default: 'percentage'
+  },
+  discountValue: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  additionalCharges: {
+    type: [additionalChargeSchema],
+    default: []
+  },
+  chargesAmount: {
+    type: Number,
+    default: 0
+  },
+  // Invoice tax totals, calculated in pre-save middleware
+  taxableAmount: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  cessAmount: {
+    type: Number,
+    default: 0
+  },
+  totalTaxAmount: {
+    type: Number,
+    default: 0
+  },
+  // Round to the nearest rupee automatically, or keep the round-off entered
+  autoRoundOff: {
+    type: Boolean,
+    default: false
+  },
+  roundOff: {
+    type: Number,
+    min: [-1, 'Round-off cannot be less than -1'],
+    max: [1, 'Round-off cannot be more than 1'],
+    default: 0
+  },
   totalAmount: {
     type: Number,
     required: [true, 'Total amount is required'],
@@ -74,6 +287,19 @@ const purchaseSchema = new mongoose.Schema({
     required: [true, 'Date is required'],
     match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Date must be in MM/DD/YYYY format']
   },
+  // Date payment is due, the bill date plus the party's credit days unless set on the bill
+  dueDate: {
+    type: String,
+    match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Due date must be in MM/DD/YYYY format'],
+    validate: {
+      validator: function(v) {
+        const dueDate = parseDocumentDate(v);
+        const date = parseDocumentDate(this.date);
+        return !dueDate || !date || dueDate >= date;
+      },
+      message: 'Due date cannot be before the bill date'
+    }
+  },
   pdfUri: {
     type: String,
     required: false,
@@ -83,6 +309,39 @@ const purchaseSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Party',
     required: false // Will be populated when party is created/updated
+  },
+  // Purchase order the goods were delivered against, if any
+  purchaseOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    required: false
+  },
+  purchaseOrderNo: {
+    type: String,
+    trim: true
+  },
+  // Settlement, kept in step with payment allocations and debit notes against this purchase
+  paidAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Paid amount cannot be negative']
+  },
+  returnedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned amount cannot be negative']
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
+  paymentStatus: {
+    type: String,
+    enum: {
+      values: PAYMENT_STATUSES,
+      message: 'Payment status must be unpaid, partially-paid or paid'
+    },
+    default: 'unpaid'
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt fields
@@ -94,7 +353,10 @@ const purchaseSchema = new mongoose.Schema({
 purchaseSchema.index({ partyName: 1 });
 purchaseSchema.index({ phoneNumber: 1 });
 purchaseSchema.index({ date: 1 });
+purchaseSchema.index({ dueDate: 1 });
 purchaseSchema.index({ partyId: 1 });
+purchaseSchema.index({ purchaseOrderId: 1 });
+purchaseSchema.index({ partyId: 1, paymentStatus: 1 });
 
 // Pre-save middleware to sanitize data and calculate totals
 purchaseSchema.pre('save', function(next) {
@@ -106,15 +368,19 @@ purchaseSchema.pre('save', function(next) {
     }
   }
   
-  // Recalculate total amount from items
+  // Recalculate discounts, taxes, charges and total amount from items
   if (this.items && this.items.length > 0) {
-    this.totalAmount = this.items.reduce((sum, item) => {
-      // Ensure item total is calculated correctly
-      item.total = item.quantity * item.rate;
-      return sum + item.total;
-    }, 0);
+    calculateInvoice(this);
+  }
+  
+  // Without credit terms a bill is due on its date
+  if (!this.dueDate) {
+    this.dueDate = this.date;
   }
   
+  // Balance due follows the total as it changes
+  Object.assign(this, getSettlement(this.totalAmount, this.paidAmount, this.returnedAmount));
+  
   next();
 });
 
@@ -126,34 +392,43 @@ purchaseSchema.methods.getFormattedDetails = function() {
     partyName: this.partyName,
     phoneNumber: this.phoneNumber,
     items: this.items,
+    placeOfSupply: this.placeOfSupply,
+    supplyType: this.supplyType,
+    subTotal: this.subTotal,
+    discountType: this.discountType,
+    discountValue: this.discountValue,
+    discountAmount: this.discountAmount,
+    additionalCharges: this.additionalCharges,
+    chargesAmount: this.chargesAmount,
+    taxableAmount: this.taxableAmount,
+    cgstAmount: this.cgstAmount,
+    sgstAmount: this.sgstAmount,
+    igstAmount: this.igstAmount,
+    cessAmount: this.cessAmount,
+    totalTaxAmount: this.totalTaxAmount,
+    autoRoundOff: this.autoRoundOff,
+    roundOff: this.roundOff,
     totalAmount: this.totalAmount,
     date: this.date,
+    dueDate: this.dueDate,
     pdfUri: this.pdfUri,
     partyId: this.partyId,
+    purchaseOrderId: this.purchaseOrderId,
+    purchaseOrderNo: this.purchaseOrderNo,
+    paidAmount: this.paidAmount,
+    returnedAmount: this.returnedAmount,
+    balanceDue: this.balanceDue,
+    paymentStatus: this.paymentStatus,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
 };
 
-// Static method to generate next bill number
-purchaseSchema.statics.generateNextBillNumber = async function() {
-  try {
-    const lastPurchase = await this.findOne().sort({ billNo: -1 });
-    
-    if (!lastPurchase) {
-      return '1';
-    }
-    
-    const lastNumber = parseInt(lastPurchase.billNo);
-    if (isNaN(lastNumber)) {
-      return '1';
-    }
-    
-    return (lastNumber + 1).toString();
-  } catch (error) {
-    console.error('Error generating bill number:', error);
-    return '1';
-  }
+// Static method to generate next bill number from the purchases counter
+// Pass the purchase date and the active session so numbering is race-free
+purchaseSchema.statics.generateNextBillNumber = async function(date = null, session = null) {
+  const Counter = require('./Counter');
+  return Counter.generateNumber('purchase', date, session);
 };
 
 // Static method to get purchases by date range
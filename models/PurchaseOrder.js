@@ -0,0 +1,245 @@
+const mongoose = require('mongoose');
+const { roundAmount } = require('../utils/gst');
+const { ApiError } = require('../utils/errors');
+const { getLineProgress, isFullyDone, hasAnyDone, allocateLineQuantities } = require('../utils/lineProgress');
+
+const PURCHASE_ORDER_STATUSES = ['open', 'partially-received', 'closed', 'cancelled'];
+
+// Ordered line subdocument schema, receipts are tracked in the item's stock unit
+const purchaseOrderItemSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: [true, 'Item ID is required']
+  },
+  itemName: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  // Unit the quantity and rate are in (defaults to the item's alternate unit)
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Ordered quantity converted to the item's stock unit
+  baseQuantity: {
+    type: Number,
+    required: [true, 'Base quantity is required'],
+    min: [0, 'Base quantity cannot be negative']
+  },
+  // Quantity received so far through purchases, in the item's stock unit
+  receivedBaseQuantity: {
+    type: Number,
+    min: [0, 'Received quantity cannot be negative'],
+    default: 0
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Rate is required'],
+    min: [0, 'Rate cannot be negative']
+  },
+  total: {
+    type: Number,
+    min: [0, 'Total cannot be negative'],
+    default: 0
+  }
+}, { _id: false }); // Disable _id for subdocuments
+
+// Main PurchaseOrder schema
+const purchaseOrderSchema = new mongoose.Schema({
+  orderNo: {
+    type: String,
+    required: [true, 'Order number is required'],
+    unique: true,
+    trim: true
+  },
+  partyName: {
+    type: String,
+    required: [true, 'Party name is required'],
+    trim: true,
+    maxlength: [100, 'Party name cannot exceed 100 characters']
+  },
+  phoneNumber: {
+    type: String,
+    required: [true, 'Phone number is required'],
+    trim: true,
+    validate: {
+      validator: function(v) {
+        // Basic phone number validation
+        return /^\+?[1-9]\d{1,14}$/.test(v.replace(/\s/g, ''));
+      },
+      message: 'Invalid phone number format'
+    }
+  },
+  partyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Party',
+    required: false
+  },
+  items: {
+    type: [purchaseOrderItemSchema],
+    required: [true, 'Items are required'],
+    validate: {
+      validator: function(items) {
+        return items && items.length > 0;
+      },
+      message: 'At least one item is required'
+    }
+  },
+  totalAmount: {
+    type: Number,
+    min: [0, 'Total amount cannot be negative'],
+    default: 0
+  },
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Date must be in MM/DD/YYYY format']
+  },
+  expectedDate: {
+    type: String,
+    match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Expected date must be in MM/DD/YYYY format']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: PURCHASE_ORDER_STATUSES,
+      message: 'Status must be one of: open, partially-received, closed, cancelled'
+    },
+    default: 'open'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  },
+  pdfUri: {
+    type: String,
+    required: false,
+    trim: true
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields
+  versionKey: false // Removes __v field
+});
+
+// Index for better query performance
+// Note: orderNo already has unique: true which creates an index
+purchaseOrderSchema.index({ partyId: 1 });
+purchaseOrderSchema.index({ status: 1 });
+
+// Pre-save middleware to sanitize data and calculate totals
+purchaseOrderSchema.pre('save', function(next) {
+  // Sanitize phone number
+  if (this.phoneNumber) {
+    this.phoneNumber = this.phoneNumber.replace(/[^\d+]/g, '');
+    if (!this.phoneNumber.startsWith('+')) {
+      this.phoneNumber = '+91' + this.phoneNumber;
+    }
+  }
+
+  let totalAmount = 0;
+  for (const item of this.items) {
+    item.total = roundAmount(item.quantity * item.rate);
+    totalAmount += item.total;
+  }
+  this.totalAmount = roundAmount(totalAmount);
+
+  next();
+});
+
+// Instance method to get received and pending quantities of every line, in the line's unit
+purchaseOrderSchema.methods.getLineProgress = function() {
+  return getLineProgress(this.items, 'receivedBaseQuantity').map(({ quantity, doneQuantity, ...line }) => ({
+    ...line,
+    orderedQuantity: quantity,
+    receivedQuantity: doneQuantity
+  }));
+};
+
+// Instance method to check whether any goods have been received against the order
+purchaseOrderSchema.methods.hasReceipts = function() {
+  return hasAnyDone(this.items, 'receivedBaseQuantity');
+};
+
+// Instance method to set the status from what has been received
+purchaseOrderSchema.methods.refreshStatus = function() {
+  if (this.status === 'cancelled') {
+    return;
+  }
+
+  if (isFullyDone(this.items, 'receivedBaseQuantity')) {
+    this.status = 'closed';
+  } else if (this.hasReceipts()) {
+    this.status = 'partially-received';
+  } else {
+    this.status = 'open';
+  }
+};
+
+// Instance method to get formatted purchase order details
+purchaseOrderSchema.methods.getFormattedDetails = function() {
+  return {
+    id: this._id,
+    orderNo: this.orderNo,
+    partyName: this.partyName,
+    phoneNumber: this.phoneNumber,
+    partyId: this.partyId,
+    items: this.items,
+    progress: this.getLineProgress(),
+    totalAmount: this.totalAmount,
+    date: this.date,
+    expectedDate: this.expectedDate,
+    status: this.status,
+    notes: this.notes,
+    pdfUri: this.pdfUri,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to generate next purchase order number
+purchaseOrderSchema.statics.generateNextOrderNumber = async function(date = null, session = null) {
+  const Counter = require('./Counter');
+  return Counter.generateNumber('purchase-order', date, session);
+};
+
+/**
+ * Record goods received against a purchase order, or reverse a receipt.
+ * Purchase lines are matched to ordered lines of the same item, in order.
+ * @param {ObjectId} orderId - Purchase order the goods were delivered against
+ * @param {Array<Object>} lineItems - Resolved purchase lines ({ id, itemName, baseQuantity })
+ * @param {number} direction - 1 to receive, -1 to reverse a receipt
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<PurchaseOrder>} Updated purchase order
+ */
+purchaseOrderSchema.statics.recordReceipt = async function(orderId, lineItems, direction, session = null) {
+  const order = await this.findById(orderId).session(session);
+
+  if (!order) {
+    throw new ApiError(404, 'Purchase order not found');
+  }
+
+  if (direction > 0 && order.status === 'cancelled') {
+    throw new ApiError(400, `Purchase order ${order.orderNo} is cancelled`);
+  }
+
+  allocateLineQuantities(order.items, lineItems, 'receivedBaseQuantity', direction, `purchase order ${order.orderNo}`);
+
+  order.refreshStatus();
+  await order.save({ session });
+
+  return order;
+};
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', purchaseOrderSchema);
+
+PurchaseOrder.STATUSES = PURCHASE_ORDER_STATUSES;
+
+module.exports = PurchaseOrder;
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const { GST_RATES, SUPPLY_TYPES } = require('../utils/gst');
+const { DISCOUNT_TYPES, calculateInvoice } = require('../utils/invoiceCalculator');
+const { PAYMENT_STATUSES, getSettlement } = require('../utils/billPayments');
+const { parseDocumentDate } = require('../utils/dates');
+const { resolveLineItems, adjustStock, getStockSource } = require('../utils/stock');
+const { ApiError } = require('../utils/errors');
+const StockLot = require('./StockLot');
 
 // SaleItem subdocument schema
 const saleItemSchema = new mongoose.Schema({
@@ -16,11 +23,90 @@ const saleItemSchema = new mongoose.Schema({
     required: [true, 'Quantity is required'],
     min: [0, 'Quantity cannot be negative']
   },
+  // Unit the quantity and rate are in (defaults to the item's alternate unit)
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Quantity converted to the item's stock unit when the line was saved
+  baseQuantity: {
+    type: Number,
+    min: [0, 'Base quantity cannot be negative']
+  },
+  // Warehouse the goods left from
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
+  // Lots the goods were taken from, for items tracked by lot
+  lots: {
+    type: [StockLot.allocationSchema],
+    default: undefined
+  },
   rate: {
     type: Number,
     required: [true, 'Rate is required'],
     min: [0, 'Rate cannot be negative']
   },
+  // Line discount, as a percentage or flat amount
+  discountType: {
+    type: String,
+    enum: {
+      values: DISCOUNT_TYPES,
+      message: 'Discount type must be either percentage or flat'
+    },
+    default: 'percentage'
+  },
+  discountValue: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  // GST details, defaulted from the item
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4,8}$/, 'HSN/SAC code must be 4 to 8 digits']
+  },
+  gstRate: {
+    type: Number,
+    enum: {
+      values: GST_RATES,
+      message: 'Invalid GST rate'
+    },
+    default: 0
+  },
+  cessRate: {
+    type: Number,
+    min: [0, 'Cess rate cannot be negative'],
+    default: 0
+  },
+  // Calculated in pre-save middleware
+  taxableValue: {
+    type: Number,
+    min: [0, 'Taxable value cannot be negative']
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  cessAmount: {
+    type: Number,
+    default: 0
+  },
   total: {
     type: Number,
     required: [true, 'Total is required'],
@@ -28,6 +114,38 @@ const saleItemSchema = new mongoose.Schema({
   }
 }, { _id: false }); // Disable _id for subdocuments
 
+// Additional charge subdocument schema (hamali, transport, packing...)
+const additionalChargeSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Charge name is required'],
+    trim: true,
+    maxlength: [50, 'Charge name cannot exceed 50 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Charge amount is required'],
+    min: [0, 'Charge amount cannot be negative']
+  },
+  isTaxable: {
+    type: Boolean,
+    default: false
+  },
+  gstRate: {
+    type: Number,
+    enum: {
+      values: GST_RATES,
+      message: 'Invalid GST rate'
+    },
+    default: 0
+  },
+  // Calculated in pre-save middleware
+  taxAmount: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
 // Main Sale schema
 const saleSchema = new mongoose.Schema({
   invoiceNo: {
@@ -64,6 +182,87 @@ const saleSchema = new mongoose.Schema({
       message: 'At least one item is required'
     }
   },
+  // State code of the place of supply, and whether CGST + SGST or IGST applies
+  placeOfSupply: {
+    type: String,
+    trim: true,
+    match: [/^\d{2}$/, 'Place of supply must be a 2 digit state code']
+  },
+  supplyType: {
+    type: String,
+    enum: {
+      values: SUPPLY_TYPES,
+      message: 'Supply type must be either intra-state or inter-state'
+    },
+    default: 'intra-state'
+  },
+  // Sum of lines after line discounts, calculated in pre-save middleware
+  subTotal: {
+    type: Number,
+    default: 0
+  },
+  // Discount on the whole bill, as a percentage or flat amount
+  discountType: {
+    type: String,
+    enum: {
+      values: DISCOUNT_TYPES,
+      message: 'Discount type must be either percentage or flat'
+    },
+    default: 'percentage'
+  },
+  discountValue: {
+    type: Number,
+    min: [0, 'Discount cannot be negative'],
+    default: 0
+  },
+  discountAmount: {
+    type: Number,
+    default: 0
+  },
+  additionalCharges: {
+    type: [additionalChargeSchema],
+    default: []
+  },
+  chargesAmount: {
+    type: Number,
+    default: 0
+  },
+  // Invoice tax totals, calculated in pre-save middleware
+  taxableAmount: {
+    type: Number,
+    default: 0
+  },
+  cgstAmount: {
+    type: Number,
+    default: 0
+  },
+  sgstAmount: {
+    type: Number,
+    default: 0
+  },
+  igstAmount: {
+    type: Number,
+    default: 0
+  },
+  cessAmount: {
+    type: Number,
+    default: 0
+  },
+  totalTaxAmount: {
+    type: Number,
+    default: 0
+  },
+  // Round to the nearest rupee automatically, or keep the round-off entered
+  autoRoundOff: {
+    type: Boolean,
+    default: false
+  },
+  roundOff: {
+    type: Number,
+    min: [-1, 'Round-off cannot be less than -1'],
+    max: [1, 'Round-off cannot be more than 1'],
+    default: 0
+  },
   totalAmount: {
     type: Number,
     required: [true, 'Total amount is required'],
@@ -74,6 +273,19 @@ const saleSchema = new mongoose.Schema({
     required: [true, 'Date is required'],
     match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Date must be in MM/DD/YYYY format']
   },
+  // Date payment is due, the bill date plus the party's credit days unless set on the bill
+  dueDate: {
+    type: String,
+    match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Due date must be in MM/DD/YYYY format'],
+    validate: {
+      validator: function(v) {
+        const dueDate = parseDocumentDate(v);
+        const date = parseDocumentDate(this.date);
+        return !dueDate || !date || dueDate >= date;
+      },
+      message: 'Due date cannot be before the bill date'
+    }
+  },
   pdfUri: {
     type: String,
     required: false,
@@ -83,6 +295,44 @@ const saleSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Party',
     required: false // Will be populated when party is created/updated
+  },
+  // Delivery challan the goods were dispatched on; its stock has already moved
+  deliveryChallanId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeliveryChallan',
+    required: false
+  },
+  deliveryChallanNo: {
+    type: String,
+    trim: true
+  },
+  // Set when the sale was billed past the party's credit limit on purpose
+  creditLimitOverridden: {
+    type: Boolean,
+    default: false
+  },
+  // Settlement, kept in step with payment allocations and credit notes against this sale
+  paidAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Paid amount cannot be negative']
+  },
+  returnedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Returned amount cannot be negative']
+  },
+  balanceDue: {
+    type: Number,
+    default: 0
+  },
+  paymentStatus: {
+    type: String,
+    enum: {
+      values: PAYMENT_STATUSES,
+      message: 'Payment status must be unpaid, partially-paid or paid'
+    },
+    default: 'unpaid'
   }
 }, {
   timestamps: true, // Adds createdAt and updatedAt fields
@@ -94,7 +344,10 @@ const saleSchema = new mongoose.Schema({
 saleSchema.index({ partyName: 1 });
 saleSchema.index({ phoneNumber: 1 });
 saleSchema.index({ date: 1 });
+saleSchema.index({ dueDate: 1 });
 saleSchema.index({ partyId: 1 });
+saleSchema.index({ deliveryChallanId: 1 });
+saleSchema.index({ partyId: 1, paymentStatus: 1 });
 
 // Pre-save middleware to sanitize data and calculate totals
 saleSchema.pre('save', function(next) {
@@ -106,15 +359,19 @@ saleSchema.pre('save', function(next) {
     }
   }
   
-  // Recalculate total amount from items
+  // Recalculate discounts, taxes, charges and total amount from items
   if (this.items && this.items.length > 0) {
-    this.totalAmount = this.items.reduce((sum, item) => {
-      // Ensure item total is calculated correctly
-      item.total = item.quantity * item.rate;
-      return sum + item.total;
-    }, 0);
+    calculateInvoice(this);
+  }
+  
+  // Without credit terms a bill is due on its date
+  if (!this.dueDate) {
+    this.dueDate = this.date;
   }
   
+  // Balance due follows the total as it changes
+  Object.assign(this, getSettlement(this.totalAmount, this.paidAmount, this.returnedAmount));
+  
   next();
 });
 
@@ -126,34 +383,147 @@ saleSchema.methods.getFormattedDetails = function() {
     partyName: this.partyName,
     phoneNumber: this.phoneNumber,
     items: this.items,
+    placeOfSupply: this.placeOfSupply,
+    supplyType: this.supplyType,
+    subTotal: this.subTotal,
+    discountType: this.discountType,
+    discountValue: this.discountValue,
+    discountAmount: this.discountAmount,
+    additionalCharges: this.additionalCharges,
+    chargesAmount: this.chargesAmount,
+    taxableAmount: this.taxableAmount,
+    cgstAmount: this.cgstAmount,
+    sgstAmount: this.sgstAmount,
+    igstAmount: this.igstAmount,
+    cessAmount: this.cessAmount,
+    totalTaxAmount: this.totalTaxAmount,
+    autoRoundOff: this.autoRoundOff,
+    roundOff: this.roundOff,
     totalAmount: this.totalAmount,
     date: this.date,
+    dueDate: this.dueDate,
     pdfUri: this.pdfUri,
     partyId: this.partyId,
+    deliveryChallanId: this.deliveryChallanId,
+    deliveryChallanNo: this.deliveryChallanNo,
+    creditLimitOverridden: this.creditLimitOverridden,
+    paidAmount: this.paidAmount,
+    returnedAmount: this.returnedAmount,
+    balanceDue: this.balanceDue,
+    paymentStatus: this.paymentStatus,
     createdAt: this.createdAt,
     updatedAt: this.updatedAt
   };
 };
 
-// Static method to generate next invoice number
-saleSchema.statics.generateNextInvoiceNumber = async function() {
-  try {
-    const lastSale = await this.findOne().sort({ invoiceNo: -1 });
-    
-    if (!lastSale) {
-      return '1';
-    }
+// Instance method to keep the party within its credit limit when the sale adds amount to
+// its balance. Going past it fails unless overrideCreditLimit, which the sale then records
+saleSchema.methods.enforceCreditLimit = function(party, amount, overrideCreditLimit = false) {
+  const creditCheck = party.checkCreditLimit(amount);
+  if (creditCheck.withinLimit) {
+    return;
+  }
+  
+  if (!overrideCreditLimit) {
+    throw new ApiError(409, `Sale of ${creditCheck.amount} takes ${party.name}'s balance to ${creditCheck.projectedBalance}, ` +
+      `over the credit limit of ${creditCheck.creditLimit} by ${creditCheck.exceedsBy}; set overrideCreditLimit to bill anyway`);
+  }
+  this.creditLimitOverridden = true;
+};
+
+// Static method to generate next invoice number from the sales counter
+// Pass the sale date and the active session so numbering is race-free
+saleSchema.statics.generateNextInvoiceNumber = async function(date = null, session = null) {
+  const Counter = require('./Counter');
+  return Counter.generateNumber('sale', date, session);
+};
+
+// Static method to create a sale with all its side effects: invoice number,
+// party, party balance and stock. Call it inside withTransaction (utils/transaction.js).
+// A sale billing a delivery challan leaves stock alone, the challan already moved it.
+saleSchema.statics.createSale = async function(saleData, session) {
+  const Party = require('./Party');
+  const Company = require('./Company');
+  const DeliveryChallan = require('./DeliveryChallan');
+  
+  const {
+    partyName,
+    phoneNumber,
+    items,
+    date,
+    pdfUri,
+    placeOfSupply,
+    discountType,
+    discountValue,
+    additionalCharges,
+    autoRoundOff,
+    roundOff,
+    dueDate,
+    deliveryChallanId,
+    overrideCreditLimit = false
+  } = saleData;
+  
+  // Generate invoice number
+  const invoiceNo = await this.generateNextInvoiceNumber(date, session);
+  
+  // Find or create party
+  const party = await Party.findOrCreate({
+    name: partyName,
+    phoneNumber: phoneNumber
+  }, session);
+  
+  // Record the unit, stock quantity and GST rates of every line
+  const lineItems = await resolveLineItems(items, session);
+  
+  // Goods go to the party's state unless the bill says otherwise
+  const supply = await Company.getSupplyDetails(placeOfSupply || party.stateCode, 'sale', session);
+  
+  // Goods dispatched on a challan are billed against it
+  let challan = null;
+  if (deliveryChallanId) {
+    challan = await DeliveryChallan.recordBilling(deliveryChallanId, lineItems, 1, session);
     
-    const lastNumber = parseInt(lastSale.invoiceNo);
-    if (isNaN(lastNumber)) {
-      return '1';
+    if (challan.partyId && !challan.partyId.equals(party._id)) {
+      throw new ApiError(400, `Delivery challan ${challan.challanNo} belongs to another party`);
     }
-    
-    return (lastNumber + 1).toString();
-  } catch (error) {
-    console.error('Error generating invoice number:', error);
-    return '1';
   }
+  
+  const sale = new this({
+    invoiceNo,
+    partyName,
+    phoneNumber,
+    items: lineItems,
+    placeOfSupply: supply.placeOfSupply,
+    supplyType: supply.supplyType,
+    discountType,
+    discountValue,
+    additionalCharges,
+    autoRoundOff,
+    roundOff,
+    totalAmount: 0, // Will be calculated in pre-save middleware
+    date,
+    dueDate: dueDate || party.getDueDate(date),
+    pdfUri,
+    partyId: party._id,
+    deliveryChallanId: challan ? challan._id : undefined,
+    deliveryChallanNo: challan ? challan.challanNo : undefined
+  });
+  
+  // The bill must keep the party within its credit limit unless the sale overrides it
+  calculateInvoice(sale); // Totals are needed before saving
+  sale.enforceCreditLimit(party, sale.totalAmount, overrideCreditLimit);
+  
+  // Reduce stock levels for items and Bardana, before saving so lots taken are saved with the lines
+  if (!challan) {
+    await adjustStock(sale.items, -1, session, { source: getStockSource('sale', sale) });
+  }
+  
+  await sale.save({ session });
+  
+  // The party owes us the bill amount
+  await Party.applyTransaction(party._id, 'sale', sale.totalAmount, session);
+  
+  return sale;
 };
 
 // Static method to get sales by date range
@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+const { roundAmount } = require('../utils/gst');
+const { ApiError } = require('../utils/errors');
+const { getDefaultUnit, toBaseQuantity, fromBaseQuantity } = require('../utils/units');
+const StockLot = require('./StockLot');
+
+// Why stock was adjusted
+const ADJUSTMENT_REASONS = [
+  'damage', // Bags torn or goods spoilt
+  'shrinkage', // Weight lost in storage
+  'moisture-loss', // Grain drying out
+  'spillage',
+  'theft',
+  'expired',
+  'found', // Stock found that was not on the books
+  'correction', // Counting or entry mistake
+  'other'
+];
+
+// Whether a line brings stock in or takes it out
+const ADJUSTMENT_DIRECTIONS = ['in', 'out'];
+
+// Adjusted line subdocument schema
+const adjustmentItemSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: [true, 'Item ID is required']
+  },
+  itemName: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true
+  },
+  direction: {
+    type: String,
+    enum: {
+      values: ADJUSTMENT_DIRECTIONS,
+      message: 'Direction must be in or out'
+    },
+    required: [true, 'Direction is required']
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  // Unit the quantity is in (defaults to the item's alternate unit)
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Quantity converted to the item's stock unit
+  baseQuantity: {
+    type: Number,
+    required: [true, 'Base quantity is required'],
+    min: [0, 'Base quantity cannot be negative']
+  },
+  // Warehouse adjusted (the default warehouse if not given)
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
+  // Lots taken out of, for items tracked by lot
+  lots: {
+    type: [StockLot.allocationSchema],
+    default: undefined
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: ADJUSTMENT_REASONS,
+      message: `Reason must be one of: ${ADJUSTMENT_REASONS.join(', ')}`
+    },
+    required: [true, 'Reason is required']
+  },
+  // Value of the quantity at the item's purchase price
+  value: {
+    type: Number,
+    min: [0, 'Value cannot be negative'],
+    default: 0
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  }
+}, { _id: false }); // Disable _id for subdocuments
+
+// Main StockAdjustment schema
+const stockAdjustmentSchema = new mongoose.Schema({
+  adjustmentNo: {
+    type: String,
+    required: [true, 'Adjustment number is required'],
+    unique: true,
+    trim: true
+  },
+  items: {
+    type: [adjustmentItemSchema],
+    required: [true, 'Items are required'],
+    validate: {
+      validator: function(items) {
+        return items && items.length > 0;
+      },
+      message: 'At least one item is required'
+    }
+  },
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Date must be in MM/DD/YYYY format']
+  },
+  // Who approved the adjustment
+  approvedBy: {
+    type: String,
+    required: [true, 'Approver is required'],
+    trim: true,
+    maxlength: [100, 'Approver cannot exceed 100 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  },
+  // Stock take the adjustment was posted from, if any
+  stockTakeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockTake',
+    required: false
+  },
+  stockTakeNo: {
+    type: String,
+    trim: true
+  },
+  // Value of the stock brought in and taken out
+  valueIn: {
+    type: Number,
+    default: 0
+  },
+  valueOut: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields
+  versionKey: false // Removes __v field
+});
+
+// Index for better query performance
+// Note: adjustmentNo already has unique: true which creates an index
+stockAdjustmentSchema.index({ 'items.id': 1 });
+stockAdjustmentSchema.index({ 'items.reason': 1 });
+
+// Pre-save middleware to total the value in and out
+stockAdjustmentSchema.pre('save', function(next) {
+  const sumValue = (direction) => roundAmount(this.items
+    .filter(item => item.direction === direction)
+    .reduce((total, item) => total + item.value, 0));
+
+  this.valueIn = sumValue('in');
+  this.valueOut = sumValue('out');
+
+  next();
+});
+
+// Instance method to get formatted adjustment details
+stockAdjustmentSchema.methods.getFormattedDetails = function() {
+  return {
+    id: this._id,
+    adjustmentNo: this.adjustmentNo,
+    items: this.items,
+    date: this.date,
+    approvedBy: this.approvedBy,
+    notes: this.notes,
+    stockTakeId: this.stockTakeId,
+    stockTakeNo: this.stockTakeNo,
+    valueIn: this.valueIn,
+    valueOut: this.valueOut,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to generate next adjustment number
+stockAdjustmentSchema.statics.generateNextAdjustmentNumber = async function(date = null, session = null) {
+  const Counter = require('./Counter');
+  return Counter.generateNumber('stock-adjustment', date, session);
+};
+
+// Static method to build adjusted lines, with their stock-unit quantity and value, from request line items
+stockAdjustmentSchema.statics.buildLines = async function(items, session = null) {
+  const Item = require('./Item');
+  const Warehouse = require('./Warehouse');
+  const lineItems = [];
+
+  for (const line of items) {
+    const item = mongoose.isValidObjectId(line.id) ? await Item.findById(line.id).session(session) : null;
+    if (!item) {
+      throw new ApiError(400, `Item not found: ${line.itemName}`);
+    }
+
+    if (!ADJUSTMENT_DIRECTIONS.includes(line.direction)) {
+      throw new ApiError(400, `Direction of ${item.productName} must be in or out`);
+    }
+
+    if (!ADJUSTMENT_REASONS.includes(line.reason)) {
+      throw new ApiError(400, `Reason of ${item.productName} must be one of: ${ADJUSTMENT_REASONS.join(', ')}`);
+    }
+
+    if (!(line.quantity > 0)) {
+      throw new ApiError(400, `Quantity of ${item.productName} must be greater than 0`);
+    }
+
+    const warehouse = await Warehouse.resolve(line.warehouseId, session);
+
+    const unit = line.unit || getDefaultUnit(item);
+    const baseQuantity = toBaseQuantity(item, line.quantity, unit);
+
+    lineItems.push({
+      id: item._id.toString(),
+      itemName: item.productName,
+      direction: line.direction,
+      quantity: line.quantity,
+      unit,
+      baseQuantity,
+      warehouseId: warehouse._id,
+      // Lots to take the goods from first, for items tracked by lot
+      lots: line.direction === 'out' ? line.lots : undefined,
+      reason: line.reason,
+      // Purchase prices are per the item's default unit
+      value: roundAmount(fromBaseQuantity(item, baseQuantity) * item.purchasePrice),
+      note: line.note
+    });
+  }
+
+  return lineItems;
+};
+
+// Static method to create an adjustment and move its stock through the stock ledger
+// Call it inside withTransaction (utils/transaction.js)
+stockAdjustmentSchema.statics.createAdjustment = async function(adjustmentData, session) {
+  const { applyStockAdjustment } = require('../utils/stock');
+  const { items, date, approvedBy, notes, stockTakeId, stockTakeNo } = adjustmentData;
+
+  const lineItems = await this.buildLines(items, session);
+
+  // Generate adjustment number
+  const adjustmentNo = await this.generateNextAdjustmentNumber(date, session);
+
+  const adjustment = new this({
+    adjustmentNo,
+    items: lineItems,
+    date,
+    approvedBy,
+    notes,
+    stockTakeId,
+    stockTakeNo
+  });
+
+  // Stock moves before saving so lots taken are saved with the lines
+  await applyStockAdjustment(adjustment, session);
+
+  await adjustment.save({ session });
+
+  return adjustment;
+};
+
+const StockAdjustment = mongoose.model('StockAdjustment', stockAdjustmentSchema);
+
+StockAdjustment.REASONS = ADJUSTMENT_REASONS;
+StockAdjustment.DIRECTIONS = ADJUSTMENT_DIRECTIONS;
+
+module.exports = StockAdjustment;
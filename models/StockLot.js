@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const { formatDocumentDate } = require('../utils/dates');
+
+// Stock quantities are fractions of the base unit, kept to 4 decimals in output
+const roundQuantity = (quantity) => Math.round(quantity * 10000) / 10000;
+
+// Share of a lot a document line took or returned, in the item's stock unit.
+// Kept on sale, purchase, return, challan and adjustment lines
+const lotAllocationSchema = new mongoose.Schema({
+  lotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLot',
+    required: [true, 'Lot is required']
+  },
+  lotNo: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Lot quantity is required'],
+    min: [0, 'Lot quantity cannot be negative']
+  }
+}, { _id: false }); // Disable _id for subdocuments
+
+// One purchase lot of an item tracked by lot, with the quality it arrived in
+const stockLotSchema = new mongoose.Schema({
+  lotNo: {
+    type: String,
+    required: [true, 'Lot number is required'],
+    unique: true,
+    trim: true
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: [true, 'Item is required']
+  },
+  itemName: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true
+  },
+  // Item's stock unit
+  unit: {
+    type: String,
+    trim: true
+  },
+  quantityReceived: {
+    type: Number,
+    required: [true, 'Quantity received is required'],
+    min: [0, 'Quantity received cannot be negative']
+  },
+  // What is left after sales, returns and adjustments took from the lot
+  quantityRemaining: {
+    type: Number,
+    required: [true, 'Quantity remaining is required'],
+    min: [0, 'Quantity remaining cannot be negative']
+  },
+  // Moisture content, as a percentage
+  moisture: {
+    type: Number,
+    min: [0, 'Moisture cannot be negative'],
+    max: [100, 'Moisture cannot exceed 100%']
+  },
+  grade: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Grade cannot exceed 50 characters']
+  },
+  // Lots are used oldest arrival first
+  arrivalDate: {
+    type: Date,
+    required: [true, 'Arrival date is required']
+  },
+  // Warehouse the lot is in: where it arrived, until a transfer moves it
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
+  // Purchase the lot arrived on
+  purchaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Purchase',
+    required: [true, 'Purchase is required']
+  },
+  billNo: {
+    type: String,
+    trim: true
+  },
+  // Lot this one was split off from by a stock transfer
+  splitFromLotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLot',
+    required: false
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields
+  versionKey: false // Removes __v field
+});
+
+// Index for better query performance
+// Note: lotNo already has unique: true which creates an index
+stockLotSchema.index({ itemId: 1, arrivalDate: 1 });
+stockLotSchema.index({ purchaseId: 1 });
+stockLotSchema.index({ splitFromLotId: 1 });
+stockLotSchema.index({ quantityRemaining: 1 });
+
+// Instance method to get formatted lot details
+stockLotSchema.methods.getFormattedDetails = function() {
+  return {
+    id: this._id,
+    lotNo: this.lotNo,
+    itemId: this.itemId,
+    itemName: this.itemName,
+    unit: this.unit,
+    quantityReceived: roundQuantity(this.quantityReceived),
+    quantityRemaining: roundQuantity(this.quantityRemaining),
+    quantityUsed: roundQuantity(this.quantityReceived - this.quantityRemaining),
+    isExhausted: this.quantityRemaining <= 0,
+    moisture: this.moisture,
+    grade: this.grade,
+    arrivalDate: formatDocumentDate(this.arrivalDate),
+    warehouseId: this.warehouseId,
+    purchaseId: this.purchaseId,
+    billNo: this.billNo,
+    splitFromLotId: this.splitFromLotId,
+    notes: this.notes,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to generate next lot number
+stockLotSchema.statics.generateNextLotNumber = async function(date = null, session = null) {
+  const Counter = require('./Counter');
+  return Counter.generateNumber('stock-lot', date, session);
+};
+
+// Static method to get the lots of an item with stock left in a warehouse, oldest arrival first.
+// Lots received before warehouses existed have none and are in the default warehouse
+stockLotSchema.statics.findOpenLots = async function(itemId, warehouseId = null, session = null) {
+  const Warehouse = require('./Warehouse');
+  const defaultWarehouse = await Warehouse.getDefault(session);
+  const resolvedId = warehouseId || defaultWarehouse._id;
+
+  return this.find({
+    itemId,
+    warehouseId: defaultWarehouse._id.equals(resolvedId) ? { $in: [resolvedId, null] } : resolvedId,
+    quantityRemaining: { $gt: 0 }
+  })
+    .sort({ arrivalDate: 1, createdAt: 1 })
+    .session(session);
+};
+
+const StockLot = mongoose.model('StockLot', stockLotSchema);
+
+StockLot.allocationSchema = lotAllocationSchema;
+
+module.exports = StockLot;
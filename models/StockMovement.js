@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const { formatDocumentDate } = require('../utils/dates');
+
+// What moved the stock
+const MOVEMENT_SOURCES = [
+  'opening', // Stock the item was created with
+  'sale',
+  'purchase',
+  'credit-note', // Sale return
+  'debit-note', // Purchase return
+  'delivery-challan',
+  'adjustment', // Stock adjustment for damage, shrinkage and the like
+  'transfer', // Stock moved between warehouses
+  'manual' // Stock set on the item or the Bardana stock endpoint
+];
+
+// Whether the document was created, edited or deleted
+const MOVEMENT_ACTIONS = ['create', 'edit', 'delete'];
+
+// Document number field of each source document
+const SOURCE_NUMBER_FIELDS = {
+  sale: 'invoiceNo',
+  purchase: 'billNo',
+  'credit-note': 'creditNoteNo',
+  'debit-note': 'debitNoteNo',
+  'delivery-challan': 'challanNo',
+  adjustment: 'adjustmentNo',
+  transfer: 'transferNo'
+};
+
+// One change to an item's stock. Movements are only ever added, so an item's
+// movements in order explain how its stock got to where it is
+const stockMovementSchema = new mongoose.Schema({
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Item',
+    required: [true, 'Item is required']
+  },
+  itemName: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true
+  },
+  // Date of the source document
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  sourceType: {
+    type: String,
+    enum: {
+      values: MOVEMENT_SOURCES,
+      message: 'Invalid stock movement source'
+    },
+    required: [true, 'Source is required']
+  },
+  sourceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: false
+  },
+  sourceNo: {
+    type: String,
+    trim: true
+  },
+  action: {
+    type: String,
+    enum: {
+      values: MOVEMENT_ACTIONS,
+      message: 'Stock movement action must be create, edit or delete'
+    },
+    default: 'create'
+  },
+  // Change in stock, in the item's base unit; negative when stock goes out
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required']
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Quantity and unit as entered on the document line
+  lineQuantity: {
+    type: Number,
+    required: false
+  },
+  lineUnit: {
+    type: String,
+    trim: true
+  },
+  // Item's stock after this movement
+  balanceAfter: {
+    type: Number,
+    required: [true, 'Balance after is required']
+  },
+  // Warehouse the stock moved in, and the item's stock there after this movement
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
+  warehouseBalanceAfter: {
+    type: Number,
+    required: false
+  },
+  // Reason code of a stock adjustment (see StockAdjustment.REASONS)
+  reason: {
+    type: String,
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false // Removes __v field
+});
+
+// Index for better query performance
+stockMovementSchema.index({ itemId: 1, createdAt: 1 });
+stockMovementSchema.index({ itemId: 1, date: 1 });
+stockMovementSchema.index({ sourceType: 1, sourceId: 1 });
+stockMovementSchema.index({ warehouseId: 1, createdAt: 1 });
+
+// The ledger is append-only; mistakes are corrected by further movements
+stockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Stock movements cannot be changed'));
+  }
+  next();
+});
+
+stockMovementSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Stock movements cannot be changed or deleted'));
+  }
+);
+
+// Instance method to get formatted movement details
+stockMovementSchema.methods.getFormattedDetails = function() {
+  return {
+    id: this._id,
+    itemId: this.itemId,
+    itemName: this.itemName,
+    date: formatDocumentDate(this.date),
+    sourceType: this.sourceType,
+    sourceId: this.sourceId,
+    sourceNo: this.sourceNo,
+    action: this.action,
+    quantity: this.quantity,
+    unit: this.unit,
+    lineQuantity: this.lineQuantity,
+    lineUnit: this.lineUnit,
+    balanceAfter: this.balanceAfter,
+    warehouseId: this.warehouseId,
+    warehouseBalanceAfter: this.warehouseBalanceAfter,
+    reason: this.reason,
+    note: this.note,
+    createdAt: this.createdAt
+  };
+};
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+
+StockMovement.SOURCES = MOVEMENT_SOURCES;
+StockMovement.ACTIONS = MOVEMENT_ACTIONS;
+StockMovement.SOURCE_NUMBER_FIELDS = SOURCE_NUMBER_FIELDS;
+
+module.exports = StockMovement;
@@ -0,0 +1,323 @@
+const mongoose = require('mongoose');
+const { ApiError } = require('../utils/errors');
+const { QUANTITY_TOLERANCE } = require('../utils/lineProgress');
+const { toBaseQuantity } = require('../utils/units');
+
+const STOCK_TAKE_STATUSES = ['open', 'finalised'];
+
+// Adjustment reasons used for a variance when the count doesn't give one
+const DEFAULT_VARIANCE_REASONS = { in: 'found', out: 'shrinkage' };
+
+// Stock quantities are fractions of the base unit, kept to 4 decimals in output
+const roundQuantity = (quantity) => Math.round(quantity * 10000) / 10000;
+
+// Counted line subdocument schema, quantities are in the item's stock unit
+const stockTakeItemSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: [true, 'Item ID is required']
+  },
+  itemName: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true
+  },
+  // Item's stock unit
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Stock on the books when the line was last counted, or when the session was finalised
+  bookQuantity: {
+    type: Number,
+    default: 0
+  },
+  // Quantity found in the godown; null until the item is counted
+  countedQuantity: {
+    type: Number,
+    min: [0, 'Counted quantity cannot be negative'],
+    default: null
+  },
+  // Reason to post the variance with (see StockAdjustment.REASONS)
+  reason: {
+    type: String,
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Note cannot exceed 200 characters']
+  }
+}, { _id: false }); // Disable _id for subdocuments
+
+// Main StockTake schema, one physical count of a warehouse
+const stockTakeSchema = new mongoose.Schema({
+  stockTakeNo: {
+    type: String,
+    required: [true, 'Stock take number is required'],
+    unique: true,
+    trim: true
+  },
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Date must be in MM/DD/YYYY format']
+  },
+  items: {
+    type: [stockTakeItemSchema],
+    required: [true, 'Items are required'],
+    validate: {
+      validator: function(items) {
+        return items && items.length > 0;
+      },
+      message: 'At least one item is required'
+    }
+  },
+  // Warehouse counted; book stock is the stock held there (the default warehouse if not set)
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: false
+  },
+  warehouseName: {
+    type: String,
+    trim: true
+  },
+  countedBy: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Counted by cannot exceed 100 characters']
+  },
+  status: {
+    type: String,
+    enum: {
+      values: STOCK_TAKE_STATUSES,
+      message: 'Status must be open or finalised'
+    },
+    default: 'open'
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  },
+  // Set when the session is finalised
+  approvedBy: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Approver cannot exceed 100 characters']
+  },
+  finalisedAt: {
+    type: Date,
+    required: false
+  },
+  // Adjustment the variances were posted as; none if nothing differed
+  adjustmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockAdjustment',
+    required: false
+  },
+  adjustmentNo: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields
+  versionKey: false // Removes __v field
+});
+
+// Index for better query performance
+// Note: stockTakeNo already has unique: true which creates an index
+stockTakeSchema.index({ status: 1 });
+stockTakeSchema.index({ createdAt: -1 });
+
+// Instance method to get the variance of every line: counted less book stock
+stockTakeSchema.methods.getVariances = function() {
+  return this.items.map(line => {
+    const counted = line.countedQuantity !== null && line.countedQuantity !== undefined;
+    const variance = counted ? line.countedQuantity - line.bookQuantity : 0;
+
+    return {
+      id: line.id,
+      itemName: line.itemName,
+      unit: line.unit,
+      bookQuantity: roundQuantity(line.bookQuantity),
+      countedQuantity: counted ? roundQuantity(line.countedQuantity) : null,
+      counted,
+      variance: Math.abs(variance) > QUANTITY_TOLERANCE ? roundQuantity(variance) : 0,
+      reason: line.reason,
+      note: line.note
+    };
+  });
+};
+
+// Instance method to refresh book stock of every line from the items' stock in the warehouse counted
+stockTakeSchema.methods.refreshBookQuantities = async function(session = null) {
+  const Item = require('./Item');
+  const { getWarehouseQuantity } = require('../utils/stock');
+
+  const items = await Item.find({ _id: { $in: this.items.map(line => line.id) } }).session(session);
+  const stock = new Map();
+  for (const item of items) {
+    const { quantity } = await getWarehouseQuantity(item, this.warehouseId, session);
+    stock.set(item._id.toString(), quantity);
+  }
+
+  this.items.forEach(line => {
+    line.bookQuantity = stock.has(line.id) ? stock.get(line.id) : 0;
+  });
+};
+
+// Instance method to enter counted quantities, e.g. [{ id, quantity, unit, reason, note }].
+// A quantity of null clears the count of that item.
+stockTakeSchema.methods.setCounts = async function(counts, session = null) {
+  const Item = require('./Item');
+  const StockAdjustment = require('./StockAdjustment');
+  const { getWarehouseQuantity } = require('../utils/stock');
+
+  if (this.status !== 'open') {
+    throw new ApiError(409, `Stock take ${this.stockTakeNo} is already finalised`);
+  }
+
+  for (const count of counts) {
+    const line = this.items.find(item => item.id === String(count.id));
+    if (!line) {
+      throw new ApiError(400, `Item ${count.itemName || count.id} is not part of stock take ${this.stockTakeNo}`);
+    }
+
+    if (count.reason !== undefined && count.reason !== null && !StockAdjustment.REASONS.includes(count.reason)) {
+      throw new ApiError(400, `Reason of ${line.itemName} must be one of: ${StockAdjustment.REASONS.join(', ')}`);
+    }
+
+    if (count.quantity === null) {
+      line.countedQuantity = null;
+    } else if (count.quantity !== undefined) {
+      if (typeof count.quantity !== 'number' || count.quantity < 0) {
+        throw new ApiError(400, `Counted quantity of ${line.itemName} must be a number of 0 or more`);
+      }
+
+      const item = await Item.findById(line.id).session(session);
+      if (!item) {
+        throw new ApiError(400, `Item not found: ${line.itemName}`);
+      }
+
+      // Counts can be entered in either unit of the item
+      line.countedQuantity = toBaseQuantity(item, count.quantity, count.unit || item.baseUnit);
+      line.bookQuantity = (await getWarehouseQuantity(item, this.warehouseId, session)).quantity;
+    }
+
+    if (count.reason !== undefined) line.reason = count.reason || undefined;
+    if (count.note !== undefined) line.note = count.note;
+  }
+};
+
+// Instance method to get formatted stock take details
+stockTakeSchema.methods.getFormattedDetails = function() {
+  const lines = this.getVariances();
+  const countedLines = lines.filter(line => line.counted);
+
+  return {
+    id: this._id,
+    stockTakeNo: this.stockTakeNo,
+    date: this.date,
+    warehouseId: this.warehouseId,
+    warehouseName: this.warehouseName,
+    items: lines,
+    summary: {
+      itemCount: lines.length,
+      countedCount: countedLines.length,
+      uncountedCount: lines.length - countedLines.length,
+      shortCount: countedLines.filter(line => line.variance < 0).length,
+      excessCount: countedLines.filter(line => line.variance > 0).length
+    },
+    countedBy: this.countedBy,
+    status: this.status,
+    notes: this.notes,
+    approvedBy: this.approvedBy,
+    finalisedAt: this.finalisedAt,
+    adjustmentId: this.adjustmentId,
+    adjustmentNo: this.adjustmentNo,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to generate next stock take number
+stockTakeSchema.statics.generateNextStockTakeNumber = async function(date = null, session = null) {
+  const Counter = require('./Counter');
+  return Counter.generateNumber('stock-take', date, session);
+};
+
+/**
+ * Finalise a stock take: compare the counts with book stock as it is now and
+ * post every variance as one stock adjustment. Items not counted are left alone.
+ * Call it inside withTransaction (utils/transaction.js).
+ * @param {ObjectId} stockTakeId - Stock take to finalise
+ * @param {string} approvedBy - Who approved the adjustment
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} { stockTake, adjustment (null if nothing differed) }
+ */
+stockTakeSchema.statics.finalise = async function(stockTakeId, approvedBy, session) {
+  const StockAdjustment = require('./StockAdjustment');
+
+  const stockTake = await this.findById(stockTakeId).session(session);
+  if (!stockTake) {
+    throw new ApiError(404, 'Stock take not found');
+  }
+  if (stockTake.status !== 'open') {
+    throw new ApiError(409, `Stock take ${stockTake.stockTakeNo} is already finalised`);
+  }
+
+  const countedLines = stockTake.items.filter(line => line.countedQuantity !== null && line.countedQuantity !== undefined);
+  if (countedLines.length === 0) {
+    throw new ApiError(400, 'Enter the counted quantity of at least one item before finalising');
+  }
+
+  // Stock may have moved since counting, so the variance is against book stock now
+  await stockTake.refreshBookQuantities(session);
+
+  const adjustmentLines = [];
+  for (const line of stockTake.getVariances().filter(variance => variance.counted && variance.variance !== 0)) {
+    const direction = line.variance > 0 ? 'in' : 'out';
+
+    adjustmentLines.push({
+      id: line.id,
+      itemName: line.itemName,
+      direction,
+      quantity: Math.abs(line.variance),
+      unit: line.unit,
+      warehouseId: stockTake.warehouseId,
+      reason: line.reason || DEFAULT_VARIANCE_REASONS[direction],
+      note: line.note
+    });
+  }
+
+  let adjustment = null;
+  if (adjustmentLines.length > 0) {
+    adjustment = await StockAdjustment.createAdjustment({
+      items: adjustmentLines,
+      date: stockTake.date,
+      approvedBy,
+      notes: `Variance found in stock take ${stockTake.stockTakeNo}`,
+      stockTakeId: stockTake._id,
+      stockTakeNo: stockTake.stockTakeNo
+    }, session);
+
+    stockTake.adjustmentId = adjustment._id;
+    stockTake.adjustmentNo = adjustment.adjustmentNo;
+  }
+
+  stockTake.status = 'finalised';
+  stockTake.approvedBy = approvedBy;
+  stockTake.finalisedAt = new Date();
+  await stockTake.save({ session });
+
+  return { stockTake, adjustment };
+};
+
+const StockTake = mongoose.model('StockTake', stockTakeSchema);
+
+StockTake.STATUSES = STOCK_TAKE_STATUSES;
+
+module.exports = StockTake;
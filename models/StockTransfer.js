@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const { ApiError } = require('../utils/errors');
+const { getDefaultUnit, toBaseQuantity } = require('../utils/units');
+
+// Share of a lot a transfer line moved. When only part of the lot went, the part
+// moved was split off into a lot of its own in the receiving warehouse
+const transferLotSchema = new mongoose.Schema({
+  lotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLot',
+    required: [true, 'Lot is required']
+  },
+  lotNo: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Lot quantity is required'],
+    min: [0, 'Lot quantity cannot be negative']
+  },
+  splitLotId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockLot',
+    required: false
+  },
+  splitLotNo: {
+    type: String,
+    trim: true
+  }
+}, { _id: false }); // Disable _id for subdocuments
+
+// Transferred line subdocument schema
+const transferItemSchema = new mongoose.Schema({
+  id: {
+    type: String,
+    required: [true, 'Item ID is required']
+  },
+  itemName: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Quantity is required'],
+    min: [0, 'Quantity cannot be negative']
+  },
+  // Unit the quantity is in (defaults to the item's alternate unit)
+  unit: {
+    type: String,
+    trim: true
+  },
+  // Quantity converted to the item's stock unit
+  baseQuantity: {
+    type: Number,
+    required: [true, 'Base quantity is required'],
+    min: [0, 'Base quantity cannot be negative']
+  },
+  // Lots moved, for items tracked by lot
+  lots: {
+    type: [transferLotSchema],
+    default: undefined
+  }
+}, { _id: false }); // Disable _id for subdocuments
+
+// Main StockTransfer schema, goods moved from one warehouse to another
+const stockTransferSchema = new mongoose.Schema({
+  transferNo: {
+    type: String,
+    required: [true, 'Transfer number is required'],
+    unique: true,
+    trim: true
+  },
+  date: {
+    type: String,
+    required: [true, 'Date is required'],
+    match: [/^\d{1,2}\/\d{1,2}\/\d{4}$/, 'Date must be in MM/DD/YYYY format']
+  },
+  fromWarehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'From warehouse is required']
+  },
+  fromWarehouseName: {
+    type: String,
+    trim: true
+  },
+  toWarehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: [true, 'To warehouse is required'],
+    validate: {
+      validator: function(toWarehouseId) {
+        return !toWarehouseId.equals(this.fromWarehouseId);
+      },
+      message: 'From and to warehouses must be different'
+    }
+  },
+  toWarehouseName: {
+    type: String,
+    trim: true
+  },
+  items: {
+    type: [transferItemSchema],
+    required: [true, 'Items are required'],
+    validate: {
+      validator: function(items) {
+        return items && items.length > 0;
+      },
+      message: 'At least one item is required'
+    }
+  },
+  vehicleNumber: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Vehicle number cannot exceed 20 characters']
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters'],
+    default: ''
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields
+  versionKey: false // Removes __v field
+});
+
+// Index for better query performance
+// Note: transferNo already has unique: true which creates an index
+stockTransferSchema.index({ fromWarehouseId: 1 });
+stockTransferSchema.index({ toWarehouseId: 1 });
+stockTransferSchema.index({ 'items.id': 1 });
+
+// Instance method to get formatted transfer details
+stockTransferSchema.methods.getFormattedDetails = function() {
+  return {
+    id: this._id,
+    transferNo: this.transferNo,
+    date: this.date,
+    fromWarehouseId: this.fromWarehouseId,
+    fromWarehouseName: this.fromWarehouseName,
+    toWarehouseId: this.toWarehouseId,
+    toWarehouseName: this.toWarehouseName,
+    items: this.items,
+    vehicleNumber: this.vehicleNumber,
+    notes: this.notes,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to generate next transfer number
+stockTransferSchema.statics.generateNextTransferNumber = async function(date = null, session = null) {
+  const Counter = require('./Counter');
+  return Counter.generateNumber('stock-transfer', date, session);
+};
+
+// Static method to create a transfer and move its stock between the warehouses
+// Call it inside withTransaction (utils/transaction.js)
+stockTransferSchema.statics.createTransfer = async function(transferData, session) {
+  const Item = require('./Item');
+  const Warehouse = require('./Warehouse');
+  const { applyStockTransfer } = require('../utils/stock');
+  const { items, date, fromWarehouseId, toWarehouseId, vehicleNumber, notes } = transferData;
+
+  const fromWarehouse = await Warehouse.resolve(fromWarehouseId, session);
+  const toWarehouse = await Warehouse.resolve(toWarehouseId, session);
+
+  if (fromWarehouse._id.equals(toWarehouse._id)) {
+    throw new ApiError(400, 'From and to warehouses must be different');
+  }
+
+  const lineItems = [];
+  for (const line of items) {
+    const item = mongoose.isValidObjectId(line.id) ? await Item.findById(line.id).session(session) : null;
+    if (!item) {
+      throw new ApiError(400, `Item not found: ${line.itemName}`);
+    }
+
+    if (!(line.quantity > 0)) {
+      throw new ApiError(400, `Quantity of ${item.productName} must be greater than 0`);
+    }
+
+    const unit = line.unit || getDefaultUnit(item);
+    lineItems.push({
+      id: item._id.toString(),
+      itemName: item.productName,
+      quantity: line.quantity,
+      unit,
+      baseQuantity: toBaseQuantity(item, line.quantity, unit),
+      // Lots named on the line are moved first
+      lots: line.lots
+    });
+  }
+
+  // Generate transfer number
+  const transferNo = await this.generateNextTransferNumber(date, session);
+
+  const transfer = new this({
+    transferNo,
+    date,
+    fromWarehouseId: fromWarehouse._id,
+    fromWarehouseName: fromWarehouse.name,
+    toWarehouseId: toWarehouse._id,
+    toWarehouseName: toWarehouse.name,
+    items: lineItems,
+    vehicleNumber,
+    notes
+  });
+
+  // Lots are recorded on the lines as the stock moves
+  await applyStockTransfer(transfer, session);
+
+  await transfer.save({ session });
+
+  return transfer;
+};
+
+module.exports = mongoose.model('StockTransfer', stockTransferSchema);
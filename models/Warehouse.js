@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const { ApiError } = require('../utils/errors');
+
+// Godown or shop where stock is kept
+const warehouseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Warehouse name is required'],
+    trim: true,
+    unique: true,
+    maxlength: [100, 'Warehouse name cannot exceed 100 characters']
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Address cannot exceed 500 characters']
+  },
+  // Stock moves here when a document doesn't name a warehouse
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  // Inactive warehouses take no new stock but keep their history
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true, // Adds createdAt and updatedAt fields
+  versionKey: false // Removes __v field
+});
+
+// Index for better query performance
+// Note: name already has unique: true which creates an index
+warehouseSchema.index({ isDefault: 1 });
+
+// Instance method to get formatted warehouse details
+warehouseSchema.methods.getFormattedDetails = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    address: this.address,
+    isDefault: this.isDefault,
+    isActive: this.isActive,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt
+  };
+};
+
+// Static method to get the default warehouse, creating the main godown if there is none
+warehouseSchema.statics.getDefault = async function(session = null) {
+  const warehouse = await this.findOne({ isDefault: true }).session(session);
+  if (warehouse) {
+    return warehouse;
+  }
+
+  const [mainGodown] = await this.create([{ name: 'Main Godown', isDefault: true }], { session });
+  return mainGodown;
+};
+
+// Static method to find the warehouse a document names, or the default one if it names none
+warehouseSchema.statics.resolve = async function(warehouseId, session = null) {
+  if (!warehouseId) {
+    return this.getDefault(session);
+  }
+
+  const warehouse = mongoose.isValidObjectId(warehouseId)
+    ? await this.findById(warehouseId).session(session)
+    : null;
+
+  if (!warehouse) {
+    throw new ApiError(400, `Warehouse not found: ${warehouseId}`);
+  }
+
+  if (!warehouse.isActive) {
+    throw new ApiError(400, `Warehouse ${warehouse.name} is inactive`);
+  }
+
+  return warehouse;
+};
+
+module.exports = mongoose.model('Warehouse', warehouseSchema);
@@ -1,6 +1,8 @@
 const express = require('express');
 const Company = require('../models/Company');
+const Counter = require('../models/Counter');
 const { validateCompanyDetails } = require('../middleware/companyValidation');
+const { REMINDER_DEFAULTS, TEMPLATE_PLACEHOLDERS, getReminderSettings } = require('../utils/paymentReminders');
 
 const router = express.Router();
 
@@ -189,6 +191,173 @@ router.post('/details/validate', validateCompanyDetails, (req, res) => {
   }
 });
 
+// GET /company/number-series - Get document number series settings
+router.get('/number-series', async (req, res) => {
+  try {
+    const series = {};
+    for (const name of Object.keys(Counter.SERIES_DEFAULTS)) {
+      series[name] = await Counter.getSeriesSettings(name);
+    }
+    
+    res.json({
+      success: true,
+      data: series,
+      message: 'Number series settings retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get number series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// PUT /company/number-series - Update prefix/padding of document number series
+router.put('/number-series', async (req, res) => {
+  try {
+    const updates = req.body || {};
+    const unknownSeries = Object.keys(updates).filter(name => !Counter.SERIES_DEFAULTS[name]);
+    
+    if (unknownSeries.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown number series: ${unknownSeries.join(', ')}`
+      });
+    }
+    
+    const company = await Company.findOne().sort({ createdAt: -1 });
+    
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        error: 'Company details not found',
+        message: 'Save company details before configuring number series'
+      });
+    }
+    
+    for (const [name, settings] of Object.entries(updates)) {
+      const current = company.numberSeries.get(name);
+      company.numberSeries.set(name, {
+        prefix: settings.prefix !== undefined ? settings.prefix : current && current.prefix,
+        padding: settings.padding !== undefined ? settings.padding : current && current.padding
+      });
+    }
+    
+    await company.save();
+    
+    const series = {};
+    for (const name of Object.keys(Counter.SERIES_DEFAULTS)) {
+      series[name] = await Counter.getSeriesSettings(name);
+    }
+    
+    res.json({
+      success: true,
+      data: series,
+      message: 'Number series updated successfully'
+    });
+  } catch (error) {
+    console.error('Update number series error:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// GET /company/payment-reminders - Get overdue payment reminder settings
+router.get('/payment-reminders', async (req, res) => {
+  try {
+    const settings = await getReminderSettings();
+    
+    res.json({
+      success: true,
+      data: {
+        ...settings,
+        placeholders: TEMPLATE_PLACEHOLDERS
+      },
+      message: 'Payment reminder settings retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Get payment reminder settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+// PUT /company/payment-reminders - Update overdue payment reminder settings
+router.put('/payment-reminders', async (req, res) => {
+  try {
+    const updates = req.body || {};
+    const unknownSettings = Object.keys(updates).filter(name => REMINDER_DEFAULTS[name] === undefined);
+    
+    if (unknownSettings.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown reminder settings: ${unknownSettings.join(', ')}`
+      });
+    }
+    
+    const company = await Company.findOne().sort({ createdAt: -1 });
+    
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        error: 'Company details not found',
+        message: 'Save company details before configuring payment reminders'
+      });
+    }
+    
+    company.paymentReminders = {
+      ...(company.paymentReminders ? company.paymentReminders.toObject() : {}),
+      ...updates
+    };
+    
+    await company.save();
+    
+    res.json({
+      success: true,
+      data: {
+        ...await getReminderSettings(company),
+        placeholders: TEMPLATE_PLACEHOLDERS
+      },
+      message: 'Payment reminder settings updated successfully'
+    });
+  } catch (error) {
+    console.error('Update payment reminder settings error:', error);
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
 // GET /company/status - Get company service status
 router.get('/status', (req, res) => {
   res.json({
@@ -201,7 +370,11 @@ router.get('/status', (req, res) => {
       'update-details': 'PUT /company/details',
       'delete-details': 'DELETE /company/details',
       'get-default': 'GET /company/details/default',
-      'validate': 'POST /company/details/validate'
+      'validate': 'POST /company/details/validate',
+      'get-number-series': 'GET /company/number-series',
+      'update-number-series': 'PUT /company/number-series',
+      'get-payment-reminders': 'GET /company/payment-reminders',
+      'update-payment-reminders': 'PUT /company/payment-reminders'
     }
   });
 });
@@ -0,0 +1,525 @@
+const express = require('express');
+const router = express.Router();
+const DeliveryChallan = require('../models/DeliveryChallan');
+const Sale = require('../models/Sale');
+const Party = require('../models/Party');
+const { withTransaction } = require('../utils/transaction');
+const { resolveLineItems, stockLinesChanged, keepLineLots, adjustStock, getStockSource } = require('../utils/stock');
+const { formatDocumentDate } = require('../utils/dates');
+const { roundAmount } = require('../utils/gst');
+const { QUANTITY_TOLERANCE } = require('../utils/lineProgress');
+const { ApiError } = require('../utils/errors');
+
+// Build dispatched lines, with their stock-unit quantity, from request line items
+const buildChallanLines = async (items, session) => {
+  const lineItems = await resolveLineItems(items, session);
+  return lineItems.map(lineItem => ({
+    id: lineItem.id,
+    itemName: lineItem.itemName,
+    quantity: lineItem.quantity,
+    unit: lineItem.unit,
+    baseQuantity: lineItem.baseQuantity,
+    warehouseId: lineItem.warehouseId,
+    // Lots to take the goods from first, for items tracked by lot
+    lots: lineItem.lots,
+    rate: lineItem.rate
+  }));
+};
+
+// Sale lines for everything on a challan that hasn't been billed yet
+const getUnbilledSaleLines = (challan) => {
+  return challan.items
+    .filter(item => item.baseQuantity - item.billedBaseQuantity > QUANTITY_TOLERANCE)
+    .map(item => ({
+      id: item.id,
+      itemName: item.itemName,
+      // Kept unrounded so it converts back to exactly the pending stock quantity
+      quantity: item.quantity * (item.baseQuantity - item.billedBaseQuantity) / item.baseQuantity,
+      unit: item.unit,
+      warehouseId: item.warehouseId,
+      rate: item.rate
+    }));
+};
+
+// GET /api/delivery-challans - Get all delivery challans with optional filtering
+router.get('/', async (req, res) => {
+  try {
+    const { status, partyId, partyName, phoneNumber, search } = req.query;
+
+    // Build filter object
+    const filter = {};
+
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+
+    if (partyId) {
+      filter.partyId = partyId;
+    }
+
+    if (partyName) {
+      filter.partyName = { $regex: partyName, $options: 'i' };
+    }
+
+    if (phoneNumber) {
+      filter.phoneNumber = phoneNumber;
+    }
+
+    if (search) {
+      filter.$or = [
+        { partyName: { $regex: search, $options: 'i' } },
+        { phoneNumber: { $regex: search, $options: 'i' } },
+        { challanNo: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const challans = await DeliveryChallan.find(filter).sort({ createdAt: -1 });
+
+    // Transform _id to id for frontend compatibility
+    const transformedChallans = challans.map(challan => ({
+      ...challan.toObject(),
+      id: challan._id.toString(),
+      _id: undefined, // Remove _id to avoid confusion
+      progress: challan.getLineProgress()
+    }));
+
+    res.json({
+      success: true,
+      data: transformedChallans,
+      count: transformedChallans.length
+    });
+  } catch (error) {
+    console.error('Error fetching delivery challans:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch delivery challans'
+    });
+  }
+});
+
+// GET /api/delivery-challans/unbilled - Get challans not yet fully billed, grouped by party
+router.get('/unbilled', async (req, res) => {
+  try {
+    const { partyId, partyName, phoneNumber } = req.query;
+
+    const filter = { status: { $in: ['unbilled', 'partially-billed'] } };
+
+    if (partyId) {
+      filter.partyId = partyId;
+    }
+
+    if (partyName) {
+      filter.partyName = { $regex: partyName, $options: 'i' };
+    }
+
+    if (phoneNumber) {
+      filter.phoneNumber = phoneNumber;
+    }
+
+    const challans = await DeliveryChallan.find(filter).sort({ createdAt: 1 });
+
+    // Group by party, oldest challan first
+    const parties = new Map();
+    for (const challan of challans) {
+      const key = challan.partyId ? challan.partyId.toString() : `${challan.partyName}|${challan.phoneNumber}`;
+
+      if (!parties.has(key)) {
+        parties.set(key, {
+          partyId: challan.partyId,
+          partyName: challan.partyName,
+          phoneNumber: challan.phoneNumber,
+          challans: [],
+          unbilledAmount: 0
+        });
+      }
+
+      const party = parties.get(key);
+      const progress = challan.getLineProgress();
+      party.challans.push({
+        id: challan._id,
+        challanNo: challan.challanNo,
+        date: challan.date,
+        status: challan.status,
+        pendingItems: progress.filter(line => line.pendingBaseQuantity > 0)
+      });
+      party.unbilledAmount += progress.reduce((total, line) => total + line.pendingQuantity * line.rate, 0);
+    }
+
+    const data = Array.from(parties.values()).map(party => ({
+      ...party,
+      unbilledAmount: roundAmount(party.unbilledAmount),
+      count: party.challans.length
+    }));
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('Error fetching unbilled delivery challans:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch unbilled delivery challans'
+    });
+  }
+});
+
+// GET /api/delivery-challans/:id - Get single delivery challan by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const challan = await DeliveryChallan.findById(req.params.id);
+
+    if (!challan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery challan not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: challan.getFormattedDetails()
+    });
+  } catch (error) {
+    console.error('Error fetching delivery challan:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch delivery challan'
+    });
+  }
+});
+
+// GET /api/delivery-challans/:id/sales - Get sales billed against a challan
+router.get('/:id/sales', async (req, res) => {
+  try {
+    const challan = await DeliveryChallan.findById(req.params.id);
+
+    if (!challan) {
+      return res.status(404).json({
+        success: false,
+        error: 'Delivery challan not found'
+      });
+    }
+
+    const sales = await Sale.find({ deliveryChallanId: challan._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: sales.map(sale => sale.getFormattedDetails()),
+      count: sales.length
+    });
+  } catch (error) {
+    console.error('Error fetching delivery challan sales:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch delivery challan sales'
+    });
+  }
+});
+
+// POST /api/delivery-challans - Dispatch goods on a new challan
+router.post('/', async (req, res) => {
+  try {
+    const {
+      partyName,
+      phoneNumber,
+      items,
+      date,
+      vehicleNumber,
+      notes,
+      pdfUri
+    } = req.body;
+
+    // Validate required fields
+    if (!partyName || !phoneNumber || !items || !date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Party name, phone number, items, and date are required'
+      });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one item is required'
+      });
+    }
+
+    const challan = await withTransaction(async (session) => {
+      // Generate challan number
+      const challanNo = await DeliveryChallan.generateNextChallanNumber(date, session);
+
+      // Find or create party
+      const party = await Party.findOrCreate({
+        name: partyName,
+        phoneNumber: phoneNumber
+      }, session);
+
+      const lineItems = await buildChallanLines(items, session);
+
+      const newChallan = new DeliveryChallan({
+        challanNo,
+        partyName,
+        phoneNumber,
+        partyId: party._id,
+        items: lineItems,
+        date,
+        vehicleNumber,
+        notes,
+        pdfUri
+      });
+
+      // Goods leave the godown now, the sales billing them won't move stock again.
+      // Moved before saving so lots taken are saved with the lines
+      await adjustStock(newChallan.items, -1, session, { source: getStockSource('delivery-challan', newChallan) });
+
+      await newChallan.save({ session });
+
+      return newChallan;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: challan.getFormattedDetails(),
+      message: 'Delivery challan created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating delivery challan:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create delivery challan'
+    });
+  }
+});
+
+// PUT /api/delivery-challans/:id - Update delivery challan
+router.put('/:id', async (req, res) => {
+  try {
+    const {
+      items,
+      date,
+      vehicleNumber,
+      notes,
+      pdfUri
+    } = req.body;
+
+    const challan = await withTransaction(async (session) => {
+      const existingChallan = await DeliveryChallan.findById(req.params.id).session(session);
+
+      if (!existingChallan) {
+        throw new ApiError(404, 'Delivery challan not found');
+      }
+
+      // Billed quantities refer to the dispatched lines, so they are fixed once billing starts
+      if (items && existingChallan.hasBilling()) {
+        throw new ApiError(409, 'Items of a delivery challan that has been billed cannot be changed');
+      }
+
+      const originalItems = existingChallan.items.map(item => item.toObject());
+      const lineItems = items ? await buildChallanLines(items, session) : null;
+
+      // Goods move again only when they change; otherwise the lines keep their lots
+      const stockChanged = lineItems !== null && stockLinesChanged(originalItems, lineItems);
+      if (lineItems && !stockChanged) {
+        keepLineLots(originalItems, lineItems);
+      }
+
+      // Update fields
+      if (lineItems) existingChallan.items = lineItems;
+      if (date) existingChallan.date = date;
+      if (vehicleNumber !== undefined) existingChallan.vehicleNumber = vehicleNumber;
+      if (notes !== undefined) existingChallan.notes = notes;
+      if (pdfUri !== undefined) existingChallan.pdfUri = pdfUri;
+
+      // Return the originally dispatched goods, then dispatch the new ones
+      if (stockChanged) {
+        const source = getStockSource('delivery-challan', existingChallan, 'edit');
+        await adjustStock(originalItems, 1, session, { source, strict: false });
+        await adjustStock(existingChallan.items, -1, session, { source });
+      }
+
+      await existingChallan.save({ session });
+
+      return existingChallan;
+    });
+
+    res.json({
+      success: true,
+      data: challan.getFormattedDetails(),
+      message: 'Delivery challan updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating delivery challan:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update delivery challan'
+    });
+  }
+});
+
+// POST /api/delivery-challans/:id/convert - Bill a challan, fully or in part, as a sale
+router.post('/:id/convert', async (req, res) => {
+  try {
+    const {
+      items,
+      date,
+      pdfUri,
+      placeOfSupply,
+      discountType,
+      discountValue,
+      additionalCharges,
+      autoRoundOff,
+      roundOff,
+      overrideCreditLimit
+    } = req.body;
+
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one item is required'
+      });
+    }
+
+    const result = await withTransaction(async (session) => {
+      const challan = await DeliveryChallan.findById(req.params.id).session(session);
+
+      if (!challan) {
+        throw new ApiError(404, 'Delivery challan not found');
+      }
+
+      if (challan.status === 'billed') {
+        throw new ApiError(409, 'Delivery challan has already been fully billed');
+      }
+
+      // Same path as POST /api/sales; billing the challan replaces the stock deduction
+      const sale = await Sale.createSale({
+        partyName: challan.partyName,
+        phoneNumber: challan.phoneNumber,
+        items: items || getUnbilledSaleLines(challan),
+        date: date || formatDocumentDate(),
+        pdfUri,
+        placeOfSupply,
+        discountType,
+        discountValue,
+        additionalCharges,
+        autoRoundOff,
+        roundOff,
+        deliveryChallanId: challan._id,
+        overrideCreditLimit: overrideCreditLimit === true
+      }, session);
+
+      const billedChallan = await DeliveryChallan.findById(challan._id).session(session);
+      return { challan: billedChallan, sale };
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        challan: result.challan.getFormattedDetails(),
+        sale: result.sale.getFormattedDetails()
+      },
+      message: 'Delivery challan converted into sale successfully'
+    });
+  } catch (error) {
+    console.error('Error converting delivery challan:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to convert delivery challan'
+    });
+  }
+});
+
+// DELETE /api/delivery-challans/:id - Delete delivery challan and return its goods to stock
+router.delete('/:id', async (req, res) => {
+  try {
+    await withTransaction(async (session) => {
+      const challan = await DeliveryChallan.findById(req.params.id).session(session);
+
+      if (!challan) {
+        throw new ApiError(404, 'Delivery challan not found');
+      }
+
+      if (await Sale.exists({ deliveryChallanId: challan._id }).session(session)) {
+        throw new ApiError(409, 'A delivery challan with sales against it cannot be deleted; delete its sales first');
+      }
+
+      // Restore stock levels for items and Bardana
+      await adjustStock(challan.items, 1, session, { source: getStockSource('delivery-challan', challan, 'delete'), strict: false });
+
+      await DeliveryChallan.findByIdAndDelete(req.params.id, { session });
+    });
+
+    res.json({
+      success: true,
+      message: 'Delivery challan deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting delivery challan:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete delivery challan'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,461 @@
+const express = require('express');
+const router = express.Router();
+const Estimate = require('../models/Estimate');
+const Sale = require('../models/Sale');
+const Party = require('../models/Party');
+const Company = require('../models/Company');
+const { withTransaction } = require('../utils/transaction');
+const { resolveLineItems } = require('../utils/stock');
+const { formatDocumentDate } = require('../utils/dates');
+const { ApiError } = require('../utils/errors');
+
+// Work out GST supply details for a party that may not exist yet
+const getEstimateSupply = async (partyName, phoneNumber, placeOfSupply, session) => {
+  const party = await Party.findOne({ name: partyName, phoneNumber }).session(session);
+  return Company.getSupplyDetails(placeOfSupply || (party ? party.stateCode : undefined), 'sale', session);
+};
+
+// GET /api/estimates - Get all estimates with optional filtering
+router.get('/', async (req, res) => {
+  try {
+    const { status, partyName, phoneNumber, search } = req.query;
+
+    await Estimate.markExpired();
+
+    // Build filter object
+    const filter = {};
+
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+
+    if (partyName) {
+      filter.partyName = { $regex: partyName, $options: 'i' };
+    }
+
+    if (phoneNumber) {
+      filter.phoneNumber = phoneNumber;
+    }
+
+    if (search) {
+      filter.$or = [
+        { partyName: { $regex: search, $options: 'i' } },
+        { phoneNumber: { $regex: search, $options: 'i' } },
+        { estimateNo: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const estimates = await Estimate.find(filter).sort({ createdAt: -1 });
+
+    // Transform _id to id for frontend compatibility
+    const transformedEstimates = estimates.map(estimate => ({
+      ...estimate.toObject(),
+      id: estimate._id.toString(),
+      _id: undefined // Remove _id to avoid confusion
+    }));
+
+    res.json({
+      success: true,
+      data: transformedEstimates,
+      count: transformedEstimates.length
+    });
+  } catch (error) {
+    console.error('Error fetching estimates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch estimates'
+    });
+  }
+});
+
+// GET /api/estimates/:id - Get single estimate by ID
+router.get('/:id', async (req, res) => {
+  try {
+    await Estimate.markExpired();
+
+    const estimate = await Estimate.findById(req.params.id);
+
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Estimate not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: estimate.getFormattedDetails()
+    });
+  } catch (error) {
+    console.error('Error fetching estimate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch estimate'
+    });
+  }
+});
+
+// POST /api/estimates - Create new estimate (does not touch stock or balances)
+router.post('/', async (req, res) => {
+  try {
+    const {
+      partyName,
+      phoneNumber,
+      items,
+      date,
+      validUntil,
+      status = 'draft',
+      notes,
+      pdfUri,
+      placeOfSupply,
+      discountType,
+      discountValue,
+      additionalCharges,
+      autoRoundOff,
+      roundOff
+    } = req.body;
+
+    // Validate required fields
+    if (!partyName || !phoneNumber || !items || !date || !validUntil) {
+      return res.status(400).json({
+        success: false,
+        error: 'Party name, phone number, items, date and valid until date are required'
+      });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one item is required'
+      });
+    }
+
+    if (!['draft', 'sent'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A new estimate must be either draft or sent'
+      });
+    }
+
+    const estimate = await withTransaction(async (session) => {
+      // Generate estimate number
+      const estimateNo = await Estimate.generateNextEstimateNumber(date, session);
+
+      // Record the unit, stock quantity and GST rates of every line
+      const lineItems = await resolveLineItems(items, session);
+      const supply = await getEstimateSupply(partyName, phoneNumber, placeOfSupply, session);
+
+      const newEstimate = new Estimate({
+        estimateNo,
+        partyName,
+        phoneNumber,
+        items: lineItems,
+        placeOfSupply: supply.placeOfSupply,
+        supplyType: supply.supplyType,
+        discountType,
+        discountValue,
+        additionalCharges,
+        autoRoundOff,
+        roundOff,
+        totalAmount: 0, // Will be calculated in pre-save middleware
+        date,
+        validUntil,
+        status,
+        notes,
+        pdfUri
+      });
+
+      await newEstimate.save({ session });
+      return newEstimate;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: estimate.getFormattedDetails(),
+      message: 'Estimate created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating estimate:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create estimate'
+    });
+  }
+});
+
+// PUT /api/estimates/:id - Update estimate
+router.put('/:id', async (req, res) => {
+  try {
+    const {
+      partyName,
+      phoneNumber,
+      items,
+      date,
+      validUntil,
+      notes,
+      pdfUri,
+      placeOfSupply,
+      discountType,
+      discountValue,
+      additionalCharges,
+      autoRoundOff,
+      roundOff
+    } = req.body;
+
+    const estimate = await withTransaction(async (session) => {
+      const existingEstimate = await Estimate.findById(req.params.id).session(session);
+
+      if (!existingEstimate) {
+        throw new ApiError(404, 'Estimate not found');
+      }
+
+      if (existingEstimate.saleId) {
+        throw new ApiError(409, 'A converted estimate cannot be changed');
+      }
+
+      // Update fields
+      if (partyName) existingEstimate.partyName = partyName;
+      if (phoneNumber) existingEstimate.phoneNumber = phoneNumber;
+      if (items) existingEstimate.items = await resolveLineItems(items, session);
+      if (date) existingEstimate.date = date;
+      if (validUntil) existingEstimate.validUntil = validUntil;
+      if (notes !== undefined) existingEstimate.notes = notes;
+      if (pdfUri !== undefined) existingEstimate.pdfUri = pdfUri;
+      if (discountType !== undefined) existingEstimate.discountType = discountType;
+      if (discountValue !== undefined) existingEstimate.discountValue = discountValue;
+      if (additionalCharges !== undefined) existingEstimate.additionalCharges = additionalCharges;
+      if (autoRoundOff !== undefined) existingEstimate.autoRoundOff = autoRoundOff;
+      if (roundOff !== undefined) existingEstimate.roundOff = roundOff;
+
+      if (partyName || phoneNumber || placeOfSupply) {
+        const supply = await getEstimateSupply(
+          existingEstimate.partyName,
+          existingEstimate.phoneNumber,
+          placeOfSupply,
+          session
+        );
+        existingEstimate.placeOfSupply = supply.placeOfSupply;
+        existingEstimate.supplyType = supply.supplyType;
+      }
+
+      // A new validity date reopens an expired estimate
+      if (validUntil && existingEstimate.status === 'expired' && !existingEstimate.isPastValidity()) {
+        existingEstimate.status = 'draft';
+      }
+
+      await existingEstimate.save({ session });
+      return existingEstimate;
+    });
+
+    res.json({
+      success: true,
+      data: estimate.getFormattedDetails(),
+      message: 'Estimate updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating estimate:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update estimate'
+    });
+  }
+});
+
+// PATCH /api/estimates/:id/status - Update estimate status
+router.patch('/:id/status', async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    if (!Estimate.STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Status must be one of: ${Estimate.STATUSES.join(', ')}`
+      });
+    }
+
+    const estimate = await Estimate.findById(req.params.id);
+
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Estimate not found'
+      });
+    }
+
+    if (estimate.saleId) {
+      return res.status(409).json({
+        success: false,
+        error: 'A converted estimate cannot be changed'
+      });
+    }
+
+    if (status !== 'expired' && estimate.isPastValidity()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Estimate validity has passed; update the valid until date first'
+      });
+    }
+
+    estimate.status = status;
+    await estimate.save();
+
+    res.json({
+      success: true,
+      data: estimate.getFormattedDetails(),
+      message: 'Estimate status updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating estimate status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update estimate status'
+    });
+  }
+});
+
+// POST /api/estimates/:id/convert - Convert estimate into a sale
+router.post('/:id/convert', async (req, res) => {
+  try {
+    const { date, pdfUri, overrideCreditLimit } = req.body;
+
+    const result = await withTransaction(async (session) => {
+      const estimate = await Estimate.findById(req.params.id).session(session);
+
+      if (!estimate) {
+        throw new ApiError(404, 'Estimate not found');
+      }
+
+      if (estimate.saleId) {
+        throw new ApiError(409, 'Estimate has already been converted into a sale');
+      }
+
+      if (estimate.status === 'expired' || estimate.isPastValidity()) {
+        throw new ApiError(400, 'Estimate has expired');
+      }
+
+      // Same path as POST /api/sales, this is where stock and balance change
+      const sale = await Sale.createSale({
+        partyName: estimate.partyName,
+        phoneNumber: estimate.phoneNumber,
+        items: estimate.items.map(item => item.toObject()),
+        date: date || formatDocumentDate(),
+        pdfUri,
+        placeOfSupply: estimate.placeOfSupply,
+        discountType: estimate.discountType,
+        discountValue: estimate.discountValue,
+        additionalCharges: estimate.additionalCharges.map(charge => charge.toObject()),
+        autoRoundOff: estimate.autoRoundOff,
+        roundOff: estimate.roundOff,
+        overrideCreditLimit: overrideCreditLimit === true
+      }, session);
+
+      estimate.status = 'accepted';
+      estimate.saleId = sale._id;
+      await estimate.save({ session });
+
+      return { estimate, sale };
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        estimate: result.estimate.getFormattedDetails(),
+        sale: result.sale.getFormattedDetails()
+      },
+      message: 'Estimate converted into sale successfully'
+    });
+  } catch (error) {
+    console.error('Error converting estimate:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to convert estimate'
+    });
+  }
+});
+
+// DELETE /api/estimates/:id - Delete estimate
+router.delete('/:id', async (req, res) => {
+  try {
+    const estimate = await Estimate.findById(req.params.id);
+
+    if (!estimate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Estimate not found'
+      });
+    }
+
+    if (estimate.saleId) {
+      return res.status(409).json({
+        success: false,
+        error: 'A converted estimate cannot be deleted'
+      });
+    }
+
+    await Estimate.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Estimate deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting estimate:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete estimate'
+    });
+  }
+});
+
+module.exports = router;
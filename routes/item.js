@@ -1,12 +1,29 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Item = require('../models/Item');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
 const { validateItem } = require('../middleware/validation');
+const { getDefaultUnit, isItemUnit, toBaseQuantity, fromBaseQuantity } = require('../utils/units');
+const { recordStockMovement, getWarehouseQuantity, moveItemStock } = require('../utils/stock');
+const { QUANTITY_TOLERANCE } = require('../utils/lineProgress');
+const { parseDocumentDate } = require('../utils/dates');
+const { withTransaction } = require('../utils/transaction');
+const { ApiError } = require('../utils/errors');
 
-// GET /api/items - Get all items with optional filtering
+// GET /api/items - Get all items with optional filtering. byLocation=true adds the
+// stock held in every warehouse; warehouseId adds the stock held in that one
 router.get('/', async (req, res) => {
   try {
-    const { category, search, isUniversal } = req.query;
+    const { category, search, isUniversal, byLocation, warehouseId } = req.query;
+    
+    if (warehouseId && !mongoose.isValidObjectId(warehouseId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid warehouse id'
+      });
+    }
     
     // Build filter object
     const filter = {};
@@ -25,10 +42,40 @@ router.get('/', async (req, res) => {
     
     const items = await Item.find(filter).sort({ createdAt: -1 });
     
+    if (byLocation !== 'true' && !warehouseId) {
+      return res.json({
+        success: true,
+        data: items,
+        count: items.length
+      });
+    }
+    
+    const warehouses = await Warehouse.find().sort({ isDefault: -1, name: 1 });
+    
+    const data = items.map(item => {
+      const itemData = item.toObject();
+      
+      if (byLocation === 'true') {
+        itemData.stockByLocation = warehouses
+          .map(warehouse => ({
+            warehouseId: warehouse._id,
+            warehouseName: warehouse.name,
+            quantity: item.getWarehouseStock(warehouse._id)
+          }))
+          .filter(location => location.quantity > 0);
+      }
+      
+      if (warehouseId) {
+        itemData.locationStock = item.getWarehouseStock(warehouseId);
+      }
+      
+      return itemData;
+    });
+    
     res.json({
       success: true,
-      data: items,
-      count: items.length
+      data,
+      count: data.length
     });
   } catch (error) {
     console.error('Error fetching items:', error);
@@ -75,7 +122,15 @@ router.post('/', validateItem, async (req, res) => {
       openingStock,
       asOfDate,
       lowStockAlert,
-      isUniversal = false
+      baseUnit,
+      alternateUnit,
+      conversionFactor,
+      hsnCode,
+      gstRate,
+      cessRate,
+      isUniversal = false,
+      trackLots = false,
+      warehouseId
     } = req.body;
     
     // Check if product name already exists
@@ -90,7 +145,7 @@ router.post('/', validateItem, async (req, res) => {
       });
     }
     
-    const newItem = new Item({
+    const itemData = {
       productName,
       category,
       purchasePrice,
@@ -98,11 +153,37 @@ router.post('/', validateItem, async (req, res) => {
       openingStock,
       asOfDate,
       lowStockAlert,
-      isUniversal
+      baseUnit,
+      alternateUnit,
+      conversionFactor,
+      hsnCode: hsnCode || undefined,
+      gstRate,
+      cessRate,
+      isUniversal,
+      trackLots
+    };
+    
+    const savedItem = await withTransaction(async (session) => {
+      // Opening stock is kept in the warehouse given, or the default one
+      const warehouse = await Warehouse.resolve(warehouseId, session);
+      
+      const newItem = new Item(itemData);
+      if (newItem.openingStock > 0) {
+        newItem.warehouseStock = [{ warehouseId: warehouse._id, quantity: newItem.openingStock }];
+      }
+      await newItem.save({ session });
+      
+      // The stock ledger starts from the opening stock, as of the item's date
+      if (newItem.openingStock > 0) {
+        await recordStockMovement(newItem, newItem.openingStock, {
+          type: 'opening',
+          date: new Date(`${newItem.asOfDate}T00:00:00`)
+        }, session, { warehouseId: warehouse._id });
+      }
+      
+      return newItem;
     });
     
-    const savedItem = await newItem.save();
-    
     res.status(201).json({
       success: true,
       data: savedItem,
@@ -111,6 +192,13 @@ router.post('/', validateItem, async (req, res) => {
   } catch (error) {
     console.error('Error creating item:', error);
     
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     if (error.code === 11000) {
       return res.status(400).json({
         success: false,
@@ -135,7 +223,15 @@ router.put('/:id', validateItem, async (req, res) => {
       salePrice,
       openingStock,
       asOfDate,
-      lowStockAlert
+      lowStockAlert,
+      baseUnit,
+      alternateUnit,
+      conversionFactor,
+      hsnCode,
+      gstRate,
+      cessRate,
+      trackLots,
+      warehouseId
     } = req.body;
     
     const item = await Item.findById(req.params.id);
@@ -162,20 +258,85 @@ router.put('/:id', validateItem, async (req, res) => {
       }
     }
     
-    // Update item
-    const updatedItem = await Item.findByIdAndUpdate(
-      req.params.id,
-      {
-        productName,
-        category,
-        purchasePrice,
-        salePrice,
-        openingStock,
-        asOfDate,
-        lowStockAlert
-      },
-      { new: true, runValidators: true }
-    );
+    const update = {
+      productName,
+      category,
+      purchasePrice,
+      salePrice,
+      asOfDate,
+      lowStockAlert
+    };
+    
+    // Units are optional, only change the ones sent
+    if (baseUnit !== undefined) update.baseUnit = baseUnit;
+    if (alternateUnit !== undefined) update.alternateUnit = alternateUnit;
+    if (conversionFactor !== undefined) update.conversionFactor = conversionFactor;
+    
+    // Same for GST details
+    if (hsnCode !== undefined) update.hsnCode = hsnCode || null;
+    if (gstRate !== undefined) update.gstRate = gstRate;
+    if (cessRate !== undefined) update.cessRate = cessRate;
+    
+    // Lot tracking applies to stock coming in from now on
+    if (trackLots !== undefined) update.trackLots = trackLots;
+    
+    const newBaseUnit = update.baseUnit || item.baseUnit;
+    const newAlternateUnit = alternateUnit !== undefined ? alternateUnit : item.alternateUnit;
+    if (newAlternateUnit && newAlternateUnit === newBaseUnit) {
+      return res.status(400).json({
+        success: false,
+        error: 'Alternate unit must be different from the base unit'
+      });
+    }
+    
+    // Stock, its ledger and saved lines are kept in the item's units, so those
+    // can't change once stock has moved
+    const unitsChanged = (baseUnit !== undefined && baseUnit !== item.baseUnit) ||
+      (alternateUnit !== undefined && (alternateUnit || null) !== (item.alternateUnit || null)) ||
+      (conversionFactor !== undefined && conversionFactor !== item.conversionFactor);
+    if (unitsChanged && (item.openingStock > 0 || await StockMovement.exists({ itemId: item._id }))) {
+      return res.status(409).json({
+        success: false,
+        error: 'Units and conversion factor of an item with stock or stock movements cannot be changed'
+      });
+    }
+    
+    // Lots only follow documents, so stock of an item tracked by lot changes through a stock adjustment
+    const tracksLots = trackLots !== undefined ? trackLots : item.trackLots;
+    if (tracksLots && Math.abs(openingStock - item.openingStock) > QUANTITY_TOLERANCE) {
+      return res.status(409).json({
+        success: false,
+        error: 'Stock of an item tracked by lot cannot be set on the item; record a stock adjustment instead'
+      });
+    }
+    
+    // Update item, recording a change to its stock in the stock ledger
+    const updatedItem = await withTransaction(async (session) => {
+      const updated = await Item.findByIdAndUpdate(
+        req.params.id,
+        update,
+        { new: true, runValidators: true, session }
+      );
+      
+      // The change to the total is made in the warehouse given, or the default one
+      const stockChange = openingStock - updated.openingStock;
+      if (stockChange !== 0) {
+        const warehouse = await Warehouse.resolve(warehouseId, session);
+        const available = await getWarehouseQuantity(updated, warehouse._id, session);
+        
+        if (-stockChange > available.quantity + QUANTITY_TOLERANCE) {
+          throw new ApiError(400, `Only ${available.quantity} ${updated.baseUnit} of ${updated.productName} is in ${warehouse.name}, choose the warehouse to reduce stock in`);
+        }
+        
+        await moveItemStock(updated, stockChange, {
+          type: 'manual',
+          action: 'edit',
+          note: 'Stock set on the item'
+        }, session, { warehouseId: warehouse._id });
+      }
+      
+      return updated;
+    });
     
     res.json({
       success: true,
@@ -185,6 +346,13 @@ router.put('/:id', validateItem, async (req, res) => {
   } catch (error) {
     console.error('Error updating item:', error);
     
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     if (error.code === 11000) {
       return res.status(400).json({
         success: false,
@@ -199,6 +367,93 @@ router.put('/:id', validateItem, async (req, res) => {
   }
 });
 
+// GET /api/items/:id/movements - Get the stock ledger of an item, oldest first
+router.get('/:id/movements', async (req, res) => {
+  try {
+    const { from, to, sourceType, warehouseId } = req.query;
+    
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid item id'
+      });
+    }
+    
+    if (warehouseId && !mongoose.isValidObjectId(warehouseId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid warehouse id'
+      });
+    }
+    
+    if ((from && !parseDocumentDate(from)) || (to && !parseDocumentDate(to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'From and to dates must be in MM/DD/YYYY format'
+      });
+    }
+    
+    if (sourceType && !StockMovement.SOURCES.includes(sourceType)) {
+      return res.status(400).json({
+        success: false,
+        error: `Source type must be one of: ${StockMovement.SOURCES.join(', ')}`
+      });
+    }
+    
+    const item = await Item.findById(req.params.id);
+    
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        error: 'Item not found'
+      });
+    }
+    
+    // Filtered on the date of the source document
+    const filter = { itemId: item._id };
+    
+    if (from || to) {
+      filter.date = {};
+      if (from) filter.date.$gte = parseDocumentDate(from);
+      if (to) filter.date.$lte = parseDocumentDate(to);
+    }
+    
+    if (sourceType) {
+      filter.sourceType = sourceType;
+    }
+    
+    if (warehouseId) {
+      filter.warehouseId = warehouseId;
+    }
+    
+    // In the order they were recorded, so each balance follows from the one before
+    const movements = await StockMovement.find(filter).sort({ createdAt: 1, _id: 1 });
+    
+    const quantityIn = movements.reduce((total, movement) => total + Math.max(movement.quantity, 0), 0);
+    const quantityOut = movements.reduce((total, movement) => total + Math.max(-movement.quantity, 0), 0);
+    
+    res.json({
+      success: true,
+      data: {
+        itemId: item._id,
+        productName: item.productName,
+        unit: item.baseUnit,
+        currentStock: warehouseId ? item.getWarehouseStock(warehouseId) : item.openingStock,
+        quantityIn,
+        quantityOut,
+        movements: movements.map(movement => movement.getFormattedDetails())
+      },
+      count: movements.length
+    });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stock movements'
+    });
+  }
+});
+
 // DELETE /api/items/:id - Delete item
 router.delete('/:id', async (req, res) => {
   try {
@@ -242,10 +497,10 @@ router.get('/stats/summary', async (req, res) => {
     const kiranaItems = await Item.countDocuments({ category: 'Kirana' });
     const universalItems = await Item.countDocuments({ isUniversal: true });
     
-    // Calculate total stock value
-    const items = await Item.find({}, 'openingStock purchasePrice');
+    // Calculate total stock value (prices are per item's default unit)
+    const items = await Item.find({}, 'productName openingStock purchasePrice baseUnit alternateUnit conversionFactor');
     const totalStockValue = items.reduce((total, item) => {
-      return total + (item.openingStock * 30 * item.purchasePrice); // Convert bags to kg
+      return total + (fromBaseQuantity(item, item.openingStock) * item.purchasePrice);
     }, 0);
     
     // Get low stock items
@@ -266,8 +521,13 @@ router.get('/stats/summary', async (req, res) => {
           id: item._id,
           productName: item.productName,
           currentStock: item.openingStock,
+          unit: item.baseUnit,
           lowStockAlert: item.lowStockAlert,
-          stockInKg: Math.round(item.openingStock * 30)
+          alternateUnit: item.alternateUnit,
+          stockInAlternateUnit: item.alternateUnit
+            ? Math.round(fromBaseQuantity(item, item.openingStock, item.alternateUnit))
+            : null,
+          stockInKg: isItemUnit(item, 'kg') ? Math.round(fromBaseQuantity(item, item.openingStock, 'kg')) : null
         }))
       }
     });
@@ -356,7 +616,8 @@ router.get('/bardana', async (req, res) => {
 // PUT /api/items/bardana/stock - Update Bardana stock (for internal use)
 router.put('/bardana/stock', async (req, res) => {
   try {
-    const { operation, quantity } = req.body; // operation: 'add' or 'subtract', quantity in kg
+    // operation: 'add' or 'subtract', quantity in unit (defaults to kg)
+    const { operation, quantity, unit } = req.body;
     
     if (!operation || !quantity || (operation !== 'add' && operation !== 'subtract')) {
       return res.status(400).json({
@@ -377,26 +638,40 @@ router.put('/bardana/stock', async (req, res) => {
       });
     }
     
-    // Convert kg to bags (1 bag = 30 kg)
-    const quantityInBags = quantity / 30;
-    
-    let newStock;
-    if (operation === 'add') {
-      newStock = Math.round((bardana.openingStock + quantityInBags) * 100) / 100;
-    } else {
-      newStock = Math.max(0, Math.round((bardana.openingStock - quantityInBags) * 100) / 100);
+    const quantityUnit = unit || getDefaultUnit(bardana);
+    if (!isItemUnit(bardana, quantityUnit)) {
+      return res.status(400).json({
+        success: false,
+        error: `Bardana cannot be measured in ${quantityUnit}`
+      });
     }
     
-    const updatedBardana = await Item.findByIdAndUpdate(
-      bardana._id,
-      { openingStock: newStock },
-      { new: true, runValidators: true }
-    );
+    // Convert to the stock unit (bags)
+    const quantityInBags = toBaseQuantity(bardana, quantity, quantityUnit);
+    
+    // Move the stock and record it in the stock ledger
+    const updatedBardana = await withTransaction(async (session) => {
+      const current = await Item.findById(bardana._id).session(session);
+      
+      let newStock;
+      if (operation === 'add') {
+        newStock = Math.round((current.openingStock + quantityInBags) * 100) / 100;
+      } else {
+        newStock = Math.max(0, Math.round((current.openingStock - quantityInBags) * 100) / 100);
+      }
+      
+      await moveItemStock(current, newStock - current.openingStock, {
+        type: 'manual',
+        note: `Bardana stock ${operation === 'add' ? 'added' : 'removed'}: ${quantity} ${quantityUnit}`
+      }, session);
+      
+      return current;
+    });
     
     res.json({
       success: true,
       data: updatedBardana,
-      message: `Bardana stock ${operation === 'add' ? 'increased' : 'decreased'} by ${quantity} kg (${quantityInBags} bags)`
+      message: `Bardana stock ${operation === 'add' ? 'increased' : 'decreased'} by ${quantity} ${quantityUnit} (${quantityInBags} ${bardana.baseUnit})`
     });
   } catch (error) {
     console.error('Error updating Bardana stock:', error);
@@ -1,22 +1,137 @@
 const express = require('express');
+const fs = require('fs');
+const path = require('path');
 const router = express.Router();
 const Party = require('../models/Party');
 const Sale = require('../models/Sale');
 const Purchase = require('../models/Purchase');
 const Payment = require('../models/Payment');
+const CreditNote = require('../models/CreditNote');
+const DebitNote = require('../models/DebitNote');
+const Company = require('../models/Company');
+const CloudinaryService = require('../utils/cloudinary');
+const WASenderService = require('../utils/wasender');
+const { roundAmount } = require('../utils/gst');
+const { parseDocumentDate } = require('../utils/dates');
+const { buildPartyLedger } = require('../utils/ledger');
+const { renderLedgerPdf } = require('../utils/ledgerPdf');
+const { BILL_SOURCES, getOpenBills, suggestAllocations } = require('../utils/billPayments');
+const {
+  NAME_SIMILARITY_THRESHOLD,
+  findDuplicateGroups,
+  getPartyNamePattern,
+  sanitizePhoneNumber
+} = require('../utils/partyMatching');
+const { withTransaction } = require('../utils/transaction');
+const { ApiError } = require('../utils/errors');
+
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+
+// Match user text literally inside a regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Read and check the statement period from a request
+const getLedgerPeriod = ({ from, to }) => {
+  if ((from && !parseDocumentDate(from)) || (to && !parseDocumentDate(to))) {
+    throw new ApiError(400, 'From and to dates must be in MM/DD/YYYY format');
+  }
+  
+  if (from && to && parseDocumentDate(from) > parseDocumentDate(to)) {
+    throw new ApiError(400, 'From date cannot be after to date');
+  }
+  
+  return { from, to };
+};
+
+// Load a party and render its statement for the requested period
+const renderPartyStatement = async (partyId, period) => {
+  const party = await Party.findById(partyId);
+  if (!party) {
+    throw new ApiError(404, 'Party not found');
+  }
+  
+  const ledger = await buildPartyLedger(party, getLedgerPeriod(period));
+  const company = await Company.findOne();
+  const pdf = await renderLedgerPdf(ledger, company);
+  const fileName = `ledger-${party.name.replace(/[^a-zA-Z0-9]+/g, '-')}-${Date.now()}`;
+  
+  return { party, ledger, pdf, fileName };
+};
 
 // GET /api/parties - Get all parties with optional filtering
 router.get('/', async (req, res) => {
   try {
-    const { search } = req.query;
+    const {
+      search,
+      balanceType,
+      type,
+      group,
+      stateCode,
+      gstin,
+      pan,
+      registered,
+      city,
+      archived
+    } = req.query;
     
     // Build filter object
     const filter = {};
     
+    // Archived parties are left out unless asked for
+    if (archived === 'true') {
+      filter.isArchived = true;
+    } else if (archived !== 'all') {
+      filter.isArchived = { $ne: true };
+    }
+    
+    // Customers and suppliers include parties that are both
+    if (type === 'customer' || type === 'supplier') {
+      filter.type = { $in: [type, 'both'] };
+    } else if (type) {
+      filter.type = type;
+    }
+    
+    if (group) {
+      filter.group = { $regex: `^${escapeRegex(group.trim())}$`, $options: 'i' };
+    }
+    
+    if (stateCode) {
+      filter.stateCode = stateCode;
+    }
+    
+    if (gstin) {
+      filter.gstin = gstin.trim().toUpperCase();
+    }
+    
+    if (pan) {
+      filter.pan = pan.trim().toUpperCase();
+    }
+    
+    // Registered parties have a GSTIN
+    if (registered === 'true') {
+      filter.gstin = filter.gstin || { $nin: [null, ''] };
+    } else if (registered === 'false') {
+      filter.gstin = { $in: [null, ''] };
+    }
+    
+    if (city) {
+      filter['billingAddress.city'] = { $regex: `^${escapeRegex(city.trim())}$`, $options: 'i' };
+    }
+    
+    // Balances are signed: positive is receivable, negative is payable
+    if (balanceType === 'receivable') {
+      filter.balance = { $gt: 0 };
+    } else if (balanceType === 'payable') {
+      filter.balance = { $lt: 0 };
+    } else if (balanceType === 'settled') {
+      filter.balance = 0;
+    }
+    
     if (search) {
       filter.$or = [
         { name: { $regex: search, $options: 'i' } },
-        { phoneNumber: { $regex: search, $options: 'i' } }
+        { phoneNumber: { $regex: search, $options: 'i' } },
+        { gstin: { $regex: search, $options: 'i' } }
       ];
     }
     
@@ -36,6 +151,152 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/parties/groups - Get the party groups in use with how many parties each has
+router.get('/groups', async (req, res) => {
+  try {
+    const groups = await Party.aggregate([
+      { $match: { group: { $nin: [null, ''] } } },
+      { $group: { _id: { $toLower: '$group' }, group: { $first: '$group' }, count: { $sum: 1 } } },
+      { $sort: { group: 1 } }
+    ]);
+    
+    res.json({
+      success: true,
+      data: groups.map(({ group, count }) => ({ group, count })),
+      count: groups.length
+    });
+  } catch (error) {
+    console.error('Error fetching party groups:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch party groups'
+    });
+  }
+});
+
+// GET /api/parties/duplicates - Find parties that are probably the same, by phone number or similar name
+router.get('/duplicates', async (req, res) => {
+  try {
+    const threshold = req.query.threshold !== undefined ? Number(req.query.threshold) : NAME_SIMILARITY_THRESHOLD;
+    
+    if (!(threshold > 0 && threshold <= 1)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Threshold must be a number above 0 and up to 1'
+      });
+    }
+    
+    const parties = await Party.find().sort({ createdAt: 1 });
+    const groups = findDuplicateGroups(parties, { nameThreshold: threshold });
+    
+    // Count each party's documents, so the one with the most history can be kept
+    const partyIds = groups.flatMap(group => group.parties.map(party => party._id));
+    const transactionCounts = new Map();
+    for (const model of [Sale, Purchase, Payment]) {
+      const counts = await model.aggregate([
+        { $match: { partyId: { $in: partyIds } } },
+        { $group: { _id: '$partyId', count: { $sum: 1 } } }
+      ]);
+      counts.forEach(({ _id, count }) => {
+        transactionCounts.set(_id.toString(), (transactionCounts.get(_id.toString()) || 0) + count);
+      });
+    }
+    
+    const data = groups.map(group => {
+      const members = group.parties.map(party => ({
+        ...party.getFormattedDetails(),
+        transactionCount: transactionCounts.get(party._id.toString()) || 0
+      }));
+      
+      // Parties are oldest first, so ties keep the oldest
+      const survivor = members.reduce((best, party) => (party.transactionCount > best.transactionCount ? party : best));
+      
+      return {
+        parties: members,
+        matches: group.matches,
+        suggestedSurvivorId: survivor.id.toString()
+      };
+    });
+    
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('Error finding duplicate parties:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find duplicate parties'
+    });
+  }
+});
+
+// GET /api/parties/balances/summary - Get total receivable and payable across parties
+router.get('/balances/summary', async (req, res) => {
+  try {
+    const [totals] = await Party.aggregate([
+      {
+        $group: {
+          _id: null,
+          receivable: { $sum: { $cond: [{ $gt: ['$balance', 0] }, '$balance', 0] } },
+          payable: { $sum: { $cond: [{ $lt: ['$balance', 0] }, { $multiply: ['$balance', -1] }, 0] } },
+          receivableCount: { $sum: { $cond: [{ $gt: ['$balance', 0] }, 1, 0] } },
+          payableCount: { $sum: { $cond: [{ $lt: ['$balance', 0] }, 1, 0] } }
+        }
+      }
+    ]);
+    
+    const receivable = totals ? roundAmount(totals.receivable) : 0;
+    const payable = totals ? roundAmount(totals.payable) : 0;
+    
+    res.json({
+      success: true,
+      data: {
+        receivable,
+        payable,
+        net: roundAmount(receivable - payable),
+        receivableCount: totals ? totals.receivableCount : 0,
+        payableCount: totals ? totals.payableCount : 0
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching balance summary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch balance summary'
+    });
+  }
+});
+
+// POST /api/parties/recompute-balances - Recompute balances from sales, purchases, returns and payments
+router.post('/recompute-balances', async (req, res) => {
+  try {
+    const { partyIds } = req.body;
+    
+    if (partyIds !== undefined && !Array.isArray(partyIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Party IDs must be an array'
+      });
+    }
+    
+    const result = await Party.recomputeBalances(partyIds ? { partyIds } : { all: true });
+    
+    res.json({
+      success: true,
+      data: result,
+      message: `Recomputed balances, ${result.updatedCount} changed`
+    });
+  } catch (error) {
+    console.error('Error recomputing party balances:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to recompute party balances'
+    });
+  }
+});
+
 // GET /api/parties/:id - Get single party by ID
 router.get('/:id', async (req, res) => {
   try {
@@ -64,7 +325,24 @@ router.get('/:id', async (req, res) => {
 // POST /api/parties - Create new party
 router.post('/', async (req, res) => {
   try {
-    const { name, phoneNumber, address, email } = req.body;
+    const {
+      name,
+      phoneNumber,
+      address,
+      email,
+      stateCode,
+      openingBalance,
+      openingBalanceType,
+      openingBalanceDate,
+      creditDays,
+      creditLimit,
+      type,
+      group,
+      gstin,
+      pan,
+      billingAddress,
+      shippingAddress
+    } = req.body;
     
     // Validate required fields
     if (!name || !phoneNumber) {
@@ -74,10 +352,10 @@ router.post('/', async (req, res) => {
       });
     }
     
-    // Check if party already exists
+    // Check if party already exists, matching names and numbers the way findOrCreate does
     const existingParty = await Party.findOne({
-      name: name,
-      phoneNumber: phoneNumber
+      name: { $regex: getPartyNamePattern(name), $options: 'i' },
+      phoneNumber: sanitizePhoneNumber(phoneNumber)
     });
     
     if (existingParty) {
@@ -92,7 +370,19 @@ router.post('/', async (req, res) => {
       phoneNumber,
       address,
       email,
-      balance: 0
+      stateCode,
+      openingBalance,
+      openingBalanceType,
+      openingBalanceDate,
+      creditDays,
+      creditLimit,
+      type,
+      group,
+      gstin,
+      pan,
+      billingAddress,
+      shippingAddress,
+      balance: 0 // Set from the opening balance in pre-save middleware
     });
     
     await party.save();
@@ -124,7 +414,24 @@ router.post('/', async (req, res) => {
 // PUT /api/parties/:id - Update party
 router.put('/:id', async (req, res) => {
   try {
-    const { name, phoneNumber, address, email, balance } = req.body;
+    const {
+      name,
+      phoneNumber,
+      address,
+      email,
+      stateCode,
+      openingBalance,
+      openingBalanceType,
+      openingBalanceDate,
+      creditDays,
+      creditLimit,
+      type,
+      group,
+      gstin,
+      pan,
+      billingAddress,
+      shippingAddress
+    } = req.body;
     
     const party = await Party.findById(req.params.id);
     
@@ -136,11 +443,11 @@ router.put('/:id', async (req, res) => {
     }
     
     // Check if another party exists with the same name and phone number
-    if (name && phoneNumber) {
+    if (name || phoneNumber) {
       const existingParty = await Party.findOne({
-        name: name,
-        phoneNumber: phoneNumber,
-        _id: { $ne: req.params.id }
+        name: { $regex: getPartyNamePattern(name || party.name), $options: 'i' },
+        phoneNumber: sanitizePhoneNumber(phoneNumber || party.phoneNumber),
+        _id: { $ne: party._id }
       });
       
       if (existingParty) {
@@ -156,7 +463,22 @@ router.put('/:id', async (req, res) => {
     if (phoneNumber) party.phoneNumber = phoneNumber;
     if (address !== undefined) party.address = address;
     if (email !== undefined) party.email = email;
-    if (balance !== undefined) party.balance = balance;
+    if (stateCode !== undefined) party.stateCode = stateCode || undefined;
+    if (creditDays !== undefined) party.creditDays = creditDays;
+    if (creditLimit !== undefined) party.creditLimit = creditLimit;
+    if (type !== undefined) party.type = type;
+    if (group !== undefined) party.group = group || undefined;
+    if (gstin !== undefined) party.gstin = gstin || undefined;
+    if (pan !== undefined) party.pan = pan || undefined;
+    if (billingAddress !== undefined) party.billingAddress = billingAddress || undefined;
+    if (shippingAddress !== undefined) party.shippingAddress = shippingAddress || undefined;
+    
+    // A changed opening balance moves the balance by the difference
+    const originalOpeningBalance = party.getSignedOpeningBalance();
+    if (openingBalance !== undefined) party.openingBalance = openingBalance;
+    if (openingBalanceType !== undefined) party.openingBalanceType = openingBalanceType;
+    if (openingBalanceDate !== undefined) party.openingBalanceDate = openingBalanceDate || undefined;
+    party.balance = roundAmount(party.balance + party.getSignedOpeningBalance() - originalOpeningBalance);
     
     await party.save();
     
@@ -184,7 +506,7 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// PATCH /api/parties/:id/balance - Update party balance
+// PATCH /api/parties/:id/balance - Change party balance by hand, through its opening balance
 router.patch('/:id/balance', async (req, res) => {
   try {
     const { amount, operation } = req.body;
@@ -203,7 +525,30 @@ router.patch('/:id/balance', async (req, res) => {
       });
     }
     
-    const party = await Party.updateBalance(req.params.id, amount, operation);
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Amount must be a number'
+      });
+    }
+    
+    const party = await Party.findById(req.params.id);
+    
+    if (!party) {
+      return res.status(404).json({
+        success: false,
+        error: 'Party not found'
+      });
+    }
+    
+    const changes = {
+      add: amount,
+      subtract: -amount,
+      set: amount - party.balance
+    };
+    party.adjustOpeningBalance(changes[operation]);
+    
+    await party.save();
     
     res.json({
       success: true,
@@ -213,10 +558,12 @@ router.patch('/:id/balance', async (req, res) => {
   } catch (error) {
     console.error('Error updating party balance:', error);
     
-    if (error.message === 'Party not found') {
-      return res.status(404).json({
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
         success: false,
-        error: 'Party not found'
+        error: 'Validation failed',
+        details: errors
       });
     }
     
@@ -230,7 +577,24 @@ router.patch('/:id/balance', async (req, res) => {
 // POST /api/parties/find-or-create - Find existing party or create new one
 router.post('/find-or-create', async (req, res) => {
   try {
-    const { name, phoneNumber, address, email } = req.body;
+    const {
+      name,
+      phoneNumber,
+      address,
+      email,
+      stateCode,
+      openingBalance,
+      openingBalanceType,
+      openingBalanceDate,
+      creditDays,
+      creditLimit,
+      type,
+      group,
+      gstin,
+      pan,
+      billingAddress,
+      shippingAddress
+    } = req.body;
     
     if (!name || !phoneNumber) {
       return res.status(400).json({
@@ -244,7 +608,19 @@ router.post('/find-or-create', async (req, res) => {
       phoneNumber,
       address,
       email,
-      balance: 0
+      stateCode,
+      openingBalance,
+      openingBalanceType,
+      openingBalanceDate,
+      creditDays,
+      creditLimit,
+      type,
+      group,
+      gstin,
+      pan,
+      billingAddress,
+      shippingAddress,
+      balance: 0 // Set from the opening balance in pre-save middleware
     });
     
     res.json({
@@ -255,6 +631,13 @@ router.post('/find-or-create', async (req, res) => {
   } catch (error) {
     console.error('Error finding or creating party:', error);
     
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -271,7 +654,7 @@ router.post('/find-or-create', async (req, res) => {
   }
 });
 
-// DELETE /api/parties/:id - Delete party
+// DELETE /api/parties/:id - Delete a party that has no documents; parties with history can be archived instead
 router.delete('/:id', async (req, res) => {
   try {
     const party = await Party.findById(req.params.id);
@@ -283,6 +666,15 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
+    const documents = await Party.countDocumentsFor(party._id);
+    if (Object.values(documents).some(count => count > 0)) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot delete party ${party.name} as it has transactions, archive it instead`,
+        details: documents
+      });
+    }
+    
     await Party.findByIdAndDelete(req.params.id);
     
     res.json({
@@ -298,6 +690,129 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// POST /api/parties/:id/merge - Merge duplicate parties into this one
+router.post('/:id/merge', async (req, res) => {
+  try {
+    const { partyIds } = req.body;
+    
+    if (!Array.isArray(partyIds) || partyIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Party IDs to merge must be a non-empty array'
+      });
+    }
+    
+    const result = await withTransaction((session) => Party.mergeParties(req.params.id, partyIds, session));
+    
+    res.json({
+      success: true,
+      data: {
+        party: result.party.getFormattedDetails(),
+        mergedParties: result.mergedParties,
+        moved: result.moved
+      },
+      message: `Merged ${result.mergedParties.length} parties into ${result.party.name}`
+    });
+  } catch (error) {
+    console.error('Error merging parties:', error);
+    
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to merge parties'
+    });
+  }
+});
+
+// POST /api/parties/:id/archive - Archive a party, hiding it from pickers while keeping its history
+router.post('/:id/archive', async (req, res) => {
+  try {
+    const party = await Party.findById(req.params.id);
+    
+    if (!party) {
+      return res.status(404).json({
+        success: false,
+        error: 'Party not found'
+      });
+    }
+    
+    if (party.isArchived) {
+      return res.status(409).json({
+        success: false,
+        error: 'Party is already archived'
+      });
+    }
+    
+    party.isArchived = true;
+    party.archivedAt = new Date();
+    await party.save();
+    
+    res.json({
+      success: true,
+      data: party.getFormattedDetails(),
+      message: 'Party archived successfully'
+    });
+  } catch (error) {
+    console.error('Error archiving party:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to archive party'
+    });
+  }
+});
+
+// POST /api/parties/:id/restore - Restore an archived party
+router.post('/:id/restore', async (req, res) => {
+  try {
+    const party = await Party.findById(req.params.id);
+    
+    if (!party) {
+      return res.status(404).json({
+        success: false,
+        error: 'Party not found'
+      });
+    }
+    
+    if (!party.isArchived) {
+      return res.status(409).json({
+        success: false,
+        error: 'Party is not archived'
+      });
+    }
+    
+    party.isArchived = false;
+    party.archivedAt = undefined;
+    await party.save();
+    
+    res.json({
+      success: true,
+      data: party.getFormattedDetails(),
+      message: 'Party restored successfully'
+    });
+  } catch (error) {
+    console.error('Error restoring party:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to restore party'
+    });
+  }
+});
+
 // GET /api/parties/:id/transactions - Get all transactions for a party
 router.get('/:id/transactions', async (req, res) => {
   try {
@@ -313,10 +828,12 @@ router.get('/:id/transactions', async (req, res) => {
     }
     
     // Fetch all transaction types in parallel
-    const [sales, purchases, payments] = await Promise.all([
+    const [sales, purchases, payments, creditNotes, debitNotes] = await Promise.all([
       Sale.find({ partyId: id }).sort({ createdAt: -1 }).lean(),
       Purchase.find({ partyId: id }).sort({ createdAt: -1 }).lean(),
-      Payment.find({ partyId: id }).sort({ createdAt: -1 }).lean()
+      Payment.find({ partyId: id }).sort({ createdAt: -1 }).lean(),
+      CreditNote.find({ partyId: id }).sort({ createdAt: -1 }).lean(),
+      DebitNote.find({ partyId: id }).sort({ createdAt: -1 }).lean()
     ]);
     
     // Transform and combine results
@@ -361,9 +878,57 @@ router.get('/:id/transactions', async (req, res) => {
         reference: payment.reference,
         createdAt: payment.createdAt,
         updatedAt: payment.updatedAt
+      })),
+      ...creditNotes.map(creditNote => ({
+        id: creditNote._id.toString(),
+        type: 'credit-note',
+        transactionId: creditNote.creditNoteNo,
+        saleId: creditNote.saleId.toString(),
+        invoiceNo: creditNote.invoiceNo,
+        partyName: creditNote.partyName,
+        phoneNumber: creditNote.phoneNumber,
+        totalAmount: creditNote.totalAmount,
+        date: creditNote.date,
+        reason: creditNote.reason,
+        pdfUri: creditNote.pdfUri,
+        createdAt: creditNote.createdAt,
+        updatedAt: creditNote.updatedAt,
+        items: creditNote.items
+      })),
+      ...debitNotes.map(debitNote => ({
+        id: debitNote._id.toString(),
+        type: 'debit-note',
+        transactionId: debitNote.debitNoteNo,
+        purchaseId: debitNote.purchaseId.toString(),
+        billNo: debitNote.billNo,
+        partyName: debitNote.partyName,
+        phoneNumber: debitNote.phoneNumber,
+        totalAmount: debitNote.totalAmount,
+        date: debitNote.date,
+        reason: debitNote.reason,
+        pdfUri: debitNote.pdfUri,
+        createdAt: debitNote.createdAt,
+        updatedAt: debitNote.updatedAt,
+        items: debitNote.items
       }))
     ].sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
     
+    // The opening balance comes before every transaction
+    if (party.openingBalance > 0) {
+      allTransactions.push({
+        id: `${party._id.toString()}-opening-balance`,
+        type: 'opening-balance',
+        transactionId: 'Opening Balance',
+        partyName: party.name,
+        phoneNumber: party.phoneNumber,
+        totalAmount: party.openingBalance,
+        openingBalanceType: party.openingBalanceType,
+        date: party.openingBalanceDate,
+        createdAt: party.createdAt,
+        updatedAt: party.updatedAt
+      });
+    }
+    
     res.json({
       success: true,
       data: {
@@ -381,4 +946,234 @@ router.get('/:id/transactions', async (req, res) => {
   }
 });
 
+// GET /api/parties/:id/credit-check - Check a sale amount against the party's credit limit
+// before billing, so the app can ask for an override up front
+router.get('/:id/credit-check', async (req, res) => {
+  try {
+    const { amount = 0 } = req.query;
+    
+    if (!(Number(amount) >= 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Amount must be a non-negative number'
+      });
+    }
+    
+    const party = await Party.findById(req.params.id);
+    if (!party) {
+      return res.status(404).json({
+        success: false,
+        error: 'Party not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        partyId: party._id.toString(),
+        partyName: party.name,
+        ...party.checkCreditLimit(Number(amount))
+      }
+    });
+  } catch (error) {
+    console.error('Error checking credit limit:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to check credit limit'
+    });
+  }
+});
+
+// GET /api/parties/:id/open-bills - Get bills of a party with a balance due, oldest first
+// type=payment-in (default) lists sales, type=payment-out lists purchases;
+// with amount, it also suggests how to allocate a payment of that amount
+router.get('/:id/open-bills', async (req, res) => {
+  try {
+    const { type = 'payment-in', amount } = req.query;
+    
+    if (!BILL_SOURCES[type]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Type must be either payment-in or payment-out'
+      });
+    }
+    
+    if (amount !== undefined && !(Number(amount) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Amount must be a positive number'
+      });
+    }
+    
+    const party = await Party.findById(req.params.id);
+    if (!party) {
+      return res.status(404).json({
+        success: false,
+        error: 'Party not found'
+      });
+    }
+    
+    const bills = await getOpenBills(type, party._id);
+    const totalDue = roundAmount(bills.reduce((total, bill) => total + bill.balanceDue, 0));
+    
+    res.json({
+      success: true,
+      data: {
+        partyId: party._id.toString(),
+        partyName: party.name,
+        type,
+        bills,
+        totalDue,
+        suggestion: amount !== undefined ? suggestAllocations(bills, Number(amount)) : null
+      },
+      count: bills.length
+    });
+  } catch (error) {
+    console.error('Error fetching open bills:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch open bills'
+    });
+  }
+});
+
+// GET /api/parties/:id/ledger - Get the party ledger statement for a period
+router.get('/:id/ledger', async (req, res) => {
+  try {
+    const period = getLedgerPeriod(req.query);
+    
+    const party = await Party.findById(req.params.id);
+    if (!party) {
+      return res.status(404).json({
+        success: false,
+        error: 'Party not found'
+      });
+    }
+    
+    const ledger = await buildPartyLedger(party, period);
+    
+    res.json({
+      success: true,
+      data: ledger,
+      count: ledger.entries.length
+    });
+  } catch (error) {
+    console.error('Error fetching party ledger:', error);
+    
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch party ledger'
+    });
+  }
+});
+
+// GET /api/parties/:id/ledger/pdf - Download the party ledger statement as a PDF
+router.get('/:id/ledger/pdf', async (req, res) => {
+  try {
+    const { pdf, fileName } = await renderPartyStatement(req.params.id, req.query);
+    
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${fileName}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Error rendering party ledger PDF:', error);
+    
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to render party ledger PDF'
+    });
+  }
+});
+
+// POST /api/parties/:id/ledger/send - Send the party ledger statement PDF on WhatsApp
+router.post('/:id/ledger/send', async (req, res) => {
+  try {
+    const { from, to, message } = req.body;
+    
+    if (!WASenderService.isConfigured()) {
+      return res.status(500).json({
+        success: false,
+        error: 'WASender API not configured. Please add WASENDER_API_KEY to environment variables.'
+      });
+    }
+    
+    const { party, ledger, pdf, fileName } = await renderPartyStatement(req.params.id, { from, to });
+    
+    // Store the statement where WhatsApp can fetch it, like uploaded invoices
+    if (!fs.existsSync(uploadsDir)) {
+      fs.mkdirSync(uploadsDir, { recursive: true });
+    }
+    const filePath = path.join(uploadsDir, `${fileName}.pdf`);
+    fs.writeFileSync(filePath, pdf);
+    
+    let documentUrl;
+    if (CloudinaryService.isConfigured()) {
+      const upload = await CloudinaryService.uploadPdf(filePath, fileName, 'statements');
+      fs.unlinkSync(filePath);
+      
+      if (!upload.success) {
+        return res.status(500).json({
+          success: false,
+          error: upload.error || 'Failed to upload statement to Cloudinary'
+        });
+      }
+      documentUrl = upload.url;
+    } else {
+      documentUrl = `${req.protocol}://${req.get('host')}/uploads/${fileName}.pdf`;
+    }
+    
+    const result = await WASenderService.sendLedgerStatement(party.phoneNumber, documentUrl, `${fileName}.pdf`, message);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: result.error,
+        details: result.response
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        documentUrl,
+        closingBalance: ledger.closingBalance,
+        closingBalanceSide: ledger.closingBalanceSide,
+        messageId: result.messageId
+      },
+      message: 'Ledger statement sent via WhatsApp successfully'
+    });
+  } catch (error) {
+    console.error('Error sending party ledger:', error);
+    
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send party ledger'
+    });
+  }
+});
+
 module.exports = router;
@@ -2,6 +2,9 @@ const express = require('express');
 const router = express.Router();
 const Payment = require('../models/Payment');
 const Party = require('../models/Party');
+const { withTransaction } = require('../utils/transaction');
+const { ApiError } = require('../utils/errors');
+const { buildAllocations, refreshBillSettlements } = require('../utils/billPayments');
 
 // Validation middleware
 const validatePaymentData = (req, res, next) => {
@@ -166,45 +169,44 @@ router.post('/', validatePaymentData, async (req, res) => {
       date, 
       description,
       paymentMethod = 'cash',
-      reference
+      reference,
+      allocations = []
     } = req.body;
     
-    // Find or create party
-    let party;
-    try {
-      party = await Party.findOrCreate({
+    const payment = await withTransaction(async (session) => {
+      // Find or create party
+      const party = await Party.findOrCreate({
         name: partyName,
         phoneNumber: phoneNumber
-      });
-    } catch (partyError) {
-      console.error('Error with party:', partyError);
-      // Continue without party reference if party creation fails
-    }
-    
-    // Create payment using the static method
-    const payment = await Payment.createPayment({
-      type,
-      partyName,
-      phoneNumber,
-      amount,
-      totalAmount: totalAmount || amount,
-      date,
-      description: description || '',
-      paymentMethod,
-      reference: reference || '',
-      partyId: party ? party._id : undefined
+      }, session);
+      
+      // Check the bills being settled against what is still due on them
+      const paymentAllocations = await buildAllocations({ type, amount, partyId: party._id }, allocations, session);
+      
+      // Create payment using the static method
+      const newPayment = await Payment.createPayment({
+        type,
+        partyName,
+        phoneNumber,
+        amount,
+        totalAmount: totalAmount || amount,
+        date,
+        description: description || '',
+        paymentMethod,
+        reference: reference || '',
+        partyId: party._id,
+        allocations: paymentAllocations
+      }, session);
+      
+      // Update party balance
+      await Payment.updatePartyBalance(newPayment, session);
+      
+      // Update payment status of the settled bills
+      await refreshBillSettlements(type, paymentAllocations.map(allocation => allocation.documentId), session);
+      
+      return newPayment;
     });
     
-    // Update party balance if party exists
-    if (party) {
-      try {
-        await Payment.updatePartyBalance(payment);
-      } catch (balanceError) {
-        console.error('Error updating party balance:', balanceError);
-        // Don't fail the payment creation if balance update fails
-      }
-    }
-    
     res.status(201).json({
       success: true,
       data: payment.getFormattedDetails(),
@@ -213,6 +215,13 @@ router.post('/', validatePaymentData, async (req, res) => {
   } catch (error) {
     console.error('Error creating payment:', error);
     
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -240,48 +249,60 @@ router.put('/:id', async (req, res) => {
       date, 
       description,
       paymentMethod,
-      reference
+      reference,
+      allocations
     } = req.body;
     
-    const payment = await Payment.findById(req.params.id);
-    
-    if (!payment) {
-      return res.status(404).json({
-        success: false,
-        error: 'Payment not found'
-      });
-    }
-    
-    // Store original values for balance rollback
-    const originalAmount = payment.amount;
-    const originalPartyId = payment.partyId;
-    
-    // Update fields
-    if (partyName) payment.partyName = partyName;
-    if (phoneNumber) payment.phoneNumber = phoneNumber;
-    if (amount !== undefined) payment.amount = amount;
-    if (totalAmount !== undefined) payment.totalAmount = totalAmount;
-    if (date) payment.date = date;
-    if (description !== undefined) payment.description = description;
-    if (paymentMethod) payment.paymentMethod = paymentMethod;
-    if (reference !== undefined) payment.reference = reference;
-    
-    await payment.save();
-    
-    // Update party balance if amount changed
-    if (originalAmount !== payment.amount && payment.partyId) {
-      try {
+    const payment = await withTransaction(async (session) => {
+      const existingPayment = await Payment.findById(req.params.id).session(session);
+      
+      if (!existingPayment) {
+        throw new ApiError(404, 'Payment not found');
+      }
+      
+      // Store original values for balance rollback
+      const originalAmount = existingPayment.amount;
+      const originalPartyId = existingPayment.partyId;
+      const originalType = existingPayment.type;
+      const originalBillIds = existingPayment.allocations.map(allocation => allocation.documentId);
+      
+      // Update fields
+      if (partyName) existingPayment.partyName = partyName;
+      if (phoneNumber) existingPayment.phoneNumber = phoneNumber;
+      if (amount !== undefined) existingPayment.amount = amount;
+      if (totalAmount !== undefined) existingPayment.totalAmount = totalAmount;
+      if (date) existingPayment.date = date;
+      if (description !== undefined) existingPayment.description = description;
+      if (paymentMethod) existingPayment.paymentMethod = paymentMethod;
+      if (reference !== undefined) existingPayment.reference = reference;
+      
+      // New allocations replace the old ones; a new amount must still cover the existing ones
+      if (allocations !== undefined || amount !== undefined) {
+        existingPayment.allocations = await buildAllocations(
+          existingPayment,
+          allocations !== undefined ? allocations : existingPayment.allocations,
+          session
+        );
+      }
+      
+      await existingPayment.save({ session });
+      
+      await refreshBillSettlements(existingPayment.type, [
+        ...originalBillIds,
+        ...existingPayment.allocations.map(allocation => allocation.documentId)
+      ], session);
+      
+      // Update party balance if amount changed
+      if (originalAmount !== existingPayment.amount && existingPayment.partyId) {
         // Reverse the original payment
-        const reverseOperation = 'add';
-        await Party.updateBalance(originalPartyId, originalAmount, reverseOperation);
+        await Party.applyTransaction(originalPartyId, originalType, -originalAmount, session);
         
         // Apply the new payment
-        await Payment.updatePartyBalance(payment);
-      } catch (balanceError) {
-        console.error('Error updating party balance:', balanceError);
-        // Don't fail the update if balance update fails
+        await Payment.updatePartyBalance(existingPayment, session);
       }
-    }
+      
+      return existingPayment;
+    });
     
     res.json({
       success: true,
@@ -291,6 +312,13 @@ router.put('/:id', async (req, res) => {
   } catch (error) {
     console.error('Error updating payment:', error);
     
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -310,27 +338,23 @@ router.put('/:id', async (req, res) => {
 // DELETE /api/payments/:id - Delete payment
 router.delete('/:id', async (req, res) => {
   try {
-    const payment = await Payment.findById(req.params.id);
-    
-    if (!payment) {
-      return res.status(404).json({
-        success: false,
-        error: 'Payment not found'
-      });
-    }
-    
-    // Reverse the party balance update
-    if (payment.partyId) {
-      try {
-        const reverseOperation = 'add';
-        await Party.updateBalance(payment.partyId, payment.amount, reverseOperation);
-      } catch (balanceError) {
-        console.error('Error reversing party balance:', balanceError);
-        // Continue with deletion even if balance reversal fails
+    await withTransaction(async (session) => {
+      const payment = await Payment.findById(req.params.id).session(session);
+      
+      if (!payment) {
+        throw new ApiError(404, 'Payment not found');
       }
-    }
-    
-    await Payment.findByIdAndDelete(req.params.id);
+      
+      // Reverse the party balance update
+      if (payment.partyId) {
+        await Party.applyTransaction(payment.partyId, payment.type, -payment.amount, session);
+      }
+      
+      await Payment.findByIdAndDelete(req.params.id, { session });
+      
+      // Bills it settled are open again
+      await refreshBillSettlements(payment.type, payment.allocations.map(allocation => allocation.documentId), session);
+    });
     
     res.json({
       success: true,
@@ -338,6 +362,14 @@ router.delete('/:id', async (req, res) => {
     });
   } catch (error) {
     console.error('Error deleting payment:', error);
+    
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: 'Failed to delete payment'
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const PaymentReminder = require('../models/PaymentReminder');
+const {
+  getReminderSettings,
+  findDueReminders,
+  runPaymentReminders,
+  sendSaleReminder
+} = require('../utils/paymentReminders');
+const { ApiError } = require('../utils/errors');
+
+// GET /api/payment-reminders - Get reminders sent, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { saleId, partyId, status, trigger } = req.query;
+
+    const filter = {};
+
+    if (saleId) {
+      filter.saleId = saleId;
+    }
+
+    if (partyId) {
+      filter.partyId = partyId;
+    }
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (trigger) {
+      filter.trigger = trigger;
+    }
+
+    const reminders = await PaymentReminder.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: reminders.map(reminder => reminder.getFormattedDetails()),
+      count: reminders.length
+    });
+  } catch (error) {
+    console.error('Error fetching payment reminders:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch payment reminders'
+    });
+  }
+});
+
+// GET /api/payment-reminders/due - Preview the overdue sales the next run would remind
+router.get('/due', async (req, res) => {
+  try {
+    const settings = await getReminderSettings();
+    const due = await findDueReminders(settings);
+
+    res.json({
+      success: true,
+      data: due.map(({ sale, daysOverdue, balanceDue, reminderCount, lastSentAt }) => ({
+        saleId: sale._id.toString(),
+        invoiceNo: sale.invoiceNo,
+        partyId: sale.partyId,
+        partyName: sale.partyName,
+        phoneNumber: sale.phoneNumber,
+        date: sale.date,
+        dueDate: sale.dueDate || sale.date,
+        balanceDue,
+        daysOverdue,
+        reminderCount,
+        lastSentAt
+      })),
+      count: due.length
+    });
+  } catch (error) {
+    console.error('Error fetching due payment reminders:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch due payment reminders'
+    });
+  }
+});
+
+// POST /api/payment-reminders/run - Send due reminders now instead of waiting for the schedule
+router.post('/run', async (req, res) => {
+  try {
+    const result = await runPaymentReminders({ trigger: 'manual' });
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        reminders: result.reminders.map(reminder => reminder.getFormattedDetails())
+      },
+      message: result.skipped ? result.reason : `${result.sentCount} reminders sent, ${result.failedCount} failed`
+    });
+  } catch (error) {
+    console.error('Error running payment reminders:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run payment reminders'
+    });
+  }
+});
+
+// POST /api/payment-reminders/sales/:saleId - Send a reminder for one sale now
+router.post('/sales/:saleId', async (req, res) => {
+  try {
+    const reminder = await sendSaleReminder(req.params.saleId);
+
+    res.status(reminder.status === 'sent' ? 201 : 502).json({
+      success: reminder.status === 'sent',
+      data: reminder.getFormattedDetails(),
+      ...(reminder.status === 'sent'
+        ? { message: 'Payment reminder sent successfully' }
+        : { error: `Failed to send payment reminder: ${reminder.error}` })
+    });
+  } catch (error) {
+    console.error('Error sending payment reminder:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send payment reminder'
+    });
+  }
+});
+
+module.exports = router;
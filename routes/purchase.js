@@ -2,12 +2,21 @@ const express = require('express');
 const router = express.Router();
 const Purchase = require('../models/Purchase');
 const Party = require('../models/Party');
-const Item = require('../models/Item');
+const Company = require('../models/Company');
+const DebitNote = require('../models/DebitNote');
+const Payment = require('../models/Payment');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const { withTransaction } = require('../utils/transaction');
+const { resolveLineItems, stockLinesChanged, keepLineLots, adjustStock, getStockSource } = require('../utils/stock');
+const { updateReceivedLots } = require('../utils/lots');
+const { ApiError } = require('../utils/errors');
+const { refreshBillSettlements } = require('../utils/billPayments');
+const { addDaysToDocumentDate, daysBetweenDocumentDates } = require('../utils/dates');
 
 // GET /api/purchases - Get all purchases with optional filtering
 router.get('/', async (req, res) => {
   try {
-    const { partyName, phoneNumber, date, search } = req.query;
+    const { partyName, phoneNumber, date, paymentStatus, search } = req.query;
     
     // Build filter object
     const filter = {};
@@ -24,6 +33,10 @@ router.get('/', async (req, res) => {
       filter.date = date;
     }
     
+    if (paymentStatus) {
+      filter.paymentStatus = paymentStatus;
+    }
+    
     if (search) {
       filter.$or = [
         { partyName: { $regex: search, $options: 'i' } },
@@ -91,7 +104,14 @@ router.post('/', async (req, res) => {
       phoneNumber, 
       items, 
       date, 
-      pdfUri 
+      pdfUri,
+      discountType,
+      discountValue,
+      additionalCharges,
+      autoRoundOff,
+      roundOff,
+      dueDate,
+      purchaseOrderId
     } = req.body;
     
     // Validate required fields
@@ -109,68 +129,64 @@ router.post('/', async (req, res) => {
       });
     }
     
-    // Generate bill number
-    const billNo = await Purchase.generateNextBillNumber();
-    
-    // Find or create party
-    const party = await Party.findOrCreate({
-      name: partyName,
-      phoneNumber: phoneNumber
-    });
-    
-    // Create purchase
-    const purchase = new Purchase({
-      billNo,
-      partyName,
-      phoneNumber,
-      items,
-      totalAmount: 0, // Will be calculated in pre-save middleware
-      date,
-      pdfUri,
-      partyId: party._id
-    });
-    
-    await purchase.save();
-    
-    // Update party balance (add to outstanding amount - we owe them)
-    await Party.updateBalance(party._id, purchase.totalAmount, 'add');
-    
-    // Update stock levels for items (increase stock on purchase)
-    for (const purchaseItem of items) {
-      try {
-        const item = await Item.findById(purchaseItem.id);
-        if (item) {
-          // Convert quantity from kg to bags (assuming 30kg per bag)
-          const quantityInBags = purchaseItem.quantity / 30;
-          item.openingStock += quantityInBags;
-          
-          await item.save();
+    const purchase = await withTransaction(async (session) => {
+      // Generate bill number
+      const billNo = await Purchase.generateNextBillNumber(date, session);
+      
+      // Find or create party
+      const party = await Party.findOrCreate({
+        name: partyName,
+        phoneNumber: phoneNumber
+      }, session);
+      
+      // Record the unit, stock quantity and GST rates of every line
+      const lineItems = await resolveLineItems(items, session);
+      
+      // Tax depends on whether the supplier is in our state
+      const supply = await Company.getSupplyDetails(party.stateCode, 'purchase', session);
+      
+      // Goods delivered against an order count towards its received quantities
+      let purchaseOrder = null;
+      if (purchaseOrderId) {
+        purchaseOrder = await PurchaseOrder.recordReceipt(purchaseOrderId, lineItems, 1, session);
+        
+        if (purchaseOrder.partyId && !purchaseOrder.partyId.equals(party._id)) {
+          throw new ApiError(400, `Purchase order ${purchaseOrder.orderNo} belongs to another party`);
         }
-      } catch (itemError) {
-        console.error(`Error updating stock for item ${purchaseItem.id}:`, itemError);
-        // Continue with other items even if one fails
       }
-    }
-    
-    // Update Bardana stock (universal item) - increase on purchase
-    try {
-      const bardanaItem = await Item.findOne({ 
-        isUniversal: true, 
-        productName: 'Bardana' 
+      
+      // Create purchase
+      const newPurchase = new Purchase({
+        billNo,
+        partyName,
+        phoneNumber,
+        items: lineItems,
+        placeOfSupply: supply.placeOfSupply,
+        supplyType: supply.supplyType,
+        discountType,
+        discountValue,
+        additionalCharges,
+        autoRoundOff,
+        roundOff,
+        totalAmount: 0, // Will be calculated in pre-save middleware
+        date,
+        dueDate: dueDate || party.getDueDate(date),
+        pdfUri,
+        partyId: party._id,
+        purchaseOrderId: purchaseOrder ? purchaseOrder._id : undefined,
+        purchaseOrderNo: purchaseOrder ? purchaseOrder.orderNo : undefined
       });
       
-      if (bardanaItem) {
-        // Increase Bardana stock by the same amount as total items purchased (in kg)
-        const totalKgPurchased = items.reduce((sum, item) => sum + item.quantity, 0);
-        const bardanaBagsToAdd = totalKgPurchased / 30;
-        
-        bardanaItem.openingStock += bardanaBagsToAdd;
-        await bardanaItem.save();
-      }
-    } catch (bardanaError) {
-      console.error('Error updating Bardana stock:', bardanaError);
-      // Continue even if Bardana update fails
-    }
+      // Increase stock levels for items and Bardana, before saving so lots opened are saved with the lines
+      await adjustStock(newPurchase.items, 1, session, { source: getStockSource('purchase', newPurchase) });
+      
+      await newPurchase.save({ session });
+      
+      // We owe the supplier the bill amount
+      await Party.applyTransaction(party._id, 'purchase', newPurchase.totalAmount, session);
+      
+      return newPurchase;
+    });
     
     res.status(201).json({
       success: true,
@@ -180,6 +196,13 @@ router.post('/', async (req, res) => {
   } catch (error) {
     console.error('Error creating purchase:', error);
     
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -204,98 +227,93 @@ router.put('/:id', async (req, res) => {
       phoneNumber, 
       items, 
       date, 
-      pdfUri 
+      pdfUri,
+      discountType,
+      discountValue,
+      additionalCharges,
+      autoRoundOff,
+      roundOff,
+      dueDate
     } = req.body;
     
-    const purchase = await Purchase.findById(req.params.id);
-    
-    if (!purchase) {
-      return res.status(404).json({
-        success: false,
-        error: 'Purchase not found'
-      });
-    }
-    
-    // Store original values for rollback
-    const originalTotalAmount = purchase.totalAmount;
-    const originalItems = [...purchase.items];
-    
-    // Update fields
-    if (partyName) purchase.partyName = partyName;
-    if (phoneNumber) purchase.phoneNumber = phoneNumber;
-    if (items) purchase.items = items;
-    if (date) purchase.date = date;
-    if (pdfUri !== undefined) purchase.pdfUri = pdfUri;
-    
-    await purchase.save();
-    
-    // Update party balance if total amount changed
-    if (purchase.partyId && originalTotalAmount !== purchase.totalAmount) {
-      const balanceDifference = purchase.totalAmount - originalTotalAmount;
-      await Party.updateBalance(purchase.partyId, balanceDifference, 'add');
-    }
-    
-    // Update stock levels if items changed
-    if (items && JSON.stringify(originalItems) !== JSON.stringify(items)) {
-      // Restore original stock levels (subtract what was previously added)
-      for (const originalItem of originalItems) {
-        try {
-          const item = await Item.findById(originalItem.id);
-          if (item) {
-            const quantityInBags = originalItem.quantity / 30;
-            item.openingStock -= quantityInBags;
-            
-            // Ensure stock doesn't go negative
-            if (item.openingStock < 0) {
-              item.openingStock = 0;
-            }
-            
-            await item.save();
-          }
-        } catch (itemError) {
-          console.error(`Error restoring stock for item ${originalItem.id}:`, itemError);
-        }
+    const purchase = await withTransaction(async (session) => {
+      const existingPurchase = await Purchase.findById(req.params.id).session(session);
+      
+      if (!existingPurchase) {
+        throw new ApiError(404, 'Purchase not found');
       }
       
-      // Apply new stock levels (add new quantities)
-      for (const purchaseItem of items) {
-        try {
-          const item = await Item.findById(purchaseItem.id);
-          if (item) {
-            const quantityInBags = purchaseItem.quantity / 30;
-            item.openingStock += quantityInBags;
-            await item.save();
-          }
-        } catch (itemError) {
-          console.error(`Error updating stock for item ${purchaseItem.id}:`, itemError);
-        }
+      // Store original values to reverse their effects
+      const originalTotalAmount = existingPurchase.totalAmount;
+      const originalItems = existingPurchase.items.map(item => item.toObject());
+      
+      // Lines of a purchase with returns are fixed, the debit notes refer to them
+      if (items && await DebitNote.exists({ purchaseId: existingPurchase._id }).session(session)) {
+        throw new ApiError(409, 'Items of a purchase with returns cannot be changed; delete its debit notes first');
+      }
+      
+      // Record the unit, stock quantity and GST rates of every new line
+      const lineItems = items ? await resolveLineItems(items, session) : null;
+      
+      // Stock moves again only when the goods change; otherwise the lines keep their lots
+      const stockChanged = lineItems !== null && stockLinesChanged(originalItems, lineItems);
+      if (lineItems && !stockChanged) {
+        keepLineLots(originalItems, lineItems);
+      }
+      
+      // Credit period of the bill, kept when only its date changes
+      const creditPeriod = daysBetweenDocumentDates(existingPurchase.date, existingPurchase.dueDate);
+      
+      // Update fields
+      if (partyName) existingPurchase.partyName = partyName;
+      if (phoneNumber) existingPurchase.phoneNumber = phoneNumber;
+      if (lineItems) existingPurchase.items = lineItems;
+      if (date) existingPurchase.date = date;
+      if (dueDate !== undefined) {
+        existingPurchase.dueDate = dueDate || existingPurchase.date;
+      } else if (date && creditPeriod !== null) {
+        existingPurchase.dueDate = addDaysToDocumentDate(date, creditPeriod);
       }
+      if (pdfUri !== undefined) existingPurchase.pdfUri = pdfUri;
+      if (discountType !== undefined) existingPurchase.discountType = discountType;
+      if (discountValue !== undefined) existingPurchase.discountValue = discountValue;
+      if (additionalCharges !== undefined) existingPurchase.additionalCharges = additionalCharges;
+      if (autoRoundOff !== undefined) existingPurchase.autoRoundOff = autoRoundOff;
+      if (roundOff !== undefined) existingPurchase.roundOff = roundOff;
       
-      // Update Bardana stock
-      try {
-        const bardanaItem = await Item.findOne({ 
-          isUniversal: true, 
-          productName: 'Bardana' 
-        });
+      // Update stock levels if items changed, before saving so lots opened are saved with the lines
+      if (stockChanged) {
+        // Remove what the original purchase added, then add the new quantities
+        const source = getStockSource('purchase', existingPurchase, 'edit');
+        await adjustStock(originalItems, -1, session, { source, strict: false });
+        await adjustStock(existingPurchase.items, 1, session, { source });
         
-        if (bardanaItem) {
-          // Calculate difference in total kg
-          const originalTotalKg = originalItems.reduce((sum, item) => sum + item.quantity, 0);
-          const newTotalKg = items.reduce((sum, item) => sum + item.quantity, 0);
-          const kgDifference = newTotalKg - originalTotalKg;
-          const bardanaBagsDifference = kgDifference / 30;
-          
-          bardanaItem.openingStock += bardanaBagsDifference;
-          if (bardanaItem.openingStock < 0) {
-            bardanaItem.openingStock = 0;
-          }
-          
-          await bardanaItem.save();
+        // Receive the new quantities against the purchase order instead of the old ones
+        if (existingPurchase.purchaseOrderId) {
+          await PurchaseOrder.recordReceipt(existingPurchase.purchaseOrderId, originalItems, -1, session);
+          await PurchaseOrder.recordReceipt(existingPurchase.purchaseOrderId, lineItems, 1, session);
+        }
+      } else if (lineItems || date) {
+        // The lots stay, but take the moisture, grade and arrival date the lines now give
+        const source = getStockSource('purchase', existingPurchase, 'edit');
+        for (const line of existingPurchase.items) {
+          await updateReceivedLots(line, source, session);
         }
-      } catch (bardanaError) {
-        console.error('Error updating Bardana stock:', bardanaError);
       }
-    }
+      
+      await existingPurchase.save({ session });
+      
+      // Update party balance if total amount changed
+      if (existingPurchase.partyId && originalTotalAmount !== existingPurchase.totalAmount) {
+        const balanceDifference = existingPurchase.totalAmount - originalTotalAmount;
+        await Party.applyTransaction(existingPurchase.partyId, 'purchase', balanceDifference, session);
+      }
+      
+      // Balance due follows the new total
+      await refreshBillSettlements('payment-out', [existingPurchase._id], session);
+      
+      return Purchase.findById(existingPurchase._id).session(session);
+    });
     
     res.json({
       success: true,
@@ -305,6 +323,13 @@ router.put('/:id', async (req, res) => {
   } catch (error) {
     console.error('Error updating purchase:', error);
     
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -323,6 +348,61 @@ router.put('/:id', async (req, res) => {
 
 // DELETE /api/purchases/:id - Delete purchase
 router.delete('/:id', async (req, res) => {
+  try {
+    await withTransaction(async (session) => {
+      const purchase = await Purchase.findById(req.params.id).session(session);
+      
+      if (!purchase) {
+        throw new ApiError(404, 'Purchase not found');
+      }
+      
+      if (await DebitNote.exists({ purchaseId: purchase._id }).session(session)) {
+        throw new ApiError(409, 'A purchase with returns cannot be deleted; delete its debit notes first');
+      }
+      
+      if (await Payment.exists({ type: 'payment-out', 'allocations.documentId': purchase._id }).session(session)) {
+        throw new ApiError(409, 'A purchase with payments allocated to it cannot be deleted; remove the allocations first');
+      }
+      
+      // Remove the stock added during purchase, for items and Bardana
+      await adjustStock(purchase.items, -1, session, { source: getStockSource('purchase', purchase, 'delete'), strict: false });
+      
+      // The goods are no longer received against the purchase order
+      if (purchase.purchaseOrderId && await PurchaseOrder.exists({ _id: purchase.purchaseOrderId }).session(session)) {
+        await PurchaseOrder.recordReceipt(purchase.purchaseOrderId, purchase.items, -1, session);
+      }
+      
+      // Reverse the purchase on the party balance (we no longer owe them this amount)
+      if (purchase.partyId) {
+        await Party.applyTransaction(purchase.partyId, 'purchase', -purchase.totalAmount, session);
+      }
+      
+      await Purchase.findByIdAndDelete(req.params.id, { session });
+    });
+    
+    res.json({
+      success: true,
+      message: 'Purchase deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting purchase:', error);
+    
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete purchase'
+    });
+  }
+});
+
+// GET /api/purchases/:id/payments - Get payments allocated to a purchase
+router.get('/:id/payments', async (req, res) => {
   try {
     const purchase = await Purchase.findById(req.params.id);
     
@@ -333,64 +413,207 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    // Restore stock levels (subtract what was added during purchase)
-    for (const purchaseItem of purchase.items) {
-      try {
-        const item = await Item.findById(purchaseItem.id);
-        if (item) {
-          const quantityInBags = purchaseItem.quantity / 30;
-          item.openingStock -= quantityInBags;
-          
-          // Ensure stock doesn't go negative
-          if (item.openingStock < 0) {
-            item.openingStock = 0;
-          }
-          
-          await item.save();
-        }
-      } catch (itemError) {
-        console.error(`Error restoring stock for item ${purchaseItem.id}:`, itemError);
-      }
+    const payments = await Payment.find({ type: 'payment-out', 'allocations.documentId': purchase._id }).sort({ createdAt: 1 });
+    
+    res.json({
+      success: true,
+      data: {
+        paidAmount: purchase.paidAmount,
+        returnedAmount: purchase.returnedAmount,
+        balanceDue: purchase.balanceDue,
+        paymentStatus: purchase.paymentStatus,
+        payments: payments.map(payment => {
+          const allocation = payment.allocations.find(entry => entry.documentId.equals(purchase._id));
+          return {
+            id: payment._id.toString(),
+            paymentNo: payment.paymentNo,
+            date: payment.date,
+            paymentMethod: payment.paymentMethod,
+            reference: payment.reference,
+            paymentAmount: payment.amount,
+            allocatedAmount: allocation.amount
+          };
+        })
+      },
+      count: payments.length
+    });
+  } catch (error) {
+    console.error('Error fetching purchase payments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch purchase payments'
+    });
+  }
+});
+
+// GET /api/purchases/:id/returns - Get debit notes issued against a purchase
+router.get('/:id/returns', async (req, res) => {
+  try {
+    const purchase = await Purchase.findById(req.params.id);
+    
+    if (!purchase) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase not found'
+      });
     }
     
-    // Restore Bardana stock
-    try {
-      const bardanaItem = await Item.findOne({ 
-        isUniversal: true, 
-        productName: 'Bardana' 
+    const debitNotes = await DebitNote.find({ purchaseId: purchase._id }).sort({ createdAt: -1 });
+    
+    res.json({
+      success: true,
+      data: debitNotes.map(debitNote => debitNote.getFormattedDetails()),
+      count: debitNotes.length
+    });
+  } catch (error) {
+    console.error('Error fetching purchase returns:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch purchase returns'
+    });
+  }
+});
+
+// POST /api/purchases/:id/returns - Record goods sent back against a purchase as a debit note
+router.post('/:id/returns', async (req, res) => {
+  try {
+    const { items, date, reason, pdfUri } = req.body;
+    
+    // Validate required fields
+    if (!items || !date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Items and date are required'
       });
+    }
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one item is required'
+      });
+    }
+    
+    const debitNote = await withTransaction(async (session) => {
+      const purchase = await Purchase.findById(req.params.id).session(session);
       
-      if (bardanaItem) {
-        const totalKgPurchased = purchase.items.reduce((sum, item) => sum + item.quantity, 0);
-        const bardanaBagsToRestore = totalKgPurchased / 30;
-        
-        bardanaItem.openingStock -= bardanaBagsToRestore;
-        if (bardanaItem.openingStock < 0) {
-          bardanaItem.openingStock = 0;
-        }
-        
-        await bardanaItem.save();
+      if (!purchase) {
+        throw new ApiError(404, 'Purchase not found');
       }
-    } catch (bardanaError) {
-      console.error('Error restoring Bardana stock:', bardanaError);
+      
+      // Lines sent back are priced as a share of the original lines
+      const returnedQuantities = await DebitNote.getReturnedQuantities(purchase._id, session);
+      const lineItems = DebitNote.buildReturnLines(purchase, items, returnedQuantities);
+      
+      // Generate debit note number
+      const debitNoteNo = await DebitNote.generateNextDebitNoteNumber(date, session);
+      
+      const newDebitNote = new DebitNote({
+        debitNoteNo,
+        purchaseId: purchase._id,
+        billNo: purchase.billNo,
+        partyName: purchase.partyName,
+        phoneNumber: purchase.phoneNumber,
+        partyId: purchase.partyId,
+        items: lineItems,
+        placeOfSupply: purchase.placeOfSupply,
+        supplyType: purchase.supplyType,
+        totalAmount: 0, // Will be calculated in pre-save middleware
+        date,
+        reason,
+        pdfUri
+      });
+      
+      await newDebitNote.save({ session });
+      
+      // We owe the supplier less for the goods sent back
+      if (purchase.partyId) {
+        await Party.applyTransaction(purchase.partyId, 'debit-note', newDebitNote.totalAmount, session);
+      }
+      
+      // Goods sent back leave stock, along with their Bardana
+      await adjustStock(lineItems, -1, session, { source: getStockSource('debit-note', newDebitNote), strict: false });
+      
+      // Returned goods reduce what is still due on the purchase
+      await refreshBillSettlements('payment-out', [purchase._id], session);
+      
+      return newDebitNote;
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: debitNote.getFormattedDetails(),
+      message: 'Debit note created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating purchase return:', error);
+    
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
     }
     
-    // Update party balance (subtract the amount - we no longer owe them this amount)
-    if (purchase.partyId) {
-      await Party.updateBalance(purchase.partyId, purchase.totalAmount, 'subtract');
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
     }
     
-    await Purchase.findByIdAndDelete(req.params.id);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create purchase return'
+    });
+  }
+});
+
+// DELETE /api/purchases/:id/returns/:returnId - Delete a debit note and undo its effects
+router.delete('/:id/returns/:returnId', async (req, res) => {
+  try {
+    await withTransaction(async (session) => {
+      const debitNote = await DebitNote.findOne({
+        _id: req.params.returnId,
+        purchaseId: req.params.id
+      }).session(session);
+      
+      if (!debitNote) {
+        throw new ApiError(404, 'Debit note not found');
+      }
+      
+      // Put the goods sent back into stock again
+      await adjustStock(debitNote.items, 1, session, { source: getStockSource('debit-note', debitNote, 'delete'), strict: false });
+      
+      // Restore the party balance
+      if (debitNote.partyId) {
+        await Party.applyTransaction(debitNote.partyId, 'debit-note', -debitNote.totalAmount, session);
+      }
+      
+      await DebitNote.findByIdAndDelete(debitNote._id, { session });
+      
+      await refreshBillSettlements('payment-out', [debitNote.purchaseId], session);
+    });
     
     res.json({
       success: true,
-      message: 'Purchase deleted successfully'
+      message: 'Debit note deleted successfully'
     });
   } catch (error) {
-    console.error('Error deleting purchase:', error);
+    console.error('Error deleting purchase return:', error);
+    
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
-      error: 'Failed to delete purchase'
+      error: 'Failed to delete purchase return'
     });
   }
 });
@@ -0,0 +1,402 @@
+const express = require('express');
+const router = express.Router();
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Purchase = require('../models/Purchase');
+const Party = require('../models/Party');
+const { withTransaction } = require('../utils/transaction');
+const { resolveLineItems } = require('../utils/stock');
+const { ApiError } = require('../utils/errors');
+
+// Build ordered lines, with their stock-unit quantity, from request line items
+const buildOrderLines = async (items, session) => {
+  const lineItems = await resolveLineItems(items, session);
+  return lineItems.map(lineItem => ({
+    id: lineItem.id,
+    itemName: lineItem.itemName,
+    quantity: lineItem.quantity,
+    unit: lineItem.unit,
+    baseQuantity: lineItem.baseQuantity,
+    rate: lineItem.rate
+  }));
+};
+
+// GET /api/purchase-orders - Get all purchase orders with optional filtering
+router.get('/', async (req, res) => {
+  try {
+    const { status, partyName, phoneNumber, search } = req.query;
+
+    // Build filter object
+    const filter = {};
+
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+
+    if (partyName) {
+      filter.partyName = { $regex: partyName, $options: 'i' };
+    }
+
+    if (phoneNumber) {
+      filter.phoneNumber = phoneNumber;
+    }
+
+    if (search) {
+      filter.$or = [
+        { partyName: { $regex: search, $options: 'i' } },
+        { phoneNumber: { $regex: search, $options: 'i' } },
+        { orderNo: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const orders = await PurchaseOrder.find(filter).sort({ createdAt: -1 });
+
+    // Transform _id to id for frontend compatibility
+    const transformedOrders = orders.map(order => ({
+      ...order.toObject(),
+      id: order._id.toString(),
+      _id: undefined, // Remove _id to avoid confusion
+      progress: order.getLineProgress()
+    }));
+
+    res.json({
+      success: true,
+      data: transformedOrders,
+      count: transformedOrders.length
+    });
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch purchase orders'
+    });
+  }
+});
+
+// GET /api/purchase-orders/pending - Get quantities still to be received on open orders
+router.get('/pending', async (req, res) => {
+  try {
+    const { partyName, phoneNumber, itemId } = req.query;
+
+    const filter = { status: { $in: ['open', 'partially-received'] } };
+
+    if (partyName) {
+      filter.partyName = { $regex: partyName, $options: 'i' };
+    }
+
+    if (phoneNumber) {
+      filter.phoneNumber = phoneNumber;
+    }
+
+    const orders = await PurchaseOrder.find(filter).sort({ createdAt: 1 });
+
+    const pendingLines = [];
+    for (const order of orders) {
+      for (const line of order.getLineProgress()) {
+        if (line.pendingBaseQuantity <= 0 || (itemId && line.id !== itemId)) {
+          continue;
+        }
+
+        pendingLines.push({
+          orderId: order._id,
+          orderNo: order.orderNo,
+          partyName: order.partyName,
+          phoneNumber: order.phoneNumber,
+          date: order.date,
+          expectedDate: order.expectedDate,
+          ...line
+        });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: pendingLines,
+      count: pendingLines.length
+    });
+  } catch (error) {
+    console.error('Error fetching pending purchase order quantities:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pending purchase order quantities'
+    });
+  }
+});
+
+// GET /api/purchase-orders/:id - Get single purchase order by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: order.getFormattedDetails()
+    });
+  } catch (error) {
+    console.error('Error fetching purchase order:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch purchase order'
+    });
+  }
+});
+
+// GET /api/purchase-orders/:id/purchases - Get purchases received against an order
+router.get('/:id/purchases', async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found'
+      });
+    }
+
+    const purchases = await Purchase.find({ purchaseOrderId: order._id }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: purchases.map(purchase => purchase.getFormattedDetails()),
+      count: purchases.length
+    });
+  } catch (error) {
+    console.error('Error fetching purchase order receipts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch purchase order receipts'
+    });
+  }
+});
+
+// POST /api/purchase-orders - Create new purchase order (does not touch stock or balances)
+router.post('/', async (req, res) => {
+  try {
+    const {
+      partyName,
+      phoneNumber,
+      items,
+      date,
+      expectedDate,
+      notes,
+      pdfUri
+    } = req.body;
+
+    // Validate required fields
+    if (!partyName || !phoneNumber || !items || !date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Party name, phone number, items, and date are required'
+      });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one item is required'
+      });
+    }
+
+    const order = await withTransaction(async (session) => {
+      // Generate order number
+      const orderNo = await PurchaseOrder.generateNextOrderNumber(date, session);
+
+      // Find or create party
+      const party = await Party.findOrCreate({
+        name: partyName,
+        phoneNumber: phoneNumber
+      }, session);
+
+      const newOrder = new PurchaseOrder({
+        orderNo,
+        partyName,
+        phoneNumber,
+        partyId: party._id,
+        items: await buildOrderLines(items, session),
+        date,
+        expectedDate,
+        notes,
+        pdfUri
+      });
+
+      await newOrder.save({ session });
+      return newOrder;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: order.getFormattedDetails(),
+      message: 'Purchase order created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating purchase order:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create purchase order'
+    });
+  }
+});
+
+// PUT /api/purchase-orders/:id - Update purchase order
+router.put('/:id', async (req, res) => {
+  try {
+    const {
+      items,
+      date,
+      expectedDate,
+      notes,
+      pdfUri
+    } = req.body;
+
+    const order = await withTransaction(async (session) => {
+      const existingOrder = await PurchaseOrder.findById(req.params.id).session(session);
+
+      if (!existingOrder) {
+        throw new ApiError(404, 'Purchase order not found');
+      }
+
+      if (['closed', 'cancelled'].includes(existingOrder.status)) {
+        throw new ApiError(409, `A ${existingOrder.status} purchase order cannot be changed`);
+      }
+
+      // Received quantities refer to the ordered lines, so they are fixed once goods arrive
+      if (items && existingOrder.hasReceipts()) {
+        throw new ApiError(409, 'Items of a purchase order with received goods cannot be changed');
+      }
+
+      // Update fields
+      if (items) existingOrder.items = await buildOrderLines(items, session);
+      if (date) existingOrder.date = date;
+      if (expectedDate !== undefined) existingOrder.expectedDate = expectedDate;
+      if (notes !== undefined) existingOrder.notes = notes;
+      if (pdfUri !== undefined) existingOrder.pdfUri = pdfUri;
+
+      await existingOrder.save({ session });
+      return existingOrder;
+    });
+
+    res.json({
+      success: true,
+      data: order.getFormattedDetails(),
+      message: 'Purchase order updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating purchase order:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update purchase order'
+    });
+  }
+});
+
+// POST /api/purchase-orders/:id/cancel - Cancel the quantities still pending on an order
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found'
+      });
+    }
+
+    if (['closed', 'cancelled'].includes(order.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Purchase order is already ${order.status}`
+      });
+    }
+
+    order.status = 'cancelled';
+    await order.save();
+
+    res.json({
+      success: true,
+      data: order.getFormattedDetails(),
+      message: 'Purchase order cancelled successfully'
+    });
+  } catch (error) {
+    console.error('Error cancelling purchase order:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel purchase order'
+    });
+  }
+});
+
+// DELETE /api/purchase-orders/:id - Delete purchase order
+router.delete('/:id', async (req, res) => {
+  try {
+    const order = await PurchaseOrder.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({
+        success: false,
+        error: 'Purchase order not found'
+      });
+    }
+
+    if (await Purchase.exists({ purchaseOrderId: order._id })) {
+      return res.status(409).json({
+        success: false,
+        error: 'A purchase order with purchases against it cannot be deleted; cancel it instead'
+      });
+    }
+
+    await PurchaseOrder.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Purchase order deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting purchase order:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete purchase order'
+    });
+  }
+});
+
+module.exports = router;
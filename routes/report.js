@@ -0,0 +1,158 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const { parseDocumentDate, formatDocumentDate } = require('../utils/dates');
+const { AGEING_SIDES, buildAgeingReport } = require('../utils/ageing');
+const { buildStockSummary, buildAdjustmentReport, buildLotReport } = require('../utils/stockReport');
+
+// Read and check an optional report period from a request
+const getPeriodError = ({ from, to }) => {
+  if ((from && !parseDocumentDate(from)) || (to && !parseDocumentDate(to))) {
+    return 'From and to dates must be in MM/DD/YYYY format';
+  }
+  if (from && to && parseDocumentDate(from) > parseDocumentDate(to)) {
+    return 'From date cannot be after to date';
+  }
+  return null;
+};
+
+// GET /api/reports/ageing - Age outstanding receivables and payables into overdue buckets
+router.get('/ageing', async (req, res) => {
+  try {
+    const { asOf = formatDocumentDate(), type = 'all', partyId } = req.query;
+
+    if (!parseDocumentDate(asOf)) {
+      return res.status(400).json({
+        success: false,
+        error: 'As of date must be in MM/DD/YYYY format'
+      });
+    }
+
+    if (type !== 'all' && !AGEING_SIDES[type]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Type must be receivable, payable or all'
+      });
+    }
+
+    if (partyId && !mongoose.isValidObjectId(partyId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid party id'
+      });
+    }
+
+    const report = await buildAgeingReport({ asOf, type, partyId });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error building ageing report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build ageing report'
+    });
+  }
+});
+
+// GET /api/reports/stock-summary - Stock at the start and end of a period, with the change from
+// sales, purchases, returns and adjustments shown apart
+router.get('/stock-summary', async (req, res) => {
+  try {
+    const { from, to, itemId } = req.query;
+
+    const periodError = getPeriodError({ from, to });
+    if (periodError) {
+      return res.status(400).json({
+        success: false,
+        error: periodError
+      });
+    }
+
+    if (itemId && !mongoose.isValidObjectId(itemId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid item id'
+      });
+    }
+
+    const report = await buildStockSummary({ from, to, itemId });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error building stock summary:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build stock summary'
+    });
+  }
+});
+
+// GET /api/reports/stock-adjustments - Stock adjustments by reason, with the value lost or found
+router.get('/stock-adjustments', async (req, res) => {
+  try {
+    const { from, to } = req.query;
+
+    const periodError = getPeriodError({ from, to });
+    if (periodError) {
+      return res.status(400).json({
+        success: false,
+        error: periodError
+      });
+    }
+
+    const report = await buildAdjustmentReport({ from, to });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error building stock adjustment report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build stock adjustment report'
+    });
+  }
+});
+
+// GET /api/reports/lots - Quantity left in every lot, by item, with quality and age
+router.get('/lots', async (req, res) => {
+  try {
+    const { itemId, includeExhausted, asOf } = req.query;
+
+    if (itemId && !mongoose.isValidObjectId(itemId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid item id'
+      });
+    }
+
+    if (asOf && !parseDocumentDate(asOf)) {
+      return res.status(400).json({
+        success: false,
+        error: 'As of date must be in MM/DD/YYYY format'
+      });
+    }
+
+    const report = await buildLotReport({ itemId, includeExhausted: includeExhausted === 'true', asOf });
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error building lot report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build lot report'
+    });
+  }
+});
+
+module.exports = router;
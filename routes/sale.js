@@ -2,12 +2,20 @@ const express = require('express');
 const router = express.Router();
 const Sale = require('../models/Sale');
 const Party = require('../models/Party');
-const Item = require('../models/Item');
+const CreditNote = require('../models/CreditNote');
+const Payment = require('../models/Payment');
+const DeliveryChallan = require('../models/DeliveryChallan');
+const { withTransaction } = require('../utils/transaction');
+const { resolveLineItems, stockLinesChanged, keepLineLots, adjustStock, getStockSource } = require('../utils/stock');
+const { ApiError } = require('../utils/errors');
+const { refreshBillSettlements } = require('../utils/billPayments');
+const { addDaysToDocumentDate, daysBetweenDocumentDates } = require('../utils/dates');
+const { calculateInvoice } = require('../utils/invoiceCalculator');
 
 // GET /api/sales - Get all sales with optional filtering
 router.get('/', async (req, res) => {
   try {
-    const { partyName, phoneNumber, date, search } = req.query;
+    const { partyName, phoneNumber, date, paymentStatus, search } = req.query;
     
     // Build filter object
     const filter = {};
@@ -24,6 +32,10 @@ router.get('/', async (req, res) => {
       filter.date = date;
     }
     
+    if (paymentStatus) {
+      filter.paymentStatus = paymentStatus;
+    }
+    
     if (search) {
       filter.$or = [
         { partyName: { $regex: search, $options: 'i' } },
@@ -91,7 +103,16 @@ router.post('/', async (req, res) => {
       phoneNumber, 
       items, 
       date, 
-      pdfUri 
+      pdfUri,
+      placeOfSupply,
+      discountType,
+      discountValue,
+      additionalCharges,
+      autoRoundOff,
+      roundOff,
+      dueDate,
+      deliveryChallanId,
+      overrideCreditLimit
     } = req.body;
     
     // Validate required fields
@@ -109,77 +130,22 @@ router.post('/', async (req, res) => {
       });
     }
     
-    // Generate invoice number
-    const invoiceNo = await Sale.generateNextInvoiceNumber();
-    
-    // Find or create party
-    const party = await Party.findOrCreate({
-      name: partyName,
-      phoneNumber: phoneNumber
-    });
-    
-    // Create sale
-    const sale = new Sale({
-      invoiceNo,
+    const sale = await withTransaction((session) => Sale.createSale({
       partyName,
       phoneNumber,
       items,
-      totalAmount: 0, // Will be calculated in pre-save middleware
       date,
       pdfUri,
-      partyId: party._id
-    });
-    
-    await sale.save();
-    
-    // Update party balance (add to outstanding amount)
-    await Party.updateBalance(party._id, sale.totalAmount, 'add');
-    
-    // Update stock levels for items
-    for (const saleItem of items) {
-      try {
-        const item = await Item.findById(saleItem.id);
-        if (item) {
-          // Convert quantity from kg to bags (assuming 30kg per bag)
-          const quantityInBags = saleItem.quantity / 30;
-          item.openingStock -= quantityInBags;
-          
-          // Ensure stock doesn't go negative
-          if (item.openingStock < 0) {
-            item.openingStock = 0;
-          }
-          
-          await item.save();
-        }
-      } catch (itemError) {
-        console.error(`Error updating stock for item ${saleItem.id}:`, itemError);
-        // Continue with other items even if one fails
-      }
-    }
-    
-    // Update Bardana stock (universal item)
-    try {
-      const bardanaItem = await Item.findOne({ 
-        isUniversal: true, 
-        productName: 'Bardana' 
-      });
-      
-      if (bardanaItem) {
-        // Reduce Bardana stock by the same amount as total items sold (in kg)
-        const totalKgSold = items.reduce((sum, item) => sum + item.quantity, 0);
-        const bardanaBagsToReduce = totalKgSold / 30;
-        
-        bardanaItem.openingStock -= bardanaBagsToReduce;
-        if (bardanaItem.openingStock < 0) {
-          bardanaItem.openingStock = 0;
-        }
-        
-        await bardanaItem.save();
-      }
-    } catch (bardanaError) {
-      console.error('Error updating Bardana stock:', bardanaError);
-      // Continue even if Bardana update fails
-    }
+      placeOfSupply,
+      discountType,
+      discountValue,
+      additionalCharges,
+      autoRoundOff,
+      roundOff,
+      dueDate,
+      deliveryChallanId,
+      overrideCreditLimit: overrideCreditLimit === true
+    }, session));
     
     res.status(201).json({
       success: true,
@@ -189,6 +155,13 @@ router.post('/', async (req, res) => {
   } catch (error) {
     console.error('Error creating sale:', error);
     
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -213,72 +186,98 @@ router.put('/:id', async (req, res) => {
       phoneNumber, 
       items, 
       date, 
-      pdfUri 
+      pdfUri,
+      discountType,
+      discountValue,
+      additionalCharges,
+      autoRoundOff,
+      roundOff,
+      dueDate,
+      overrideCreditLimit
     } = req.body;
     
-    const sale = await Sale.findById(req.params.id);
-    
-    if (!sale) {
-      return res.status(404).json({
-        success: false,
-        error: 'Sale not found'
-      });
-    }
-    
-    // Store original values for rollback
-    const originalTotalAmount = sale.totalAmount;
-    const originalItems = [...sale.items];
-    
-    // Update fields
-    if (partyName) sale.partyName = partyName;
-    if (phoneNumber) sale.phoneNumber = phoneNumber;
-    if (items) sale.items = items;
-    if (date) sale.date = date;
-    if (pdfUri !== undefined) sale.pdfUri = pdfUri;
-    
-    await sale.save();
-    
-    // Update party balance if total amount changed
-    if (sale.partyId && originalTotalAmount !== sale.totalAmount) {
-      const balanceDifference = sale.totalAmount - originalTotalAmount;
-      await Party.updateBalance(sale.partyId, balanceDifference, 'add');
-    }
-    
-    // Update stock levels if items changed
-    if (items && JSON.stringify(originalItems) !== JSON.stringify(items)) {
-      // Restore original stock levels
-      for (const originalItem of originalItems) {
-        try {
-          const item = await Item.findById(originalItem.id);
-          if (item) {
-            const quantityInBags = originalItem.quantity / 30;
-            item.openingStock += quantityInBags;
-            await item.save();
-          }
-        } catch (itemError) {
-          console.error(`Error restoring stock for item ${originalItem.id}:`, itemError);
+    const sale = await withTransaction(async (session) => {
+      const existingSale = await Sale.findById(req.params.id).session(session);
+      
+      if (!existingSale) {
+        throw new ApiError(404, 'Sale not found');
+      }
+      
+      // Store original values to reverse their effects
+      const originalTotalAmount = existingSale.totalAmount;
+      const originalItems = existingSale.items.map(item => item.toObject());
+      
+      // Lines of a sale with returns are fixed, the credit notes refer to them
+      if (items && await CreditNote.exists({ saleId: existingSale._id }).session(session)) {
+        throw new ApiError(409, 'Items of a sale with returns cannot be changed; delete its credit notes first');
+      }
+      
+      // Record the unit, stock quantity and GST rates of every new line
+      const lineItems = items ? await resolveLineItems(items, session) : null;
+      
+      // Stock moves again only when the goods change; otherwise the lines keep their lots
+      const stockChanged = lineItems !== null && stockLinesChanged(originalItems, lineItems);
+      if (lineItems && !stockChanged) {
+        keepLineLots(originalItems, lineItems);
+      }
+      
+      // Credit period of the bill, kept when only its date changes
+      const creditPeriod = daysBetweenDocumentDates(existingSale.date, existingSale.dueDate);
+      
+      // Update fields
+      if (partyName) existingSale.partyName = partyName;
+      if (phoneNumber) existingSale.phoneNumber = phoneNumber;
+      if (lineItems) existingSale.items = lineItems;
+      if (date) existingSale.date = date;
+      if (dueDate !== undefined) {
+        existingSale.dueDate = dueDate || existingSale.date;
+      } else if (date && creditPeriod !== null) {
+        existingSale.dueDate = addDaysToDocumentDate(date, creditPeriod);
+      }
+      if (pdfUri !== undefined) existingSale.pdfUri = pdfUri;
+      if (discountType !== undefined) existingSale.discountType = discountType;
+      if (discountValue !== undefined) existingSale.discountValue = discountValue;
+      if (additionalCharges !== undefined) existingSale.additionalCharges = additionalCharges;
+      if (autoRoundOff !== undefined) existingSale.autoRoundOff = autoRoundOff;
+      if (roundOff !== undefined) existingSale.roundOff = roundOff;
+      
+      // A higher total must keep the party within its credit limit, as when the sale was made.
+      // The party's balance already holds the old total, so only the increase is added
+      calculateInvoice(existingSale); // Totals are needed before saving
+      if (existingSale.partyId && existingSale.totalAmount > originalTotalAmount) {
+        const party = await Party.findById(existingSale.partyId).session(session);
+        if (party) {
+          existingSale.enforceCreditLimit(party, existingSale.totalAmount - originalTotalAmount, overrideCreditLimit === true);
         }
       }
       
-      // Apply new stock levels
-      for (const saleItem of items) {
-        try {
-          const item = await Item.findById(saleItem.id);
-          if (item) {
-            const quantityInBags = saleItem.quantity / 30;
-            item.openingStock -= quantityInBags;
-            
-            if (item.openingStock < 0) {
-              item.openingStock = 0;
-            }
-            
-            await item.save();
-          }
-        } catch (itemError) {
-          console.error(`Error updating stock for item ${saleItem.id}:`, itemError);
+      // Update stock levels if items changed, before saving so lots taken are saved with the lines
+      if (stockChanged) {
+        if (existingSale.deliveryChallanId) {
+          // The challan moved the stock, bill the new quantities against it instead
+          await DeliveryChallan.recordBilling(existingSale.deliveryChallanId, originalItems, -1, session);
+          await DeliveryChallan.recordBilling(existingSale.deliveryChallanId, lineItems, 1, session);
+        } else {
+          // Restore original stock levels, then apply the new ones
+          const source = getStockSource('sale', existingSale, 'edit');
+          await adjustStock(originalItems, 1, session, { source, strict: false });
+          await adjustStock(existingSale.items, -1, session, { source });
         }
       }
-    }
+      
+      await existingSale.save({ session });
+      
+      // Update party balance if total amount changed
+      if (existingSale.partyId && originalTotalAmount !== existingSale.totalAmount) {
+        const balanceDifference = existingSale.totalAmount - originalTotalAmount;
+        await Party.applyTransaction(existingSale.partyId, 'sale', balanceDifference, session);
+      }
+      
+      // Balance due follows the new total
+      await refreshBillSettlements('payment-in', [existingSale._id], session);
+      
+      return Sale.findById(existingSale._id).session(session);
+    });
     
     res.json({
       success: true,
@@ -288,6 +287,13 @@ router.put('/:id', async (req, res) => {
   } catch (error) {
     console.error('Error updating sale:', error);
     
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     if (error.name === 'ValidationError') {
       const errors = Object.values(error.errors).map(err => err.message);
       return res.status(400).json({
@@ -306,6 +312,61 @@ router.put('/:id', async (req, res) => {
 
 // DELETE /api/sales/:id - Delete sale
 router.delete('/:id', async (req, res) => {
+  try {
+    await withTransaction(async (session) => {
+      const sale = await Sale.findById(req.params.id).session(session);
+      
+      if (!sale) {
+        throw new ApiError(404, 'Sale not found');
+      }
+      
+      if (await CreditNote.exists({ saleId: sale._id }).session(session)) {
+        throw new ApiError(409, 'A sale with returns cannot be deleted; delete its credit notes first');
+      }
+      
+      if (await Payment.exists({ type: 'payment-in', 'allocations.documentId': sale._id }).session(session)) {
+        throw new ApiError(409, 'A sale with payments allocated to it cannot be deleted; remove the allocations first');
+      }
+      
+      if (sale.deliveryChallanId) {
+        // The goods are still out on the challan, they just become unbilled again
+        await DeliveryChallan.recordBilling(sale.deliveryChallanId, sale.items, -1, session);
+      } else {
+        // Restore stock levels for items and Bardana
+        await adjustStock(sale.items, 1, session, { source: getStockSource('sale', sale, 'delete'), strict: false });
+      }
+      
+      // Reverse the sale on the party balance
+      if (sale.partyId) {
+        await Party.applyTransaction(sale.partyId, 'sale', -sale.totalAmount, session);
+      }
+      
+      await Sale.findByIdAndDelete(req.params.id, { session });
+    });
+    
+    res.json({
+      success: true,
+      message: 'Sale deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting sale:', error);
+    
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete sale'
+    });
+  }
+});
+
+// GET /api/sales/:id/payments - Get payments allocated to a sale
+router.get('/:id/payments', async (req, res) => {
   try {
     const sale = await Sale.findById(req.params.id);
     
@@ -316,54 +377,207 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    // Restore stock levels
-    for (const saleItem of sale.items) {
-      try {
-        const item = await Item.findById(saleItem.id);
-        if (item) {
-          const quantityInBags = saleItem.quantity / 30;
-          item.openingStock += quantityInBags;
-          await item.save();
-        }
-      } catch (itemError) {
-        console.error(`Error restoring stock for item ${saleItem.id}:`, itemError);
-      }
+    const payments = await Payment.find({ type: 'payment-in', 'allocations.documentId': sale._id }).sort({ createdAt: 1 });
+    
+    res.json({
+      success: true,
+      data: {
+        paidAmount: sale.paidAmount,
+        returnedAmount: sale.returnedAmount,
+        balanceDue: sale.balanceDue,
+        paymentStatus: sale.paymentStatus,
+        payments: payments.map(payment => {
+          const allocation = payment.allocations.find(entry => entry.documentId.equals(sale._id));
+          return {
+            id: payment._id.toString(),
+            paymentNo: payment.paymentNo,
+            date: payment.date,
+            paymentMethod: payment.paymentMethod,
+            reference: payment.reference,
+            paymentAmount: payment.amount,
+            allocatedAmount: allocation.amount
+          };
+        })
+      },
+      count: payments.length
+    });
+  } catch (error) {
+    console.error('Error fetching sale payments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sale payments'
+    });
+  }
+});
+
+// GET /api/sales/:id/returns - Get credit notes issued against a sale
+router.get('/:id/returns', async (req, res) => {
+  try {
+    const sale = await Sale.findById(req.params.id);
+    
+    if (!sale) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sale not found'
+      });
     }
     
-    // Restore Bardana stock
-    try {
-      const bardanaItem = await Item.findOne({ 
-        isUniversal: true, 
-        productName: 'Bardana' 
+    const creditNotes = await CreditNote.find({ saleId: sale._id }).sort({ createdAt: -1 });
+    
+    res.json({
+      success: true,
+      data: creditNotes.map(creditNote => creditNote.getFormattedDetails()),
+      count: creditNotes.length
+    });
+  } catch (error) {
+    console.error('Error fetching sale returns:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch sale returns'
+    });
+  }
+});
+
+// POST /api/sales/:id/returns - Record goods returned against a sale as a credit note
+router.post('/:id/returns', async (req, res) => {
+  try {
+    const { items, date, reason, pdfUri } = req.body;
+    
+    // Validate required fields
+    if (!items || !date) {
+      return res.status(400).json({
+        success: false,
+        error: 'Items and date are required'
       });
+    }
+    
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one item is required'
+      });
+    }
+    
+    const creditNote = await withTransaction(async (session) => {
+      const sale = await Sale.findById(req.params.id).session(session);
       
-      if (bardanaItem) {
-        const totalKgSold = sale.items.reduce((sum, item) => sum + item.quantity, 0);
-        const bardanaBagsToRestore = totalKgSold / 30;
-        
-        bardanaItem.openingStock += bardanaBagsToRestore;
-        await bardanaItem.save();
+      if (!sale) {
+        throw new ApiError(404, 'Sale not found');
       }
-    } catch (bardanaError) {
-      console.error('Error restoring Bardana stock:', bardanaError);
+      
+      // Returned lines are priced as a share of the original lines
+      const returnedQuantities = await CreditNote.getReturnedQuantities(sale._id, session);
+      const lineItems = CreditNote.buildReturnLines(sale, items, returnedQuantities);
+      
+      // Generate credit note number
+      const creditNoteNo = await CreditNote.generateNextCreditNoteNumber(date, session);
+      
+      const newCreditNote = new CreditNote({
+        creditNoteNo,
+        saleId: sale._id,
+        invoiceNo: sale.invoiceNo,
+        partyName: sale.partyName,
+        phoneNumber: sale.phoneNumber,
+        partyId: sale.partyId,
+        items: lineItems,
+        placeOfSupply: sale.placeOfSupply,
+        supplyType: sale.supplyType,
+        totalAmount: 0, // Will be calculated in pre-save middleware
+        date,
+        reason,
+        pdfUri
+      });
+      
+      await newCreditNote.save({ session });
+      
+      // Reduce party balance by the returned amount
+      if (sale.partyId) {
+        await Party.applyTransaction(sale.partyId, 'credit-note', newCreditNote.totalAmount, session);
+      }
+      
+      // Returned goods go back into stock, along with their Bardana
+      await adjustStock(lineItems, 1, session, { source: getStockSource('credit-note', newCreditNote), strict: false });
+      
+      // Returned goods reduce what is still due on the sale
+      await refreshBillSettlements('payment-in', [sale._id], session);
+      
+      return newCreditNote;
+    });
+    
+    res.status(201).json({
+      success: true,
+      data: creditNote.getFormattedDetails(),
+      message: 'Credit note created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating sale return:', error);
+    
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
     }
     
-    // Update party balance (subtract the amount)
-    if (sale.partyId) {
-      await Party.updateBalance(sale.partyId, sale.totalAmount, 'subtract');
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
     }
     
-    await Sale.findByIdAndDelete(req.params.id);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create sale return'
+    });
+  }
+});
+
+// DELETE /api/sales/:id/returns/:returnId - Delete a credit note and undo its effects
+router.delete('/:id/returns/:returnId', async (req, res) => {
+  try {
+    await withTransaction(async (session) => {
+      const creditNote = await CreditNote.findOne({
+        _id: req.params.returnId,
+        saleId: req.params.id
+      }).session(session);
+      
+      if (!creditNote) {
+        throw new ApiError(404, 'Credit note not found');
+      }
+      
+      // Take the returned goods out of stock again
+      await adjustStock(creditNote.items, -1, session, { source: getStockSource('credit-note', creditNote, 'delete'), strict: false });
+      
+      // Restore the party balance
+      if (creditNote.partyId) {
+        await Party.applyTransaction(creditNote.partyId, 'credit-note', -creditNote.totalAmount, session);
+      }
+      
+      await CreditNote.findByIdAndDelete(creditNote._id, { session });
+      
+      await refreshBillSettlements('payment-in', [creditNote.saleId], session);
+    });
     
     res.json({
       success: true,
-      message: 'Sale deleted successfully'
+      message: 'Credit note deleted successfully'
     });
   } catch (error) {
-    console.error('Error deleting sale:', error);
+    console.error('Error deleting sale return:', error);
+    
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
-      error: 'Failed to delete sale'
+      error: 'Failed to delete sale return'
     });
   }
 });
@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+const StockAdjustment = require('../models/StockAdjustment');
+const { withTransaction } = require('../utils/transaction');
+const { applyStockAdjustment } = require('../utils/stock');
+const { parseDocumentDate } = require('../utils/dates');
+const { ApiError } = require('../utils/errors');
+
+// GET /api/stock-adjustments - Get all stock adjustments with optional filtering
+router.get('/', async (req, res) => {
+  try {
+    const { itemId, reason, direction, from, to, search } = req.query;
+
+    if ((from && !parseDocumentDate(from)) || (to && !parseDocumentDate(to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'From and to dates must be in MM/DD/YYYY format'
+      });
+    }
+
+    // Build filter object
+    const filter = {};
+
+    if (itemId) {
+      filter['items.id'] = itemId;
+    }
+
+    if (reason) {
+      filter['items.reason'] = reason;
+    }
+
+    if (direction) {
+      filter['items.direction'] = direction;
+    }
+
+    if (search) {
+      filter.$or = [
+        { adjustmentNo: { $regex: search, $options: 'i' } },
+        { approvedBy: { $regex: search, $options: 'i' } },
+        { 'items.itemName': { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    // Dates are stored as MM/DD/YYYY text, so the period is checked after loading
+    const fromDate = parseDocumentDate(from);
+    const toDate = parseDocumentDate(to);
+    const adjustments = (await StockAdjustment.find(filter).sort({ createdAt: -1 }))
+      .filter(adjustment => {
+        const date = parseDocumentDate(adjustment.date);
+        return (!fromDate || date >= fromDate) && (!toDate || date <= toDate);
+      });
+
+    res.json({
+      success: true,
+      data: adjustments.map(adjustment => adjustment.getFormattedDetails()),
+      count: adjustments.length
+    });
+  } catch (error) {
+    console.error('Error fetching stock adjustments:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stock adjustments'
+    });
+  }
+});
+
+// GET /api/stock-adjustments/reasons - Get the reason codes an adjustment line can use
+router.get('/reasons', (req, res) => {
+  res.json({
+    success: true,
+    data: StockAdjustment.REASONS
+  });
+});
+
+// GET /api/stock-adjustments/:id - Get single stock adjustment by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const adjustment = await StockAdjustment.findById(req.params.id);
+
+    if (!adjustment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stock adjustment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: adjustment.getFormattedDetails()
+    });
+  } catch (error) {
+    console.error('Error fetching stock adjustment:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stock adjustment'
+    });
+  }
+});
+
+// POST /api/stock-adjustments - Adjust stock in or out, recorded in the stock ledger
+router.post('/', async (req, res) => {
+  try {
+    const { items, date, approvedBy, notes } = req.body;
+
+    // Validate required fields
+    if (!items || !date || !approvedBy) {
+      return res.status(400).json({
+        success: false,
+        error: 'Items, date and approver are required'
+      });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one item is required'
+      });
+    }
+
+    const adjustment = await withTransaction((session) => StockAdjustment.createAdjustment({
+      items,
+      date,
+      approvedBy,
+      notes
+    }, session));
+
+    res.status(201).json({
+      success: true,
+      data: adjustment.getFormattedDetails(),
+      message: 'Stock adjustment created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating stock adjustment:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create stock adjustment'
+    });
+  }
+});
+
+// DELETE /api/stock-adjustments/:id - Delete a stock adjustment and undo its stock changes
+router.delete('/:id', async (req, res) => {
+  try {
+    await withTransaction(async (session) => {
+      const adjustment = await StockAdjustment.findById(req.params.id).session(session);
+
+      if (!adjustment) {
+        throw new ApiError(404, 'Stock adjustment not found');
+      }
+
+      if (adjustment.stockTakeId) {
+        throw new ApiError(409, `Stock adjustment ${adjustment.adjustmentNo} was posted from stock take ${adjustment.stockTakeNo} and cannot be deleted`);
+      }
+
+      await applyStockAdjustment(adjustment, session, { reverse: true });
+
+      await StockAdjustment.findByIdAndDelete(adjustment._id, { session });
+    });
+
+    res.json({
+      success: true,
+      message: 'Stock adjustment deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting stock adjustment:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete stock adjustment'
+    });
+  }
+});
+
+module.exports = router;
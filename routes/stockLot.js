@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const StockLot = require('../models/StockLot');
+const Sale = require('../models/Sale');
+const DeliveryChallan = require('../models/DeliveryChallan');
+const StockAdjustment = require('../models/StockAdjustment');
+const CreditNote = require('../models/CreditNote');
+const DebitNote = require('../models/DebitNote');
+const StockTransfer = require('../models/StockTransfer');
+const { parseDocumentDate } = require('../utils/dates');
+
+// Match user text literally inside a regex
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Documents that take goods out of lots or put them back, and which way
+const LOT_DOCUMENTS = [
+  { type: 'sale', model: Sale, numberField: 'invoiceNo', direction: -1 },
+  { type: 'delivery-challan', model: DeliveryChallan, numberField: 'challanNo', direction: -1 },
+  { type: 'adjustment', model: StockAdjustment, numberField: 'adjustmentNo', direction: -1 },
+  { type: 'credit-note', model: CreditNote, numberField: 'creditNoteNo', direction: 1 },
+  { type: 'debit-note', model: DebitNote, numberField: 'debitNoteNo', direction: -1 },
+  { type: 'transfer', model: StockTransfer, numberField: 'transferNo', direction: -1 }
+];
+
+// Every document line that moved goods out of or back into a lot, oldest first
+const getLotUsage = async (lot) => {
+  const usage = [];
+
+  for (const { type, model, numberField, direction } of LOT_DOCUMENTS) {
+    const documents = await model.find({ 'items.lots.lotId': lot._id }).sort({ createdAt: 1 });
+
+    for (const document of documents) {
+      const quantity = document.items
+        .flatMap(line => line.lots || [])
+        .filter(allocation => allocation.lotId.equals(lot._id))
+        // A lot that went whole on a transfer changed warehouse, nothing left it
+        .filter(allocation => type !== 'transfer' || allocation.splitLotId)
+        .reduce((total, allocation) => total + allocation.quantity, 0);
+
+      usage.push({
+        type,
+        documentId: document._id,
+        documentNo: document[numberField],
+        date: document.date,
+        quantity: direction * quantity,
+        createdAt: document.createdAt
+      });
+    }
+  }
+
+  return usage.sort((a, b) => a.createdAt - b.createdAt);
+};
+
+// GET /api/stock-lots - Get lots with optional filtering; lots with nothing left are hidden unless status=all or exhausted
+router.get('/', async (req, res) => {
+  try {
+    const { itemId, status = 'open', grade, search } = req.query;
+
+    if (itemId && !mongoose.isValidObjectId(itemId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid item id'
+      });
+    }
+
+    // Build filter object
+    const filter = {};
+
+    if (itemId) {
+      filter.itemId = itemId;
+    }
+
+    if (status === 'open') {
+      filter.quantityRemaining = { $gt: 0 };
+    } else if (status === 'exhausted') {
+      filter.quantityRemaining = 0;
+    }
+
+    if (grade) {
+      filter.grade = { $regex: `^${escapeRegex(grade.trim())}$`, $options: 'i' };
+    }
+
+    if (search) {
+      filter.$or = [
+        { lotNo: { $regex: search, $options: 'i' } },
+        { billNo: { $regex: search, $options: 'i' } },
+        { itemName: { $regex: search, $options: 'i' } }
+      ];
+    }
+
+    const lots = await StockLot.find(filter).sort({ arrivalDate: 1, createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: lots.map(lot => lot.getFormattedDetails()),
+      count: lots.length
+    });
+  } catch (error) {
+    console.error('Error fetching stock lots:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stock lots'
+    });
+  }
+});
+
+// GET /api/stock-lots/:id - Get a lot with every document that took goods out of it or put them back
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid lot id'
+      });
+    }
+
+    const lot = await StockLot.findById(req.params.id);
+
+    if (!lot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stock lot not found'
+      });
+    }
+
+    const usage = await getLotUsage(lot);
+
+    res.json({
+      success: true,
+      data: {
+        ...lot.getFormattedDetails(),
+        usage: usage.map(({ createdAt, ...entry }) => entry)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching stock lot:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stock lot'
+    });
+  }
+});
+
+// PUT /api/stock-lots/:id - Correct the quality details of a lot; quantities follow its documents
+router.put('/:id', async (req, res) => {
+  try {
+    const { moisture, grade, arrivalDate, notes } = req.body;
+
+    if (arrivalDate !== undefined && !parseDocumentDate(arrivalDate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Arrival date must be in MM/DD/YYYY format'
+      });
+    }
+
+    const lot = await StockLot.findById(req.params.id);
+
+    if (!lot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stock lot not found'
+      });
+    }
+
+    // Update fields
+    if (moisture !== undefined) lot.moisture = moisture === null ? undefined : moisture;
+    if (grade !== undefined) lot.grade = grade || undefined;
+    if (arrivalDate !== undefined) lot.arrivalDate = parseDocumentDate(arrivalDate);
+    if (notes !== undefined) lot.notes = notes;
+
+    await lot.save();
+
+    res.json({
+      success: true,
+      data: lot.getFormattedDetails(),
+      message: 'Stock lot updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating stock lot:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update stock lot'
+    });
+  }
+});
+
+module.exports = router;
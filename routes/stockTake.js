@@ -0,0 +1,302 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const StockTake = require('../models/StockTake');
+const Item = require('../models/Item');
+const Warehouse = require('../models/Warehouse');
+const { getWarehouseQuantity } = require('../utils/stock');
+const { withTransaction } = require('../utils/transaction');
+const { formatDocumentDate } = require('../utils/dates');
+const { ApiError } = require('../utils/errors');
+
+// GET /api/stock-takes - Get all stock takes, newest first
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    // Build filter object
+    const filter = {};
+
+    if (status && status !== 'all') {
+      filter.status = status;
+    }
+
+    const stockTakes = await StockTake.find(filter).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: stockTakes.map(stockTake => stockTake.getFormattedDetails()),
+      count: stockTakes.length
+    });
+  } catch (error) {
+    console.error('Error fetching stock takes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stock takes'
+    });
+  }
+});
+
+// GET /api/stock-takes/:id - Get a stock take; while it is open, variances are against book stock now
+router.get('/:id', async (req, res) => {
+  try {
+    const stockTake = await StockTake.findById(req.params.id);
+
+    if (!stockTake) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stock take not found'
+      });
+    }
+
+    if (stockTake.status === 'open') {
+      await stockTake.refreshBookQuantities();
+    }
+
+    res.json({
+      success: true,
+      data: stockTake.getFormattedDetails()
+    });
+  } catch (error) {
+    console.error('Error fetching stock take:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stock take'
+    });
+  }
+});
+
+// POST /api/stock-takes - Start a stock take of all items, a category, or the items given,
+// in the warehouse given or the default one
+router.post('/', async (req, res) => {
+  try {
+    const { date = formatDocumentDate(), itemIds, category, warehouseId, countedBy, notes } = req.body;
+
+    if (itemIds !== undefined && (!Array.isArray(itemIds) || itemIds.some(id => !mongoose.isValidObjectId(id)))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Item IDs must be an array of item ids'
+      });
+    }
+
+    const stockTake = await withTransaction(async (session) => {
+      const warehouse = await Warehouse.resolve(warehouseId, session);
+
+      const filter = {};
+      if (itemIds) {
+        filter._id = { $in: itemIds };
+      }
+      if (category) {
+        filter.category = category;
+      }
+
+      const items = await Item.find(filter).sort({ productName: 1 }).session(session);
+      if (items.length === 0) {
+        throw new ApiError(400, 'No items to count');
+      }
+
+      // Generate stock take number
+      const stockTakeNo = await StockTake.generateNextStockTakeNumber(date, session);
+
+      const lines = [];
+      for (const item of items) {
+        const { quantity } = await getWarehouseQuantity(item, warehouse._id, session);
+        lines.push({
+          id: item._id.toString(),
+          itemName: item.productName,
+          unit: item.baseUnit,
+          bookQuantity: quantity
+        });
+      }
+
+      const newStockTake = new StockTake({
+        stockTakeNo,
+        date,
+        warehouseId: warehouse._id,
+        warehouseName: warehouse.name,
+        items: lines,
+        countedBy,
+        notes
+      });
+
+      await newStockTake.save({ session });
+
+      return newStockTake;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: stockTake.getFormattedDetails(),
+      message: 'Stock take started successfully'
+    });
+  } catch (error) {
+    console.error('Error starting stock take:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start stock take'
+    });
+  }
+});
+
+// PUT /api/stock-takes/:id/counts - Enter counted quantities, e.g. { counts: [{ id, quantity, unit, reason, note }] }
+router.put('/:id/counts', async (req, res) => {
+  try {
+    const { counts, countedBy } = req.body;
+
+    if (!Array.isArray(counts) || counts.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Counts must be a non-empty array'
+      });
+    }
+
+    const stockTake = await withTransaction(async (session) => {
+      const existingStockTake = await StockTake.findById(req.params.id).session(session);
+
+      if (!existingStockTake) {
+        throw new ApiError(404, 'Stock take not found');
+      }
+
+      await existingStockTake.setCounts(counts, session);
+      if (countedBy !== undefined) existingStockTake.countedBy = countedBy;
+
+      await existingStockTake.save({ session });
+
+      return existingStockTake;
+    });
+
+    res.json({
+      success: true,
+      data: stockTake.getFormattedDetails(),
+      message: 'Counts saved successfully'
+    });
+  } catch (error) {
+    console.error('Error saving stock take counts:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to save stock take counts'
+    });
+  }
+});
+
+// POST /api/stock-takes/:id/finalise - Post the variances of counted items as a stock adjustment
+router.post('/:id/finalise', async (req, res) => {
+  try {
+    const { approvedBy } = req.body;
+
+    if (!approvedBy) {
+      return res.status(400).json({
+        success: false,
+        error: 'Approver is required'
+      });
+    }
+
+    const { stockTake, adjustment } = await withTransaction((session) => (
+      StockTake.finalise(req.params.id, approvedBy, session)
+    ));
+
+    res.json({
+      success: true,
+      data: {
+        stockTake: stockTake.getFormattedDetails(),
+        adjustment: adjustment ? adjustment.getFormattedDetails() : null
+      },
+      message: adjustment
+        ? `Stock take finalised, variances posted as ${adjustment.adjustmentNo}`
+        : 'Stock take finalised, counts match book stock'
+    });
+  } catch (error) {
+    console.error('Error finalising stock take:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to finalise stock take'
+    });
+  }
+});
+
+// DELETE /api/stock-takes/:id - Discard an open stock take
+router.delete('/:id', async (req, res) => {
+  try {
+    const stockTake = await StockTake.findById(req.params.id);
+
+    if (!stockTake) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stock take not found'
+      });
+    }
+
+    if (stockTake.status !== 'open') {
+      return res.status(409).json({
+        success: false,
+        error: 'A finalised stock take cannot be deleted, its variances are posted'
+      });
+    }
+
+    await StockTake.findByIdAndDelete(stockTake._id);
+
+    res.json({
+      success: true,
+      message: 'Stock take deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting stock take:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete stock take'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const StockTransfer = require('../models/StockTransfer');
+const { withTransaction } = require('../utils/transaction');
+const { applyStockTransfer } = require('../utils/stock');
+const { parseDocumentDate } = require('../utils/dates');
+const { ApiError } = require('../utils/errors');
+
+// GET /api/stock-transfers - Get all stock transfers with optional filtering
+router.get('/', async (req, res) => {
+  try {
+    const { warehouseId, itemId, from, to, search } = req.query;
+
+    if ((from && !parseDocumentDate(from)) || (to && !parseDocumentDate(to))) {
+      return res.status(400).json({
+        success: false,
+        error: 'From and to dates must be in MM/DD/YYYY format'
+      });
+    }
+
+    // Build filter object
+    const filter = {};
+
+    // Transfers out of or into the warehouse
+    if (warehouseId) {
+      filter.$or = [{ fromWarehouseId: warehouseId }, { toWarehouseId: warehouseId }];
+    }
+
+    if (itemId) {
+      filter['items.id'] = itemId;
+    }
+
+    if (search) {
+      filter.$and = [{
+        $or: [
+          { transferNo: { $regex: search, $options: 'i' } },
+          { vehicleNumber: { $regex: search, $options: 'i' } },
+          { 'items.itemName': { $regex: search, $options: 'i' } }
+        ]
+      }];
+    }
+
+    // Dates are stored as MM/DD/YYYY text, so the period is checked after loading
+    const fromDate = parseDocumentDate(from);
+    const toDate = parseDocumentDate(to);
+    const transfers = (await StockTransfer.find(filter).sort({ createdAt: -1 }))
+      .filter(transfer => {
+        const date = parseDocumentDate(transfer.date);
+        return (!fromDate || date >= fromDate) && (!toDate || date <= toDate);
+      });
+
+    res.json({
+      success: true,
+      data: transfers.map(transfer => transfer.getFormattedDetails()),
+      count: transfers.length
+    });
+  } catch (error) {
+    console.error('Error fetching stock transfers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stock transfers'
+    });
+  }
+});
+
+// GET /api/stock-transfers/:id - Get single stock transfer by ID
+router.get('/:id', async (req, res) => {
+  try {
+    const transfer = await StockTransfer.findById(req.params.id);
+
+    if (!transfer) {
+      return res.status(404).json({
+        success: false,
+        error: 'Stock transfer not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: transfer.getFormattedDetails()
+    });
+  } catch (error) {
+    console.error('Error fetching stock transfer:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch stock transfer'
+    });
+  }
+});
+
+// POST /api/stock-transfers - Move stock from one warehouse to another
+router.post('/', async (req, res) => {
+  try {
+    const { items, date, fromWarehouseId, toWarehouseId, vehicleNumber, notes } = req.body;
+
+    // Validate required fields
+    if (!items || !date || !fromWarehouseId || !toWarehouseId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Items, date, from warehouse and to warehouse are required'
+      });
+    }
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'At least one item is required'
+      });
+    }
+
+    const transfer = await withTransaction((session) => StockTransfer.createTransfer({
+      items,
+      date,
+      fromWarehouseId,
+      toWarehouseId,
+      vehicleNumber,
+      notes
+    }, session));
+
+    res.status(201).json({
+      success: true,
+      data: transfer.getFormattedDetails(),
+      message: 'Stock transfer created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating stock transfer:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create stock transfer'
+    });
+  }
+});
+
+// DELETE /api/stock-transfers/:id - Delete a stock transfer, moving its stock back
+router.delete('/:id', async (req, res) => {
+  try {
+    await withTransaction(async (session) => {
+      const transfer = await StockTransfer.findById(req.params.id).session(session);
+
+      if (!transfer) {
+        throw new ApiError(404, 'Stock transfer not found');
+      }
+
+      await applyStockTransfer(transfer, session, { reverse: true });
+
+      await StockTransfer.findByIdAndDelete(transfer._id, { session });
+    });
+
+    res.json({
+      success: true,
+      message: 'Stock transfer deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting stock transfer:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete stock transfer'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,303 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Warehouse = require('../models/Warehouse');
+const Item = require('../models/Item');
+const StockMovement = require('../models/StockMovement');
+const { roundAmount } = require('../utils/gst');
+const { fromBaseQuantity } = require('../utils/units');
+const { QUANTITY_TOLERANCE } = require('../utils/lineProgress');
+const { withTransaction } = require('../utils/transaction');
+const { ApiError } = require('../utils/errors');
+
+// Stock held in one warehouse, per item, valued at purchase price
+const getStockHeld = (items, warehouseId) => {
+  return items
+    .map(item => {
+      const quantity = item.getWarehouseStock(warehouseId);
+      return {
+        itemId: item._id,
+        productName: item.productName,
+        unit: item.baseUnit,
+        quantity,
+        // Purchase prices are per the item's default unit
+        value: roundAmount(fromBaseQuantity(item, quantity) * item.purchasePrice)
+      };
+    })
+    .filter(stock => stock.quantity > QUANTITY_TOLERANCE);
+};
+
+// GET /api/warehouses - Get all warehouses with the number and value of items held
+router.get('/', async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    // Build filter object
+    const filter = {};
+
+    if (active !== undefined) {
+      filter.isActive = active === 'true';
+    }
+
+    const warehouses = await Warehouse.find(filter).sort({ isDefault: -1, name: 1 });
+    const items = await Item.find({ 'warehouseStock.0': { $exists: true } });
+
+    const data = warehouses.map(warehouse => {
+      const stock = getStockHeld(items, warehouse._id);
+      return {
+        ...warehouse.getFormattedDetails(),
+        itemCount: stock.length,
+        stockValue: roundAmount(stock.reduce((total, line) => total + line.value, 0))
+      };
+    });
+
+    res.json({
+      success: true,
+      data,
+      count: data.length
+    });
+  } catch (error) {
+    console.error('Error fetching warehouses:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch warehouses'
+    });
+  }
+});
+
+// GET /api/warehouses/:id - Get a warehouse with the stock of every item held there
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid warehouse id'
+      });
+    }
+
+    const warehouse = await Warehouse.findById(req.params.id);
+
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        error: 'Warehouse not found'
+      });
+    }
+
+    const items = await Item.find({ 'warehouseStock.warehouseId': warehouse._id }).sort({ productName: 1 });
+    const stock = getStockHeld(items, warehouse._id);
+
+    res.json({
+      success: true,
+      data: {
+        ...warehouse.getFormattedDetails(),
+        stock,
+        stockValue: roundAmount(stock.reduce((total, line) => total + line.value, 0))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching warehouse:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch warehouse'
+    });
+  }
+});
+
+// POST /api/warehouses - Create new warehouse
+router.post('/', async (req, res) => {
+  try {
+    const { name, address, isDefault = false } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Warehouse name is required'
+      });
+    }
+
+    const warehouse = await withTransaction(async (session) => {
+      // Make sure stock kept so far has a default warehouse before another one is added
+      await Warehouse.getDefault(session);
+
+      if (isDefault) {
+        await Warehouse.updateMany({ isDefault: true }, { isDefault: false }, { session });
+      }
+
+      const newWarehouse = new Warehouse({ name, address, isDefault });
+      await newWarehouse.save({ session });
+
+      return newWarehouse;
+    });
+
+    res.status(201).json({
+      success: true,
+      data: warehouse.getFormattedDetails(),
+      message: 'Warehouse created successfully'
+    });
+  } catch (error) {
+    console.error('Error creating warehouse:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A warehouse with this name already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create warehouse'
+    });
+  }
+});
+
+// PUT /api/warehouses/:id - Update warehouse. Making it the default unsets the old default;
+// a warehouse holding stock can't be deactivated
+router.put('/:id', async (req, res) => {
+  try {
+    const { name, address, isDefault, isActive } = req.body;
+
+    const warehouse = await withTransaction(async (session) => {
+      const existingWarehouse = await Warehouse.findById(req.params.id).session(session);
+
+      if (!existingWarehouse) {
+        throw new ApiError(404, 'Warehouse not found');
+      }
+
+      if (isDefault === false && existingWarehouse.isDefault) {
+        throw new ApiError(400, 'Make another warehouse the default instead');
+      }
+
+      if (isActive === false && existingWarehouse.isActive) {
+        if (existingWarehouse.isDefault || isDefault) {
+          throw new ApiError(400, 'The default warehouse cannot be deactivated');
+        }
+
+        const items = await Item.find({ 'warehouseStock.warehouseId': existingWarehouse._id }).session(session);
+        const stock = getStockHeld(items, existingWarehouse._id);
+        if (stock.length > 0) {
+          throw new ApiError(409, `Warehouse ${existingWarehouse.name} holds stock of ${stock.length} items, transfer it out first`);
+        }
+      }
+
+      if (isDefault && !existingWarehouse.isDefault) {
+        if (isActive === false || !existingWarehouse.isActive) {
+          throw new ApiError(400, 'An inactive warehouse cannot be the default');
+        }
+        await Warehouse.updateMany({ isDefault: true }, { isDefault: false }, { session });
+      }
+
+      // Update fields
+      if (name) existingWarehouse.name = name;
+      if (address !== undefined) existingWarehouse.address = address;
+      if (isDefault !== undefined) existingWarehouse.isDefault = isDefault;
+      if (isActive !== undefined) existingWarehouse.isActive = isActive;
+
+      await existingWarehouse.save({ session });
+
+      return existingWarehouse;
+    });
+
+    res.json({
+      success: true,
+      data: warehouse.getFormattedDetails(),
+      message: 'Warehouse updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating warehouse:', error);
+
+    if (error instanceof ApiError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'A warehouse with this name already exists'
+      });
+    }
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        error: 'Validation failed',
+        details: errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update warehouse'
+    });
+  }
+});
+
+// DELETE /api/warehouses/:id - Delete a warehouse no stock has ever moved through
+router.delete('/:id', async (req, res) => {
+  try {
+    const warehouse = await Warehouse.findById(req.params.id);
+
+    if (!warehouse) {
+      return res.status(404).json({
+        success: false,
+        error: 'Warehouse not found'
+      });
+    }
+
+    if (warehouse.isDefault) {
+      return res.status(400).json({
+        success: false,
+        error: 'The default warehouse cannot be deleted'
+      });
+    }
+
+    const holdsStock = await Item.exists({
+      warehouseStock: { $elemMatch: { warehouseId: warehouse._id, quantity: { $gt: QUANTITY_TOLERANCE } } }
+    });
+    if (holdsStock) {
+      return res.status(409).json({
+        success: false,
+        error: `Warehouse ${warehouse.name} holds stock, transfer it out first`
+      });
+    }
+
+    // Stock history refers to the warehouse, so it is deactivated instead
+    const movementCount = await StockMovement.countDocuments({ warehouseId: warehouse._id });
+    if (movementCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Stock has moved through warehouse ${warehouse.name}, deactivate it instead`,
+        details: { movementCount }
+      });
+    }
+
+    await Warehouse.findByIdAndDelete(warehouse._id);
+
+    res.json({
+      success: true,
+      message: 'Warehouse deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting warehouse:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete warehouse'
+    });
+  }
+});
+
+module.exports = router;
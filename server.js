@@ -53,6 +53,17 @@ const partyRoutes = require('./routes/party');
 const saleRoutes = require('./routes/sale');
 const purchaseRoutes = require('./routes/purchase');
 const paymentRoutes = require('./routes/payment');
+const estimateRoutes = require('./routes/estimate');
+const purchaseOrderRoutes = require('./routes/purchaseOrder');
+const deliveryChallanRoutes = require('./routes/deliveryChallan');
+const reportRoutes = require('./routes/report');
+const paymentReminderRoutes = require('./routes/paymentReminder');
+const stockAdjustmentRoutes = require('./routes/stockAdjustment');
+const stockTakeRoutes = require('./routes/stockTake');
+const warehouseRoutes = require('./routes/warehouse');
+const stockTransferRoutes = require('./routes/stockTransfer');
+const stockLotRoutes = require('./routes/stockLot');
+const { startReminderSchedule } = require('./utils/paymentReminders');
 const Item = require('./models/Item');
 
 const app = express();
@@ -83,6 +94,16 @@ app.use('/api/parties', partyRoutes);
 app.use('/api/sales', saleRoutes);
 app.use('/api/purchases', purchaseRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/estimates', estimateRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/delivery-challans', deliveryChallanRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/payment-reminders', paymentReminderRoutes);
+app.use('/api/stock-adjustments', stockAdjustmentRoutes);
+app.use('/api/stock-takes', stockTakeRoutes);
+app.use('/api/warehouses', warehouseRoutes);
+app.use('/api/stock-transfers', stockTransferRoutes);
+app.use('/api/stock-lots', stockLotRoutes);
 
 // Health check endpoint
 app.get('/', (req, res) => {
@@ -97,11 +118,38 @@ app.get('/', (req, res) => {
       whatsapp_test: '/upload/test-whatsapp',
       company: '/company',
       items: '/api/items',
+      items_movements: '/api/items/:id/movements',
       parties: '/api/parties',
       parties_transactions: '/api/parties/:id/transactions',
+      parties_groups: '/api/parties/groups',
+      parties_duplicates: '/api/parties/duplicates',
+      parties_merge: '/api/parties/:id/merge',
+      parties_archive: '/api/parties/:id/archive',
+      parties_restore: '/api/parties/:id/restore',
+      parties_balance_summary: '/api/parties/balances/summary',
+      parties_ledger: '/api/parties/:id/ledger',
+      parties_ledger_pdf: '/api/parties/:id/ledger/pdf',
+      parties_open_bills: '/api/parties/:id/open-bills',
+      parties_credit_check: '/api/parties/:id/credit-check',
       sales: '/api/sales',
       purchases: '/api/purchases',
-      payments: '/api/payments'
+      payments: '/api/payments',
+      estimates: '/api/estimates',
+      purchase_orders: '/api/purchase-orders',
+      delivery_challans: '/api/delivery-challans',
+      unbilled_challans: '/api/delivery-challans/unbilled',
+      stock_adjustments: '/api/stock-adjustments',
+      stock_takes: '/api/stock-takes',
+      warehouses: '/api/warehouses',
+      stock_transfers: '/api/stock-transfers',
+      stock_lots: '/api/stock-lots',
+      ageing_report: '/api/reports/ageing',
+      stock_summary_report: '/api/reports/stock-summary',
+      stock_adjustment_report: '/api/reports/stock-adjustments',
+      lot_report: '/api/reports/lots',
+      payment_reminders: '/api/payment-reminders',
+      payment_reminders_due: '/api/payment-reminders/due',
+      payment_reminder_settings: '/company/payment-reminders'
     }
   });
 });
@@ -162,6 +210,72 @@ async function cleanupDuplicatePayments() {
   }
 }
 
+// Recompute party balances kept before they were signed
+async function migratePartyBalances() {
+  try {
+    const Party = require('./models/Party');
+    const result = await Party.recomputeBalances();
+    
+    if (result.updatedCount > 0) {
+      result.parties.forEach(change => {
+        console.log(`🧮 ${change.name}: balance ${change.previousBalance}, from history ${change.balance}`);
+      });
+      console.log(`🧮 Recomputed ${result.updatedCount} party balances`);
+    } else {
+      console.log('✅ Party balances are up to date');
+    }
+  } catch (error) {
+    console.error('❌ Error migrating party balances:', error);
+  }
+}
+
+// Work out payment status of bills saved before payment allocations
+async function backfillBillPaymentStatus() {
+  try {
+    const { backfillBillSettlements } = require('./utils/billPayments');
+    const updatedCount = await backfillBillSettlements();
+    
+    if (updatedCount > 0) {
+      console.log(`🧾 Set payment status on ${updatedCount} bills`);
+    } else {
+      console.log('✅ Bill payment status is up to date');
+    }
+  } catch (error) {
+    console.error('❌ Error setting bill payment status:', error);
+  }
+}
+
+// Place stock kept before warehouses existed in the default warehouse
+async function backfillWarehouses() {
+  try {
+    const { backfillWarehouseStock } = require('./utils/stock');
+    const placedCount = await backfillWarehouseStock();
+    
+    if (placedCount > 0) {
+      console.log(`🏬 Placed stock of ${placedCount} items in the default warehouse`);
+    } else {
+      console.log('✅ Warehouse stock is up to date');
+    }
+  } catch (error) {
+    console.error('❌ Error placing stock in warehouses:', error);
+  }
+}
+
+// Start the stock ledger of items created before it existed
+async function backfillStockMovements() {
+  try {
+    const { backfillOpeningMovements } = require('./utils/stock');
+    const startedCount = await backfillOpeningMovements();
+    
+    if (startedCount > 0) {
+      console.log(`📦 Started the stock ledger of ${startedCount} items`);
+    } else {
+      console.log('✅ Stock ledger is up to date');
+    }
+  } catch (error) {
+    console.error('❌ Error starting the stock ledger:', error);
+  }
+}
 
 // Start server
 const startServer = async () => {
@@ -183,12 +297,36 @@ const startServer = async () => {
     await cleanupDuplicatePayments();
     console.log('✅ Payment cleanup completed');
 
+    // Migrate party balances
+    console.log('🔄 Migrating party balances...');
+    await migratePartyBalances();
+    console.log('✅ Party balance migration completed');
+
+    // Set payment status on older bills
+    console.log('🔄 Setting bill payment status...');
+    await backfillBillPaymentStatus();
+    console.log('✅ Bill payment status completed');
+
+    // Give stock a warehouse before the ledger records where it is
+    console.log('🔄 Setting up warehouses...');
+    await backfillWarehouses();
+    console.log('✅ Warehouse setup completed');
+
+    // Bring forward stock of items without stock movements
+    console.log('🔄 Starting stock ledger...');
+    await backfillStockMovements();
+    console.log('✅ Stock ledger completed');
+
     // Start listening
     const server = app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📊 Health check: http://localhost:${PORT}/`);
     });
 
+    // Send overdue payment reminders on schedule
+    startReminderSchedule();
+    console.log('🔔 Payment reminder schedule started');
+
     // Handle server errors
     server.on('error', (err) => {
       if (err.code === 'EADDRINUSE') {
@@ -0,0 +1,95 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Party = require('../models/Party');
+const Sale = require('../models/Sale');
+const Purchase = require('../models/Purchase');
+const Payment = require('../models/Payment');
+const CreditNote = require('../models/CreditNote');
+const DebitNote = require('../models/DebitNote');
+
+// Queries are stubbed, so balances are worked out without a database
+const stubs = [];
+const stub = (target, name, implementation) => {
+  stubs.push([target, name, target[name]]);
+  target[name] = implementation;
+};
+
+// Resolves like a query, with .session() as the models chain it
+const query = (rows) => ({
+  session: () => Promise.resolve(rows),
+  then: (resolve, reject) => Promise.resolve(rows).then(resolve, reject)
+});
+
+afterEach(() => {
+  while (stubs.length > 0) {
+    const [target, name, original] = stubs.pop();
+    target[name] = original;
+  }
+});
+
+test('recomputeBalances writes the signed balance worked out from history', async () => {
+  const party = new Party({
+    name: 'Ramesh Traders',
+    phoneNumber: '+919876543210',
+    openingBalance: 50,
+    openingBalanceType: 'to-receive',
+    // Legacy balance that added purchases instead of taking them off
+    balance: 1750
+  });
+
+  const totals = (amount) => () => query([{ _id: party._id, amount }]);
+  stub(Party, 'find', () => query([party]));
+  stub(Sale, 'aggregate', totals(1000));
+  stub(CreditNote, 'aggregate', totals(0));
+  stub(Purchase, 'aggregate', totals(300));
+  stub(DebitNote, 'aggregate', totals(0));
+  stub(Payment, 'aggregate', () => query([
+    { _id: { partyId: party._id, type: 'payment-in' }, amount: 400 },
+    { _id: { partyId: party._id, type: 'payment-out' }, amount: 100 }
+  ]));
+
+  let written;
+  stub(Party, 'bulkWrite', async (operations) => {
+    written = operations;
+  });
+
+  const result = await Party.recomputeBalances({ partyIds: [party._id] });
+
+  // 50 opening + 1000 sales - 300 purchases - 400 received + 100 paid
+  assert.strictEqual(written.length, 1);
+  assert.strictEqual(written[0].updateOne.update.$set.balance, 450);
+  assert.strictEqual(result.updatedCount, 1);
+  assert.deepStrictEqual(result.parties[0], {
+    partyId: party._id,
+    name: 'Ramesh Traders',
+    previousBalance: 1750,
+    balance: 450
+  });
+});
+
+test('recomputeBalances leaves the opening balance alone and can go negative', async () => {
+  const party = new Party({
+    name: 'Sai Suppliers',
+    phoneNumber: '+919812345678',
+    balance: 0
+  });
+
+  stub(Party, 'find', () => query([party]));
+  stub(Sale, 'aggregate', () => query([]));
+  stub(CreditNote, 'aggregate', () => query([]));
+  stub(Purchase, 'aggregate', () => query([{ _id: party._id, amount: 800 }]));
+  stub(DebitNote, 'aggregate', () => query([]));
+  stub(Payment, 'aggregate', () => query([]));
+
+  let written;
+  stub(Party, 'bulkWrite', async (operations) => {
+    written = operations;
+  });
+
+  await Party.recomputeBalances({ all: true });
+
+  assert.deepStrictEqual(Object.keys(written[0].updateOne.update.$set).sort(), ['balance', 'balanceVersion']);
+  assert.strictEqual(written[0].updateOne.update.$set.balance, -800);
+  assert.ok(mongoose.isValidObjectId(written[0].updateOne.filter._id));
+});
@@ -0,0 +1,197 @@
+const Sale = require('../models/Sale');
+const Purchase = require('../models/Purchase');
+const Party = require('../models/Party');
+const Payment = require('../models/Payment');
+const { roundAmount } = require('./gst');
+const { parseDocumentDate, formatDocumentDate, daysBetweenDocumentDates } = require('./dates');
+const { BILL_SOURCES } = require('./billPayments');
+
+// Overdue buckets by days past the due date; bills not yet due are kept apart
+const AGEING_BUCKETS = [
+  { key: '0-30', label: '0-30 days', maxDays: 30 },
+  { key: '31-60', label: '31-60 days', maxDays: 60 },
+  { key: '61-90', label: '61-90 days', maxDays: 90 },
+  { key: '90+', label: 'Over 90 days', maxDays: Infinity }
+];
+
+// Which bills, payments and opening balances make up each side of the report
+const AGEING_SIDES = {
+  receivable: { Bill: Sale, paymentType: 'payment-in', openingBalanceType: 'to-receive' },
+  payable: { Bill: Purchase, paymentType: 'payment-out', openingBalanceType: 'to-pay' }
+};
+
+/**
+ * Find the bucket for a number of days past due
+ * @param {number} daysOverdue - Days since the due date, negative if not yet due
+ * @returns {string} Bucket key, or 'notDue'
+ */
+const getBucketKey = (daysOverdue) => {
+  if (daysOverdue < 0) {
+    return 'notDue';
+  }
+  return AGEING_BUCKETS.find(bucket => daysOverdue <= bucket.maxDays).key;
+};
+
+const emptyTotals = () => {
+  const totals = { notDue: 0 };
+  AGEING_BUCKETS.forEach(bucket => { totals[bucket.key] = 0; });
+  totals.total = 0;
+  return totals;
+};
+
+const addToTotals = (totals, key, amount) => {
+  totals[key] = roundAmount(totals[key] + amount);
+  totals.total = roundAmount(totals.total + amount);
+};
+
+/**
+ * Age one side (receivable or payable) of the parties' outstanding amounts.
+ * Open bills are aged by their due date and an opening balance by its date.
+ * Payments not allocated to any bill are knocked off the oldest amounts first,
+ * so parties that pay on account still age correctly.
+ * @param {string} side - receivable or payable
+ * @param {string} asOf - Date to age on, MM/DD/YYYY
+ * @param {ObjectId|null} partyId - Only age this party
+ * @returns {Promise<Object>} { totals, parties }
+ */
+const buildSideAgeing = async (side, asOf, partyId) => {
+  const { Bill, paymentType, openingBalanceType } = AGEING_SIDES[side];
+  const source = BILL_SOURCES[paymentType];
+
+  const [bills, payments, openingParties] = await Promise.all([
+    Bill.find({ partyId: partyId || { $ne: null }, balanceDue: { $gt: 0 } })
+      .select(`${source.numberField} date dueDate balanceDue partyId createdAt`)
+      .lean(),
+    Payment.find({ partyId: partyId || { $ne: null }, type: paymentType })
+      .select('partyId amount allocations')
+      .lean(),
+    Party.find({ ...(partyId ? { _id: partyId } : {}), openingBalance: { $gt: 0 }, openingBalanceType })
+      .select('_id')
+      .lean()
+  ]);
+
+  // Amounts still owed per party, each aged from its own date
+  const amountsByParty = new Map();
+  const addAmount = (partyId, amount) => {
+    const key = partyId.toString();
+    if (!amountsByParty.has(key)) {
+      amountsByParty.set(key, []);
+    }
+    amountsByParty.get(key).push(amount);
+  };
+
+  for (const bill of bills) {
+    const dueDate = bill.dueDate || bill.date;
+    addAmount(bill.partyId, {
+      documentType: source.billType,
+      documentId: bill._id.toString(),
+      documentNo: bill[source.numberField],
+      date: bill.date,
+      dueDate,
+      amount: bill.balanceDue,
+      sortDate: parseDocumentDate(dueDate) || bill.createdAt
+    });
+  }
+
+  const partyIds = [...new Set([
+    ...amountsByParty.keys(),
+    ...openingParties.map(party => party._id.toString())
+  ])];
+  const parties = await Party.find({ _id: { $in: partyIds } })
+    .select('name phoneNumber creditDays openingBalance openingBalanceType openingBalanceDate createdAt');
+
+  for (const party of parties) {
+    if (party.openingBalance > 0 && party.openingBalanceType === openingBalanceType) {
+      const date = party.openingBalanceDate || formatDocumentDate(party.createdAt);
+      addAmount(party._id, {
+        documentType: 'opening-balance',
+        documentId: null,
+        documentNo: 'Opening Balance',
+        date,
+        dueDate: date,
+        amount: party.openingBalance,
+        sortDate: parseDocumentDate(date)
+      });
+    }
+  }
+
+  // Payments left over after their allocations, per party
+  const unallocatedByParty = new Map();
+  for (const payment of payments) {
+    const allocated = (payment.allocations || []).reduce((total, allocation) => total + allocation.amount, 0);
+    const key = payment.partyId.toString();
+    unallocatedByParty.set(key, roundAmount((unallocatedByParty.get(key) || 0) + payment.amount - allocated));
+  }
+
+  const totals = emptyTotals();
+  const partyRows = [];
+
+  for (const party of parties) {
+    const key = party._id.toString();
+    const amounts = (amountsByParty.get(key) || []).sort((a, b) => a.sortDate - b.sortDate);
+    let unallocated = Math.max(unallocatedByParty.get(key) || 0, 0);
+    const partyTotals = emptyTotals();
+    const rows = [];
+
+    for (const { sortDate, ...entry } of amounts) {
+      // Oldest amounts are settled first by payments made on account
+      const settled = Math.min(unallocated, entry.amount);
+      unallocated = roundAmount(unallocated - settled);
+      const outstanding = roundAmount(entry.amount - settled);
+      if (outstanding <= 0) {
+        continue;
+      }
+
+      const daysOverdue = daysBetweenDocumentDates(entry.dueDate, asOf) || 0;
+      const bucket = getBucketKey(daysOverdue);
+      addToTotals(partyTotals, bucket, outstanding);
+      addToTotals(totals, bucket, outstanding);
+      rows.push({ ...entry, outstanding, daysOverdue, bucket });
+    }
+
+    if (rows.length > 0) {
+      partyRows.push({
+        partyId: key,
+        partyName: party.name,
+        phoneNumber: party.phoneNumber,
+        creditDays: party.creditDays,
+        ...partyTotals,
+        bills: rows
+      });
+    }
+  }
+
+  // Largest outstanding first
+  partyRows.sort((a, b) => b.total - a.total);
+
+  return { totals, parties: partyRows };
+};
+
+/**
+ * Build the receivables and payables ageing report
+ * @param {Object} options - { asOf (MM/DD/YYYY), type ('receivable', 'payable' or 'all'), partyId }
+ * @returns {Promise<Object>} Buckets, plus totals and per-party rows for each side
+ */
+const buildAgeingReport = async ({ asOf, type = 'all', partyId } = {}) => {
+  const sides = type === 'all' ? Object.keys(AGEING_SIDES) : [type];
+
+  const report = {
+    asOf,
+    buckets: [
+      { key: 'notDue', label: 'Not due' },
+      ...AGEING_BUCKETS.map(({ key, label }) => ({ key, label }))
+    ]
+  };
+
+  for (const side of sides) {
+    report[side] = await buildSideAgeing(side, asOf, partyId || null);
+  }
+
+  return report;
+};
+
+module.exports = {
+  AGEING_BUCKETS,
+  AGEING_SIDES,
+  buildAgeingReport
+};
@@ -0,0 +1,296 @@
+const mongoose = require('mongoose');
+const { roundAmount } = require('./gst');
+const { parseDocumentDate } = require('./dates');
+const { ApiError } = require('./errors');
+
+const PAYMENT_STATUSES = ['unpaid', 'partially-paid', 'paid'];
+
+// Differences below this are paise rounding, not money owed
+const AMOUNT_TOLERANCE = 0.005;
+
+// Bills each payment type settles, and the return notes that reduce them
+const BILL_SOURCES = {
+  'payment-in': {
+    billType: 'sale',
+    model: 'Sale',
+    numberField: 'invoiceNo',
+    label: 'Invoice',
+    returnModel: 'CreditNote',
+    returnField: 'saleId'
+  },
+  'payment-out': {
+    billType: 'purchase',
+    model: 'Purchase',
+    numberField: 'billNo',
+    label: 'Bill',
+    returnModel: 'DebitNote',
+    returnField: 'purchaseId'
+  }
+};
+
+const getBillSource = (paymentType) => {
+  const source = BILL_SOURCES[paymentType];
+  if (!source) {
+    throw new ApiError(400, 'Payment type must be either payment-in or payment-out');
+  }
+  return source;
+};
+
+/**
+ * Work out how much of a bill is still due and its payment status
+ * @param {number} totalAmount - Bill total
+ * @param {number} paidAmount - Amount allocated to it from payments
+ * @param {number} returnedAmount - Amount of credit/debit notes against it
+ * @returns {Object} { paidAmount, returnedAmount, balanceDue, paymentStatus }
+ */
+const getSettlement = (totalAmount, paidAmount = 0, returnedAmount = 0) => {
+  const remaining = roundAmount((totalAmount || 0) - (returnedAmount || 0) - (paidAmount || 0));
+  const balanceDue = remaining > AMOUNT_TOLERANCE ? remaining : 0;
+
+  let paymentStatus = 'unpaid';
+  if (balanceDue === 0) {
+    paymentStatus = 'paid';
+  } else if (paidAmount > AMOUNT_TOLERANCE) {
+    paymentStatus = 'partially-paid';
+  }
+
+  return {
+    paidAmount: roundAmount(paidAmount || 0),
+    returnedAmount: roundAmount(returnedAmount || 0),
+    balanceDue,
+    paymentStatus
+  };
+};
+
+/**
+ * Add up payment allocations and returns against bills, straight from the
+ * payments and return notes so bills saved before allocations existed are right too
+ * @param {string} paymentType - payment-in (sales) or payment-out (purchases)
+ * @param {Array<ObjectId>} billIds - Bills to total up
+ * @param {Object} options - { excludePaymentId, session }
+ * @returns {Promise<Map>} Bill id string -> { paidAmount, returnedAmount }
+ */
+const sumSettlements = async (paymentType, billIds, { excludePaymentId = null, session = null } = {}) => {
+  const source = getBillSource(paymentType);
+  const Payment = mongoose.model('Payment');
+  const ReturnNote = mongoose.model(source.returnModel);
+  const ids = billIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+
+  const paymentMatch = { type: paymentType, 'allocations.documentId': { $in: ids } };
+  if (excludePaymentId) {
+    paymentMatch._id = { $ne: excludePaymentId };
+  }
+
+  // One after the other: a transaction session can't run operations side by side
+  const paid = await Payment.aggregate([
+    { $match: paymentMatch },
+    { $unwind: '$allocations' },
+    { $match: { 'allocations.documentId': { $in: ids } } },
+    { $group: { _id: '$allocations.documentId', total: { $sum: '$allocations.amount' } } }
+  ]).session(session);
+  const returned = await ReturnNote.aggregate([
+    { $match: { [source.returnField]: { $in: ids } } },
+    { $group: { _id: `$${source.returnField}`, total: { $sum: '$totalAmount' } } }
+  ]).session(session);
+
+  const settlements = new Map(ids.map(id => [id.toString(), { paidAmount: 0, returnedAmount: 0 }]));
+  paid.forEach(row => { settlements.get(row._id.toString()).paidAmount = row.total; });
+  returned.forEach(row => { settlements.get(row._id.toString()).returnedAmount = row.total; });
+  return settlements;
+};
+
+/**
+ * Recompute paid amount, balance due and payment status of bills after
+ * payments or return notes against them changed
+ * @param {string} paymentType - payment-in (sales) or payment-out (purchases)
+ * @param {Array<ObjectId>} billIds - Bills to refresh
+ * @param {ClientSession} session - Active transaction session
+ */
+const refreshBillSettlements = async (paymentType, billIds, session = null) => {
+  const ids = [...new Set(billIds.filter(Boolean).map(id => id.toString()))];
+  if (ids.length === 0) {
+    return;
+  }
+
+  const Bill = mongoose.model(getBillSource(paymentType).model);
+  const bills = await Bill.find({ _id: { $in: ids } }).select('totalAmount').session(session);
+  const settlements = await sumSettlements(paymentType, ids, { session });
+
+  if (bills.length === 0) {
+    return;
+  }
+
+  await Bill.bulkWrite(bills.map(bill => {
+    const { paidAmount, returnedAmount } = settlements.get(bill._id.toString());
+    return {
+      updateOne: {
+        filter: { _id: bill._id },
+        update: { $set: getSettlement(bill.totalAmount, paidAmount, returnedAmount) }
+      }
+    };
+  }), { session });
+};
+
+/**
+ * Fill in payment status on bills saved before payments carried allocations
+ * @returns {Promise<number>} Number of bills updated
+ */
+const backfillBillSettlements = async () => {
+  let updatedCount = 0;
+
+  for (const paymentType of Object.keys(BILL_SOURCES)) {
+    const Bill = mongoose.model(BILL_SOURCES[paymentType].model);
+    const bills = await Bill.find({ paymentStatus: { $exists: false } }).select('_id').lean();
+    await refreshBillSettlements(paymentType, bills.map(bill => bill._id));
+    updatedCount += bills.length;
+  }
+
+  return updatedCount;
+};
+
+/**
+ * Check the allocations of a payment against the party's bills. Each bill must
+ * belong to the payment's party and no allocation may exceed what is still due
+ * on its bill; together they may not exceed the payment amount.
+ * @param {Payment} payment - Payment the allocations belong to (type, partyId, amount)
+ * @param {Array<Object>} allocations - { documentId, amount } per bill
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Array<Object>>} Allocations with bill numbers, ready to save
+ */
+const buildAllocations = async (payment, allocations = [], session = null) => {
+  if (!Array.isArray(allocations)) {
+    throw new ApiError(400, 'Allocations must be a list');
+  }
+  if (allocations.length === 0) {
+    return [];
+  }
+
+  const source = getBillSource(payment.type);
+  const seen = new Set();
+
+  for (const allocation of allocations) {
+    if (!allocation || !mongoose.isValidObjectId(allocation.documentId)) {
+      throw new ApiError(400, `Each allocation needs a valid ${source.billType} id`);
+    }
+    if (!(Number(allocation.amount) > 0)) {
+      throw new ApiError(400, 'Allocated amount must be greater than 0');
+    }
+    if (seen.has(allocation.documentId.toString())) {
+      throw new ApiError(400, `${source.label} ${allocation.documentId} is allocated more than once`);
+    }
+    seen.add(allocation.documentId.toString());
+  }
+
+  const allocatedAmount = roundAmount(allocations.reduce((total, allocation) => total + Number(allocation.amount), 0));
+  if (allocatedAmount > payment.amount + AMOUNT_TOLERANCE) {
+    throw new ApiError(400, `Allocated amount ${allocatedAmount} exceeds the payment amount ${payment.amount}`);
+  }
+
+  const Bill = mongoose.model(source.model);
+  const ids = [...seen];
+  const bills = await Bill.find({ _id: { $in: ids }, partyId: payment.partyId })
+    .select(`${source.numberField} totalAmount`)
+    .session(session);
+  const billsById = new Map(bills.map(bill => [bill._id.toString(), bill]));
+
+  // Allocations of this payment itself are replaced, so leave them out of what is already paid
+  const settlements = await sumSettlements(payment.type, ids, { excludePaymentId: payment._id, session });
+
+  return allocations.map(allocation => {
+    const bill = billsById.get(allocation.documentId.toString());
+    if (!bill) {
+      throw new ApiError(400, `${source.label} ${allocation.documentId} not found for this party`);
+    }
+
+    const { paidAmount, returnedAmount } = settlements.get(bill._id.toString());
+    const { balanceDue } = getSettlement(bill.totalAmount, paidAmount, returnedAmount);
+    const amount = roundAmount(Number(allocation.amount));
+
+    if (amount > balanceDue + AMOUNT_TOLERANCE) {
+      throw new ApiError(400, `Allocation of ${amount} to ${source.label.toLowerCase()} ${bill[source.numberField]} exceeds its balance due of ${balanceDue}`);
+    }
+
+    return {
+      documentId: bill._id,
+      documentNo: bill[source.numberField],
+      amount
+    };
+  });
+};
+
+/**
+ * List a party's bills that still have a balance due, oldest first
+ * @param {string} paymentType - payment-in (sales) or payment-out (purchases)
+ * @param {ObjectId} partyId - Party to list bills for
+ * @returns {Promise<Array<Object>>} Open bills with totals and balance due
+ */
+const getOpenBills = async (paymentType, partyId) => {
+  const source = getBillSource(paymentType);
+  const Bill = mongoose.model(source.model);
+
+  const bills = await Bill.find({ partyId })
+    .select(`${source.numberField} date dueDate totalAmount createdAt`)
+    .lean();
+  if (bills.length === 0) {
+    return [];
+  }
+
+  const settlements = await sumSettlements(paymentType, bills.map(bill => bill._id));
+
+  return bills
+    .map(bill => {
+      const { paidAmount, returnedAmount } = settlements.get(bill._id.toString());
+      return {
+        documentType: source.billType,
+        documentId: bill._id.toString(),
+        documentNo: bill[source.numberField],
+        date: bill.date,
+        dueDate: bill.dueDate || bill.date,
+        totalAmount: bill.totalAmount,
+        ...getSettlement(bill.totalAmount, paidAmount, returnedAmount),
+        sortDate: parseDocumentDate(bill.date) || bill.createdAt,
+        createdAt: bill.createdAt
+      };
+    })
+    .filter(bill => bill.balanceDue > 0)
+    .sort((a, b) => (a.sortDate - b.sortDate) || (new Date(a.createdAt) - new Date(b.createdAt)))
+    .map(({ sortDate, createdAt, ...bill }) => bill);
+};
+
+/**
+ * Spread a payment amount over open bills, oldest first
+ * @param {Array<Object>} openBills - Bills from getOpenBills
+ * @param {number} amount - Amount being paid
+ * @returns {Object} { allocations, unallocatedAmount }
+ */
+const suggestAllocations = (openBills, amount) => {
+  let remaining = roundAmount(amount || 0);
+  const allocations = [];
+
+  for (const bill of openBills) {
+    if (remaining <= 0) {
+      break;
+    }
+    const allocated = Math.min(remaining, bill.balanceDue);
+    allocations.push({
+      documentId: bill.documentId,
+      documentNo: bill.documentNo,
+      amount: roundAmount(allocated)
+    });
+    remaining = roundAmount(remaining - allocated);
+  }
+
+  return { allocations, unallocatedAmount: remaining };
+};
+
+module.exports = {
+  PAYMENT_STATUSES,
+  BILL_SOURCES,
+  getSettlement,
+  sumSettlements,
+  refreshBillSettlements,
+  backfillBillSettlements,
+  buildAllocations,
+  getOpenBills,
+  suggestAllocations
+};
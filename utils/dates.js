@@ -0,0 +1,78 @@
+/**
+ * Parse a document date (sales, purchases and payments store MM/DD/YYYY strings)
+ * @param {string|Date} value - Date string in MM/DD/YYYY format or a Date
+ * @returns {Date|null} Parsed date at local midnight, or null if invalid
+ */
+const parseDocumentDate = (value) => {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+
+  const match = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/.exec(value || '');
+  if (!match) {
+    return null;
+  }
+
+  return new Date(Number(match[3]), Number(match[1]) - 1, Number(match[2]));
+};
+
+/**
+ * Format a date the way documents store it
+ * @param {Date} date - Date to format (defaults to today)
+ * @returns {string} Date in MM/DD/YYYY format
+ */
+const formatDocumentDate = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${month}/${day}/${date.getFullYear()}`;
+};
+
+/**
+ * Move a document date forward (or back) by a number of days
+ * @param {string|Date} value - Date string in MM/DD/YYYY format or a Date
+ * @param {number} days - Days to add, negative to go back
+ * @returns {string|null} Date in MM/DD/YYYY format, or null if the date is invalid
+ */
+const addDaysToDocumentDate = (value, days) => {
+  const date = parseDocumentDate(value);
+  if (!date) {
+    return null;
+  }
+
+  return formatDocumentDate(new Date(date.getFullYear(), date.getMonth(), date.getDate() + (days || 0)));
+};
+
+/**
+ * Count whole days from one document date to another
+ * @param {string|Date} from - Start date
+ * @param {string|Date} to - End date
+ * @returns {number|null} Days from `from` to `to` (negative if `to` is earlier), or null if a date is invalid
+ */
+const daysBetweenDocumentDates = (from, to) => {
+  const fromDate = parseDocumentDate(from);
+  const toDate = parseDocumentDate(to);
+  if (!fromDate || !toDate) {
+    return null;
+  }
+
+  // Rounded so a daylight saving shift in between does not lose a day
+  return Math.round((toDate - fromDate) / (24 * 60 * 60 * 1000));
+};
+
+/**
+ * Get the Indian financial year (April to March) a date falls in
+ * @param {Date} date - Date to check (defaults to today)
+ * @returns {string} Financial year label, e.g. "2026-27"
+ */
+const getFinancialYear = (date = new Date()) => {
+  const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+module.exports = {
+  parseDocumentDate,
+  formatDocumentDate,
+  addDaysToDocumentDate,
+  daysBetweenDocumentDates,
+  getFinancialYear
+};
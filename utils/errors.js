@@ -0,0 +1,21 @@
+/**
+ * Error with an HTTP status code, thrown from business logic so routes can
+ * return a clear message to the app instead of a generic 500
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} statusCode - HTTP status code to respond with
+   * @param {string} message - Error message shown to the app
+   * @param {Array<string>} details - Optional list of detailed messages
+   */
+  constructor(statusCode, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = {
+  ApiError
+};
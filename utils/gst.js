@@ -0,0 +1,87 @@
+// GST slabs (%) an item can be taxed at
+const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+const SUPPLY_TYPES = ['intra-state', 'inter-state'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Decide whether a supply is within the state (CGST + SGST) or across states (IGST)
+ * @param {string} companyStateCode - Two digit GST state code of the business
+ * @param {string} partyStateCode - Two digit GST state code of the party
+ * @returns {string} 'intra-state' or 'inter-state'
+ */
+const getSupplyType = (companyStateCode, partyStateCode) => {
+  if (companyStateCode && partyStateCode && companyStateCode !== partyStateCode) {
+    return 'inter-state';
+  }
+  return 'intra-state';
+};
+
+// 2 digit state code, 10 character PAN, entity number, 'Z', check character
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const PAN_PATTERN = /^[A-Z]{5}\d{4}[A-Z]$/;
+const GSTIN_CHARACTERS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/**
+ * Check a GSTIN's format and its check character (the last one), which is
+ * worked out from the first 14 the way the GST portal does
+ * @param {string} gstin - GSTIN in upper case
+ * @returns {boolean} Whether the GSTIN is valid
+ */
+const isValidGstin = (gstin) => {
+  if (!GSTIN_PATTERN.test(gstin || '')) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < 14; i++) {
+    const product = GSTIN_CHARACTERS.indexOf(gstin[i]) * (i % 2 === 0 ? 1 : 2);
+    sum += Math.floor(product / 36) + (product % 36);
+  }
+
+  return GSTIN_CHARACTERS[(36 - (sum % 36)) % 36] === gstin[14];
+};
+
+/**
+ * Work out the GST on a taxable value
+ * @param {number} taxableValue - Value the tax is charged on
+ * @param {number} gstRate - GST rate in percent
+ * @param {number} cessRate - Cess rate in percent
+ * @param {string} supplyType - 'intra-state' or 'inter-state'
+ * @returns {Object} { cgstAmount, sgstAmount, igstAmount, cessAmount, taxAmount }
+ */
+const calculateTax = (taxableValue, gstRate = 0, cessRate = 0, supplyType = 'intra-state') => {
+  const gstAmount = roundAmount(taxableValue * (gstRate || 0) / 100);
+  const cessAmount = roundAmount(taxableValue * (cessRate || 0) / 100);
+
+  let cgstAmount = 0;
+  let sgstAmount = 0;
+  let igstAmount = 0;
+
+  if (supplyType === 'inter-state') {
+    igstAmount = gstAmount;
+  } else {
+    cgstAmount = roundAmount(gstAmount / 2);
+    sgstAmount = roundAmount(gstAmount - cgstAmount);
+  }
+
+  return {
+    cgstAmount,
+    sgstAmount,
+    igstAmount,
+    cessAmount,
+    taxAmount: roundAmount(gstAmount + cessAmount)
+  };
+};
+
+module.exports = {
+  GST_RATES,
+  SUPPLY_TYPES,
+  GSTIN_PATTERN,
+  PAN_PATTERN,
+  roundAmount,
+  isValidGstin,
+  getSupplyType,
+  calculateTax
+};
@@ -0,0 +1,122 @@
+const { roundAmount, calculateTax } = require('./gst');
+
+const DISCOUNT_TYPES = ['percentage', 'flat'];
+
+/**
+ * Work out a discount on an amount
+ * @param {number} amount - Amount the discount applies to
+ * @param {string} discountType - 'percentage' or 'flat'
+ * @param {number} discountValue - Percent or rupees
+ * @returns {number} Discount in rupees, never more than the amount
+ */
+const calculateDiscount = (amount, discountType, discountValue) => {
+  if (!discountValue || amount <= 0) {
+    return 0;
+  }
+
+  const discount = discountType === 'flat'
+    ? discountValue
+    : amount * discountValue / 100;
+
+  return roundAmount(Math.min(Math.max(discount, 0), amount));
+};
+
+/**
+ * Calculate all amounts of a sale/purchase document in place:
+ * line discounts, invoice discount (spread over lines in proportion to their
+ * value, so it reduces their taxable value), GST per line, additional charges
+ * (taxed when marked taxable) and round-off.
+ * @param {Object} document - Sale or Purchase document
+ */
+const calculateInvoice = (document) => {
+  // Line amounts after line discounts
+  let subTotal = 0;
+  for (const item of document.items) {
+    const grossAmount = roundAmount(item.quantity * item.rate);
+    item.discountAmount = calculateDiscount(grossAmount, item.discountType, item.discountValue);
+    subTotal += grossAmount - item.discountAmount;
+  }
+  document.subTotal = roundAmount(subTotal);
+
+  // Invoice discount, shared across lines by value
+  document.discountAmount = calculateDiscount(document.subTotal, document.discountType, document.discountValue);
+  let discountLeft = document.discountAmount;
+
+  const totals = {
+    taxableAmount: 0,
+    cgstAmount: 0,
+    sgstAmount: 0,
+    igstAmount: 0,
+    cessAmount: 0
+  };
+
+  const addTax = (tax) => {
+    totals.cgstAmount += tax.cgstAmount;
+    totals.sgstAmount += tax.sgstAmount;
+    totals.igstAmount += tax.igstAmount;
+    totals.cessAmount += tax.cessAmount;
+  };
+
+  document.items.forEach((item, index) => {
+    const netAmount = roundAmount(item.quantity * item.rate - item.discountAmount);
+    const isLast = index === document.items.length - 1;
+    const discountShare = isLast || document.subTotal === 0
+      ? discountLeft
+      : roundAmount(document.discountAmount * netAmount / document.subTotal);
+    discountLeft = roundAmount(discountLeft - discountShare);
+
+    item.taxableValue = roundAmount(Math.max(netAmount - discountShare, 0));
+
+    const tax = calculateTax(item.taxableValue, item.gstRate, item.cessRate, document.supplyType);
+    item.cgstAmount = tax.cgstAmount;
+    item.sgstAmount = tax.sgstAmount;
+    item.igstAmount = tax.igstAmount;
+    item.cessAmount = tax.cessAmount;
+    item.total = roundAmount(item.taxableValue + tax.taxAmount);
+
+    totals.taxableAmount += item.taxableValue;
+    addTax(tax);
+  });
+
+  // Additional charges (hamali, transport, packing...)
+  let chargesAmount = 0;
+  let chargesTaxAmount = 0;
+  for (const charge of document.additionalCharges || []) {
+    const tax = charge.isTaxable
+      ? calculateTax(charge.amount, charge.gstRate, 0, document.supplyType)
+      : calculateTax(0);
+    charge.taxAmount = tax.taxAmount;
+
+    chargesAmount += charge.amount;
+    chargesTaxAmount += tax.taxAmount;
+    if (charge.isTaxable) {
+      totals.taxableAmount += charge.amount;
+    }
+    addTax(tax);
+  }
+  document.chargesAmount = roundAmount(chargesAmount);
+
+  document.taxableAmount = roundAmount(totals.taxableAmount);
+  document.cgstAmount = roundAmount(totals.cgstAmount);
+  document.sgstAmount = roundAmount(totals.sgstAmount);
+  document.igstAmount = roundAmount(totals.igstAmount);
+  document.cessAmount = roundAmount(totals.cessAmount);
+  document.totalTaxAmount = roundAmount(
+    totals.cgstAmount + totals.sgstAmount + totals.igstAmount + totals.cessAmount
+  );
+
+  const itemsAmount = document.items.reduce((sum, item) => sum + item.total, 0);
+  const totalBeforeRoundOff = roundAmount(itemsAmount + chargesAmount + chargesTaxAmount);
+
+  // Round to the nearest rupee, or keep the round-off entered on the bill
+  if (document.autoRoundOff) {
+    document.roundOff = roundAmount(Math.round(totalBeforeRoundOff) - totalBeforeRoundOff);
+  }
+  document.totalAmount = roundAmount(totalBeforeRoundOff + (document.roundOff || 0));
+};
+
+module.exports = {
+  DISCOUNT_TYPES,
+  calculateDiscount,
+  calculateInvoice
+};
@@ -0,0 +1,158 @@
+const Sale = require('../models/Sale');
+const Purchase = require('../models/Purchase');
+const Payment = require('../models/Payment');
+const CreditNote = require('../models/CreditNote');
+const DebitNote = require('../models/DebitNote');
+const Party = require('../models/Party');
+const { roundAmount } = require('./gst');
+const { parseDocumentDate, formatDocumentDate } = require('./dates');
+
+const PAYMENT_LABELS = {
+  'payment-in': 'Payment received',
+  'payment-out': 'Payment made'
+};
+
+/**
+ * Describe which side a signed balance is on
+ * @param {number} balance - Signed balance (positive means the party owes us)
+ * @returns {string} 'Dr' when the party owes us, 'Cr' when we owe them
+ */
+const getBalanceSide = (balance) => (balance < 0 ? 'Cr' : 'Dr');
+
+/**
+ * Turn a party's documents into ledger rows, oldest first
+ * @param {ObjectId} partyId - Party to collect documents for
+ * @returns {Promise<Array<Object>>} Rows with date, document details and signed amount
+ */
+const collectLedgerRows = async (partyId) => {
+  const [sales, purchases, payments, creditNotes, debitNotes] = await Promise.all([
+    Sale.find({ partyId }).lean(),
+    Purchase.find({ partyId }).lean(),
+    Payment.find({ partyId }).lean(),
+    CreditNote.find({ partyId }).lean(),
+    DebitNote.find({ partyId }).lean()
+  ]);
+
+  const row = (document, type, documentNo, description, amount) => ({
+    date: document.date,
+    sortDate: parseDocumentDate(document.date) || document.createdAt,
+    createdAt: document.createdAt,
+    type,
+    documentId: document._id.toString(),
+    documentNo,
+    description,
+    amount: Party.BALANCE_EFFECTS[type] * amount
+  });
+
+  const rows = [
+    ...sales.map(sale => row(sale, 'sale', sale.invoiceNo, `Sale invoice ${sale.invoiceNo}`, sale.totalAmount)),
+    ...purchases.map(purchase => row(purchase, 'purchase', purchase.billNo, `Purchase bill ${purchase.billNo}`, purchase.totalAmount)),
+    ...payments.map(payment => {
+      const details = [payment.paymentMethod, payment.reference].filter(Boolean).join(', ');
+      const description = `${PAYMENT_LABELS[payment.type]}${details ? ` (${details})` : ''}`;
+      return row(payment, payment.type, payment.paymentNo, description, payment.amount);
+    }),
+    ...creditNotes.map(creditNote => row(
+      creditNote, 'credit-note', creditNote.creditNoteNo,
+      `Sales return against ${creditNote.invoiceNo}`, creditNote.totalAmount
+    )),
+    ...debitNotes.map(debitNote => row(
+      debitNote, 'debit-note', debitNote.debitNoteNo,
+      `Purchase return against ${debitNote.billNo}`, debitNote.totalAmount
+    ))
+  ];
+
+  // Document date first, then entry order for documents of the same day
+  return rows.sort((a, b) => (a.sortDate - b.sortDate) || (new Date(a.createdAt) - new Date(b.createdAt)));
+};
+
+/**
+ * Turn a party's opening balance into a ledger row on its as-of date
+ * @param {Party} party - Party document
+ * @returns {Object|null} Row like collectLedgerRows gives, or null without an opening balance
+ */
+const getOpeningBalanceRow = (party) => {
+  if (!(party.openingBalance > 0)) {
+    return null;
+  }
+
+  const date = party.openingBalanceDate || formatDocumentDate(party.createdAt);
+  return {
+    date,
+    sortDate: parseDocumentDate(date),
+    type: 'opening-balance',
+    documentId: null,
+    documentNo: '',
+    description: 'Opening balance',
+    amount: party.getSignedOpeningBalance()
+  };
+};
+
+/**
+ * Build a party ledger statement for a period. The party's opening balance is the
+ * first row, on its as-of date; the statement starts there at the earliest, and
+ * everything before the start is brought forward. Every row carries debit (party
+ * owes us more) or credit (party owes us less) and the running balance.
+ * @param {Party} party - Party document
+ * @param {Object} options - { from, to } as MM/DD/YYYY strings, both optional
+ * @returns {Promise<Object>} Ledger statement
+ */
+const buildPartyLedger = async (party, { from, to } = {}) => {
+  const fromDate = from ? parseDocumentDate(from) : null;
+  const toDate = to ? parseDocumentDate(to) : null;
+
+  // The opening balance comes before any document of its day
+  const openingRow = getOpeningBalanceRow(party);
+  const rows = [...(openingRow ? [openingRow] : []), ...await collectLedgerRows(party._id)];
+
+  // Documents dated before the opening balance are brought forward, not listed after it
+  const startDate = openingRow && !(fromDate && fromDate > openingRow.sortDate) ? openingRow.sortDate : fromDate;
+  const isBeforePeriod = (row) => startDate && row.sortDate < startDate;
+  const isInPeriod = (row) => !isBeforePeriod(row) && (!toDate || row.sortDate <= toDate);
+
+  // Everything before the statement starts is brought forward
+  const openingBalance = roundAmount(rows
+    .filter(isBeforePeriod)
+    .reduce((total, row) => total + row.amount, 0));
+
+  let balance = openingBalance;
+  let totalDebit = 0;
+  let totalCredit = 0;
+
+  const entries = rows.filter(isInPeriod).map(row => {
+    const debit = row.amount > 0 ? roundAmount(row.amount) : 0;
+    const credit = row.amount < 0 ? roundAmount(-row.amount) : 0;
+    totalDebit += debit;
+    totalCredit += credit;
+    balance = roundAmount(balance + row.amount);
+
+    return {
+      date: row.date,
+      type: row.type,
+      documentId: row.documentId,
+      documentNo: row.documentNo,
+      description: row.description,
+      debit,
+      credit,
+      balance,
+      balanceSide: getBalanceSide(balance)
+    };
+  });
+
+  return {
+    party: party.getFormattedDetails(),
+    from: from || null,
+    to: to || formatDocumentDate(),
+    openingBalance,
+    openingBalanceSide: getBalanceSide(openingBalance),
+    entries,
+    totalDebit: roundAmount(totalDebit),
+    totalCredit: roundAmount(totalCredit),
+    closingBalance: balance,
+    closingBalanceSide: getBalanceSide(balance)
+  };
+};
+
+module.exports = {
+  buildPartyLedger
+};
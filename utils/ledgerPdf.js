@@ -0,0 +1,150 @@
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 40;
+const ROW_HEIGHT = 18;
+
+// Column layout of the statement table (x offset from the left margin, width, alignment)
+const COLUMNS = [
+  { key: 'date', label: 'Date', x: 0, width: 62, align: 'left' },
+  { key: 'description', label: 'Particulars', x: 62, width: 168, align: 'left' },
+  { key: 'documentNo', label: 'Doc No', x: 230, width: 95, align: 'left' },
+  { key: 'debit', label: 'Debit', x: 325, width: 60, align: 'right' },
+  { key: 'credit', label: 'Credit', x: 385, width: 60, align: 'right' },
+  { key: 'balance', label: 'Balance', x: 445, width: 70, align: 'right' }
+];
+
+/**
+ * Format an amount with Indian digit grouping, e.g. 1,23,456.00
+ * @param {number} amount - Amount in rupees
+ * @returns {string} Formatted amount, or empty for zero
+ */
+const formatAmount = (amount) => {
+  if (!amount) {
+    return '';
+  }
+  return amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+};
+
+const formatBalance = (balance, side) => `${formatAmount(Math.abs(balance)) || '0.00'} ${side}`;
+
+/**
+ * Render a party ledger statement as a PDF
+ * @param {Object} ledger - Statement from buildPartyLedger (utils/ledger.js)
+ * @param {Object|null} company - Company profile for the letterhead
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+const renderLedgerPdf = (ledger, company) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = PAGE_MARGIN;
+    const tableWidth = COLUMNS[COLUMNS.length - 1].x + COLUMNS[COLUMNS.length - 1].width;
+    const bottom = doc.page.height - PAGE_MARGIN;
+
+    const drawRow = (values, { bold = false } = {}) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+      for (const column of COLUMNS) {
+        doc.text(values[column.key] || '', left + column.x, y + 4, {
+          width: column.width - 4,
+          height: ROW_HEIGHT - 6, // One line, longer text is cut short with an ellipsis
+          align: column.align,
+          ellipsis: true
+        });
+      }
+      doc.moveTo(left, y + ROW_HEIGHT).lineTo(left + tableWidth, y + ROW_HEIGHT).strokeColor('#dddddd').stroke();
+      doc.x = left;
+      doc.y = y + ROW_HEIGHT;
+    };
+
+    const drawTableHeader = () => {
+      const labels = {};
+      COLUMNS.forEach(column => { labels[column.key] = column.label; });
+      doc.rect(left, doc.y, tableWidth, ROW_HEIGHT).fill('#f0f0f0');
+      doc.fillColor('#000000');
+      drawRow(labels, { bold: true });
+    };
+
+    const ensureSpace = () => {
+      if (doc.y + ROW_HEIGHT > bottom) {
+        doc.addPage();
+        drawTableHeader();
+      }
+    };
+
+    // Letterhead
+    if (company) {
+      doc.font('Helvetica-Bold').fontSize(14).text(company.businessName, { align: 'center' });
+      doc.font('Helvetica').fontSize(9).text(company.businessAddress || '', { align: 'center' });
+      const contact = [company.phoneNumber1, company.emailId].filter(Boolean).join('  |  ');
+      if (contact) {
+        doc.text(contact, { align: 'center' });
+      }
+      if (company.gstin) {
+        doc.text(`GSTIN: ${company.gstin}`, { align: 'center' });
+      }
+      doc.moveDown();
+    }
+
+    doc.font('Helvetica-Bold').fontSize(12).text('Party Ledger Statement', { align: 'center' });
+    doc.moveDown(0.5);
+
+    // Party and period
+    const { party } = ledger;
+    doc.font('Helvetica').fontSize(9);
+    doc.text(`Party: ${party.name}`);
+    doc.text(`Phone: ${party.phoneNumber}`);
+    doc.text(`Period: ${ledger.from || 'Beginning'} to ${ledger.to}`);
+    doc.moveDown();
+
+    drawTableHeader();
+    drawRow({
+      date: ledger.from || '',
+      description: 'Brought Forward',
+      balance: formatBalance(ledger.openingBalance, ledger.openingBalanceSide)
+    }, { bold: true });
+
+    for (const entry of ledger.entries) {
+      ensureSpace();
+      drawRow({
+        date: entry.date,
+        description: entry.description,
+        documentNo: entry.documentNo,
+        debit: formatAmount(entry.debit),
+        credit: formatAmount(entry.credit),
+        balance: formatBalance(entry.balance, entry.balanceSide)
+      });
+    }
+
+    ensureSpace();
+    drawRow({
+      description: 'Total',
+      debit: formatAmount(ledger.totalDebit),
+      credit: formatAmount(ledger.totalCredit)
+    }, { bold: true });
+
+    ensureSpace();
+    drawRow({
+      date: ledger.to,
+      description: 'Closing Balance',
+      balance: formatBalance(ledger.closingBalance, ledger.closingBalanceSide)
+    }, { bold: true });
+
+    doc.moveDown();
+    doc.font('Helvetica').fontSize(8).fillColor('#555555').text(
+      'Dr: amount receivable from the party. Cr: amount payable to the party.',
+      left,
+      doc.y
+    );
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  renderLedgerPdf
+};
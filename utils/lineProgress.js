@@ -0,0 +1,105 @@
+const { roundAmount } = require('./gst');
+const { ApiError } = require('./errors');
+
+// Stock-unit quantities can be fractions (10 kg of a 30 kg bag), compare them loosely
+const QUANTITY_TOLERANCE = 1e-6;
+
+/**
+ * Work out how much of every line of an order-like document (purchase order,
+ * delivery challan) has been fulfilled and how much is still pending
+ * @param {Array<Object>} lines - Document lines ({ id, itemName, quantity, unit, baseQuantity, rate })
+ * @param {string} doneField - Line field holding the fulfilled stock-unit quantity
+ * @returns {Array<Object>} Per line: quantity, doneQuantity and pendingQuantity in the
+ * line's unit, and pendingBaseQuantity in the item's stock unit
+ */
+const getLineProgress = (lines, doneField) => {
+  return lines.map((line, lineIndex) => {
+    const doneBaseQuantity = line[doneField] || 0;
+    const pendingBaseQuantity = Math.max(0, line.baseQuantity - doneBaseQuantity);
+    const isPending = pendingBaseQuantity > QUANTITY_TOLERANCE;
+    // The line quantity and its stock-unit quantity share one conversion
+    const toLineUnit = (baseQuantity) => line.baseQuantity > 0
+      ? roundAmount(line.quantity * baseQuantity / line.baseQuantity)
+      : 0;
+
+    return {
+      lineIndex,
+      id: line.id,
+      itemName: line.itemName,
+      unit: line.unit,
+      rate: line.rate,
+      quantity: line.quantity,
+      doneQuantity: toLineUnit(doneBaseQuantity),
+      pendingQuantity: isPending ? toLineUnit(pendingBaseQuantity) : 0,
+      pendingBaseQuantity: isPending ? pendingBaseQuantity : 0
+    };
+  });
+};
+
+/**
+ * Check whether every line has been fulfilled
+ * @param {Array<Object>} lines - Document lines
+ * @param {string} doneField - Line field holding the fulfilled stock-unit quantity
+ * @returns {boolean} True when nothing is pending
+ */
+const isFullyDone = (lines, doneField) => {
+  return lines.every(line => line.baseQuantity - (line[doneField] || 0) <= QUANTITY_TOLERANCE);
+};
+
+/**
+ * Check whether any line has been (partly) fulfilled
+ * @param {Array<Object>} lines - Document lines
+ * @param {string} doneField - Line field holding the fulfilled stock-unit quantity
+ * @returns {boolean} True when something has been fulfilled
+ */
+const hasAnyDone = (lines, doneField) => {
+  return lines.some(line => (line[doneField] || 0) > QUANTITY_TOLERANCE);
+};
+
+/**
+ * Fulfil document lines with the lines of a follow-up document, or undo that.
+ * Follow-up lines are matched to document lines of the same item, in order.
+ * @param {Array<Object>} lines - Document lines, updated in place
+ * @param {Array<Object>} lineItems - Follow-up lines ({ id, itemName, baseQuantity })
+ * @param {string} doneField - Line field holding the fulfilled stock-unit quantity
+ * @param {number} direction - 1 to fulfil, -1 to undo
+ * @param {string} documentLabel - Document named in errors, e.g. 'purchase order PO/2026-27/0001'
+ */
+const allocateLineQuantities = (lines, lineItems, doneField, direction, documentLabel) => {
+  for (const lineItem of lineItems) {
+    const matchingLines = lines.filter(line => line.id === String(lineItem.id));
+
+    if (matchingLines.length === 0) {
+      if (direction > 0) {
+        throw new ApiError(400, `${lineItem.itemName} is not on ${documentLabel}`);
+      }
+      continue;
+    }
+
+    let quantityLeft = lineItem.baseQuantity || 0;
+
+    for (const line of matchingLines) {
+      if (quantityLeft <= QUANTITY_TOLERANCE) break;
+
+      // Fulfilling fills the pending quantity, undoing empties the fulfilled quantity
+      const done = line[doneField] || 0;
+      const room = direction > 0 ? line.baseQuantity - done : done;
+      const applied = Math.min(Math.max(room, 0), quantityLeft);
+
+      line[doneField] = Math.max(0, done + direction * applied);
+      quantityLeft -= applied;
+    }
+
+    if (direction > 0 && quantityLeft > QUANTITY_TOLERANCE) {
+      throw new ApiError(400, `Quantity of ${lineItem.itemName} exceeds the pending quantity on ${documentLabel}`);
+    }
+  }
+};
+
+module.exports = {
+  QUANTITY_TOLERANCE,
+  getLineProgress,
+  isFullyDone,
+  hasAnyDone,
+  allocateLineQuantities
+};
@@ -0,0 +1,314 @@
+const StockLot = require('../models/StockLot');
+const { ApiError } = require('./errors');
+const { parseDocumentDate } = require('./dates');
+const { QUANTITY_TOLERANCE } = require('./lineProgress');
+
+// Sources that take goods out of lots they choose, oldest first unless the line names lots
+const PICKING_SOURCES = ['sale', 'delivery-challan', 'adjustment'];
+
+/**
+ * Open a lot for the goods a purchase line brought in, with the quality they arrived in
+ * @param {Item} item - Item tracked by lot
+ * @param {Object} line - Purchase line ({ moisture, grade, arrivalDate, warehouseId })
+ * @param {number} quantity - Quantity received, in the item's stock unit
+ * @param {Object} source - Purchase moving the stock (see getStockSource)
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Array<Object>>} The line's lot allocation
+ */
+const receiveLot = async (item, line, quantity, source, session) => {
+  const arrivalDate = parseDocumentDate(line.arrivalDate || source.date);
+  if (!arrivalDate) {
+    throw new ApiError(400, `Arrival date of ${item.productName} must be in MM/DD/YYYY format`);
+  }
+
+  const lotNo = await StockLot.generateNextLotNumber(source.date, session);
+
+  const [lot] = await StockLot.create([{
+    lotNo,
+    itemId: item._id,
+    itemName: item.productName,
+    unit: item.baseUnit,
+    quantityReceived: quantity,
+    quantityRemaining: quantity,
+    moisture: line.moisture,
+    grade: line.grade,
+    arrivalDate,
+    warehouseId: line.warehouseId,
+    purchaseId: source.id,
+    billNo: source.number
+  }], { session });
+
+  return [{ lotId: lot._id, lotNo: lot.lotNo, quantity }];
+};
+
+/**
+ * Get an item's lots in a warehouse in the order goods leave them: first the lots
+ * the line names, in the order given, then the rest oldest arrival first
+ * @param {Item} item - Item tracked by lot
+ * @param {Object} line - Document line; its lots, if any, are the ones to take first
+ * @param {ObjectId|null} warehouseId - Warehouse the goods leave, or null for the default one
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Array<StockLot>>} Open lots
+ */
+const getLotsToTake = async (item, line, warehouseId, session) => {
+  const openLots = await StockLot.findOpenLots(item._id, warehouseId, session);
+
+  const preferred = (line.lots || []).map(allocation => String(allocation.lotId));
+  const unknownLot = preferred.find(lotId => !openLots.some(lot => lot._id.toString() === lotId));
+  if (unknownLot) {
+    throw new ApiError(400, `Lot ${unknownLot} of ${item.productName} not found in that warehouse or has no stock left`);
+  }
+
+  return [
+    ...preferred.map(lotId => openLots.find(lot => lot._id.toString() === lotId)),
+    ...openLots.filter(lot => !preferred.includes(lot._id.toString()))
+  ];
+};
+
+/**
+ * Give the lots a purchase line opened, and the lots transfers split off them,
+ * the quality now on the line. Used when a purchase is edited without changing
+ * its goods, so its lots stay.
+ * @param {Object} line - Purchase line ({ lots, moisture, grade, arrivalDate })
+ * @param {Object} source - Purchase being edited (see getStockSource)
+ * @param {ClientSession} session - Active transaction session
+ */
+const updateReceivedLots = async (line, source, session) => {
+  const arrivalDate = parseDocumentDate(line.arrivalDate || source.date);
+  if (!arrivalDate) {
+    throw new ApiError(400, `Arrival date of ${line.itemName} must be in MM/DD/YYYY format`);
+  }
+
+  let lotIds = (line.lots || []).map(allocation => allocation.lotId);
+  while (lotIds.length > 0) {
+    const lots = await StockLot.find({ _id: { $in: lotIds } }).session(session);
+
+    for (const lot of lots) {
+      lot.moisture = line.moisture;
+      lot.grade = line.grade;
+      lot.arrivalDate = arrivalDate;
+      await lot.save({ session });
+    }
+
+    const splitLots = await StockLot.find({ splitFromLotId: { $in: lotIds } }).select('_id').session(session);
+    lotIds = splitLots.map(lot => lot._id);
+  }
+};
+
+/**
+ * Take goods out of an item's lots in the line's warehouse (see getLotsToTake).
+ * Stock held before the item was tracked by lot is in no lot, so lots may cover
+ * only part of the quantity.
+ * @param {Item} item - Item tracked by lot
+ * @param {Object} line - Document line ({ lots, warehouseId })
+ * @param {number} quantity - Quantity going out, in the item's stock unit
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Array<Object>>} The line's lot allocation
+ */
+const pickLots = async (item, line, quantity, session) => {
+  const lots = await getLotsToTake(item, line, line.warehouseId, session);
+
+  const allocations = [];
+  let pending = quantity;
+
+  for (const lot of lots) {
+    if (pending <= QUANTITY_TOLERANCE) {
+      break;
+    }
+
+    const taken = Math.min(pending, lot.quantityRemaining);
+    lot.quantityRemaining = Math.max(0, lot.quantityRemaining - taken);
+    await lot.save({ session });
+
+    allocations.push({ lotId: lot._id, lotNo: lot.lotNo, quantity: taken });
+    pending -= taken;
+  }
+
+  return allocations;
+};
+
+/**
+ * Move an item's lots with a transfer line, taking them from the sending warehouse
+ * the way sales do. A lot that goes whole changes warehouse; the part that goes of
+ * any other lot is split off into a new lot with the same purchase and quality.
+ * @param {Item} item - Item tracked by lot
+ * @param {Object} line - Transfer line; its lots, if any, are the ones to move first
+ * @param {number} quantity - Quantity moved, in the item's stock unit
+ * @param {Object} source - Transfer moving the stock (see getStockSource)
+ * @param {Object} warehouses - { fromWarehouseId, toWarehouseId }
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Array<Object>>} The line's lots ({ lotId, lotNo, quantity, splitLotId, splitLotNo })
+ */
+const transferLots = async (item, line, quantity, source, { fromWarehouseId, toWarehouseId }, session) => {
+  const lots = await getLotsToTake(item, line, fromWarehouseId, session);
+
+  const allocations = [];
+  let pending = quantity;
+
+  for (const lot of lots) {
+    if (pending <= QUANTITY_TOLERANCE) {
+      break;
+    }
+
+    const moved = Math.min(pending, lot.quantityRemaining);
+    pending -= moved;
+
+    if (lot.quantityRemaining - moved <= QUANTITY_TOLERANCE) {
+      lot.warehouseId = toWarehouseId;
+      await lot.save({ session });
+
+      allocations.push({ lotId: lot._id, lotNo: lot.lotNo, quantity: moved });
+      continue;
+    }
+
+    lot.quantityRemaining -= moved;
+    await lot.save({ session });
+
+    const lotNo = await StockLot.generateNextLotNumber(source.date, session);
+    const [splitLot] = await StockLot.create([{
+      lotNo,
+      itemId: lot.itemId,
+      itemName: lot.itemName,
+      unit: lot.unit,
+      quantityReceived: moved,
+      quantityRemaining: moved,
+      moisture: lot.moisture,
+      grade: lot.grade,
+      arrivalDate: lot.arrivalDate,
+      warehouseId: toWarehouseId,
+      purchaseId: lot.purchaseId,
+      billNo: lot.billNo,
+      splitFromLotId: lot._id,
+      notes: `Split from lot ${lot.lotNo} by transfer ${source.number}`
+    }], { session });
+
+    allocations.push({ lotId: lot._id, lotNo: lot.lotNo, quantity: moved, splitLotId: splitLot._id, splitLotNo: splitLot.lotNo });
+  }
+
+  return allocations;
+};
+
+/**
+ * Move the lots of a transfer line back when the transfer is deleted: lots that
+ * went whole go back to the sending warehouse, split lots are merged back into
+ * the lots they came from. Lots goods have gone out of since, or that have moved
+ * on, can't be moved back.
+ * @param {Array<Object>} allocations - The transfer line's lots
+ * @param {Object} warehouses - { fromWarehouseId, toWarehouseId } of the transfer
+ * @param {string} itemName - Item, for error messages
+ * @param {ClientSession} session - Active transaction session
+ */
+const returnTransferredLots = async (allocations, { fromWarehouseId, toWarehouseId }, itemName, session) => {
+  for (const allocation of allocations) {
+    const lot = await StockLot.findById(allocation.lotId).session(session);
+    if (!lot) {
+      continue;
+    }
+
+    if (!allocation.splitLotId) {
+      if (!toWarehouseId.equals(lot.warehouseId)) {
+        throw new ApiError(409, `Lot ${lot.lotNo} of ${itemName} has moved on from the receiving warehouse, so the transfer cannot be deleted`);
+      }
+
+      lot.warehouseId = fromWarehouseId;
+      await lot.save({ session });
+      continue;
+    }
+
+    const splitLot = await StockLot.findById(allocation.splitLotId).session(session);
+    if (splitLot) {
+      if (splitLot.quantityReceived - splitLot.quantityRemaining > QUANTITY_TOLERANCE || !toWarehouseId.equals(splitLot.warehouseId)) {
+        throw new ApiError(409, `Goods have gone out of lot ${splitLot.lotNo} of ${itemName}, so the transfer cannot be deleted`);
+      }
+      await StockLot.findByIdAndDelete(splitLot._id, { session });
+    }
+
+    lot.quantityRemaining = Math.min(lot.quantityReceived, lot.quantityRemaining + allocation.quantity);
+    await lot.save({ session });
+  }
+};
+
+/**
+ * Put the lot shares of a line back into their lots, or take them out again
+ * @param {Array<Object>} allocations - The line's lots ({ lotId, lotNo, quantity })
+ * @param {number} direction - 1 to put back, -1 to take out
+ * @param {string} itemName - Item, for error messages
+ * @param {ClientSession} session - Active transaction session
+ */
+const shiftLots = async (allocations, direction, itemName, session) => {
+  for (const allocation of allocations) {
+    const lot = await StockLot.findById(allocation.lotId).session(session);
+    if (!lot) {
+      continue;
+    }
+
+    const quantityRemaining = lot.quantityRemaining + direction * allocation.quantity;
+    if (quantityRemaining < -QUANTITY_TOLERANCE) {
+      throw new ApiError(400, `Only ${lot.quantityRemaining} ${lot.unit} of ${itemName} left in lot ${lot.lotNo}`);
+    }
+
+    lot.quantityRemaining = Math.min(lot.quantityReceived, Math.max(0, quantityRemaining));
+    await lot.save({ session });
+  }
+};
+
+/**
+ * Remove the lots a purchase line opened, when the purchase is edited or deleted.
+ * A lot goods have already gone out of can't be removed.
+ * @param {Array<Object>} allocations - The purchase line's lots
+ * @param {string} itemName - Item, for error messages
+ * @param {ClientSession} session - Active transaction session
+ */
+const removeLots = async (allocations, itemName, session) => {
+  for (const allocation of allocations) {
+    const lot = await StockLot.findById(allocation.lotId).session(session);
+    if (!lot) {
+      continue;
+    }
+
+    if (lot.quantityReceived - lot.quantityRemaining > QUANTITY_TOLERANCE) {
+      throw new ApiError(409, `Goods have gone out of lot ${lot.lotNo} of ${itemName}, so its purchase line cannot be changed`);
+    }
+
+    await StockLot.findByIdAndDelete(lot._id, { session });
+  }
+};
+
+/**
+ * Keep an item's lots in step with a document line moving its stock. Purchases
+ * open lots; sales, challans and adjustments take from lots and record which on
+ * the line; returns and deletions move the line's recorded lot shares back.
+ * Call it before the document is saved, so the lots are saved with the line.
+ * @param {Item} item - Item the line moves
+ * @param {Object} line - Document line; its lots are set when goods come in or go out
+ * @param {number} change - Change in stock, in the item's stock unit
+ * @param {Object} source - Document moving the stock (see getStockSource)
+ * @param {ClientSession} session - Active transaction session
+ */
+const moveLineLots = async (item, line, change, source, session) => {
+  const allocations = line.lots || [];
+
+  if (source.type === 'purchase') {
+    if (change > 0) {
+      line.lots = item.trackLots ? await receiveLot(item, line, change, source, session) : undefined;
+    } else {
+      await removeLots(allocations, item.productName, session);
+    }
+    return;
+  }
+
+  // New lines going out choose their lots; the lots they name are only a preference
+  if (change < 0 && PICKING_SOURCES.includes(source.type) && source.action !== 'delete') {
+    line.lots = item.trackLots ? await pickLots(item, line, -change, session) : undefined;
+    return;
+  }
+
+  await shiftLots(allocations, change > 0 ? 1 : -1, item.productName, session);
+};
+
+module.exports = {
+  moveLineLots,
+  updateReceivedLots,
+  transferLots,
+  returnTransferredLots
+};
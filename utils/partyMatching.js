@@ -0,0 +1,163 @@
+// Names at least this similar (0 to 1) are reported as possible duplicates
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+
+/**
+ * Clean a phone number the way parties store it: digits with a leading +,
+ * and +91 added to numbers without a country code
+ * @param {string} phoneNumber - Phone number as entered
+ * @returns {string} Sanitized phone number
+ */
+const sanitizePhoneNumber = (phoneNumber) => {
+  const cleaned = (phoneNumber || '').replace(/[^\d+]/g, '');
+  return cleaned.startsWith('+') ? cleaned : '+91' + cleaned;
+};
+
+/**
+ * Reduce a phone number to what identifies it, so +91 98765 43210, 098765-43210
+ * and 9876543210 all match
+ * @param {string} phoneNumber - Phone number in any format
+ * @returns {string} Digits, without the Indian country code or trunk prefix
+ */
+const normalizePhoneNumber = (phoneNumber) => {
+  const digits = (phoneNumber || '').replace(/\D/g, '');
+  if (digits.length === 12 && digits.startsWith('91')) {
+    return digits.slice(2);
+  }
+  if (digits.length === 11 && digits.startsWith('0')) {
+    return digits.slice(1);
+  }
+  return digits;
+};
+
+/**
+ * Reduce a party name to lower-case words without punctuation
+ * @param {string} name - Party name
+ * @returns {string} Normalized name, e.g. "Ramesh Traders." -> "ramesh traders"
+ */
+const normalizePartyName = (name) => {
+  return (name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\u0900-\u097F\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Regex source that matches a party name regardless of case and spacing
+ * @param {string} name - Party name
+ * @returns {string} Pattern for a case-insensitive $regex
+ */
+const getPartyNamePattern = (name) => {
+  const words = (name || '').trim().split(/\s+/).map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return `^\\s*${words.join('\\s+')}\\s*$`;
+};
+
+/**
+ * Edit distance between two strings (insertions, deletions and substitutions)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single character edits
+ */
+const levenshteinDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+/**
+ * Group parties that are probably the same: the same phone number once
+ * normalized, or names at least NAME_SIMILARITY_THRESHOLD alike. Matches are
+ * chained, so if A matches B and B matches C all three form one group.
+ * @param {Array<Object>} parties - Parties with _id, name and phoneNumber
+ * @param {Object} options - { nameThreshold }
+ * @returns {Array<Object>} Groups of { parties, matches } with two or more parties
+ */
+const findDuplicateGroups = (parties, { nameThreshold = NAME_SIMILARITY_THRESHOLD } = {}) => {
+  const parent = parties.map((party, index) => index);
+  const find = (index) => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const matches = [];
+  const link = (i, j, reason, score) => {
+    parent[find(i)] = find(j);
+    matches.push({ partyIds: [parties[i]._id.toString(), parties[j]._id.toString()], reason, score });
+  };
+
+  // Same phone number
+  const byPhone = new Map();
+  parties.forEach((party, index) => {
+    const phone = normalizePhoneNumber(party.phoneNumber);
+    if (!phone) {
+      return;
+    }
+    if (byPhone.has(phone)) {
+      link(index, byPhone.get(phone), 'same-phone', 1);
+    } else {
+      byPhone.set(phone, index);
+    }
+  });
+
+  // Similar names; only names starting alike and of about the same length are compared
+  const names = parties.map(party => normalizePartyName(party.name).replace(/ /g, ''));
+  const byInitial = new Map();
+  names.forEach((name, index) => {
+    if (!name) {
+      return;
+    }
+    const initial = name[0];
+    if (!byInitial.has(initial)) {
+      byInitial.set(initial, []);
+    }
+    byInitial.get(initial).push(index);
+  });
+
+  for (const indexes of byInitial.values()) {
+    for (let x = 0; x < indexes.length; x++) {
+      for (let y = x + 1; y < indexes.length; y++) {
+        const i = indexes[x];
+        const j = indexes[y];
+        const longest = Math.max(names[i].length, names[j].length);
+        if (Math.abs(names[i].length - names[j].length) > longest * (1 - nameThreshold)) {
+          continue;
+        }
+        const score = 1 - levenshteinDistance(names[i], names[j]) / longest;
+        if (score >= nameThreshold) {
+          link(i, j, 'similar-name', Math.round(score * 100) / 100);
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  parties.forEach((party, index) => {
+    const root = find(index);
+    if (!groups.has(root)) {
+      groups.set(root, { parties: [], matches: [] });
+    }
+    groups.get(root).parties.push(party);
+  });
+
+  const partyRoots = new Map(parties.map((party, index) => [party._id.toString(), find(index)]));
+  matches.forEach(match => groups.get(partyRoots.get(match.partyIds[0])).matches.push(match));
+
+  return [...groups.values()].filter(group => group.parties.length > 1);
+};
+
+module.exports = {
+  NAME_SIMILARITY_THRESHOLD,
+  sanitizePhoneNumber,
+  normalizePhoneNumber,
+  normalizePartyName,
+  getPartyNamePattern,
+  findDuplicateGroups
+};
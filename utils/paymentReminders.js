@@ -0,0 +1,407 @@
+const fs = require('fs');
+const path = require('path');
+const Sale = require('../models/Sale');
+const Party = require('../models/Party');
+const Payment = require('../models/Payment');
+const Company = require('../models/Company');
+const PaymentReminder = require('../models/PaymentReminder');
+const WASenderService = require('./wasender');
+const CloudinaryService = require('./cloudinary');
+const { roundAmount } = require('./gst');
+const { buildPartyLedger } = require('./ledger');
+const { renderLedgerPdf } = require('./ledgerPdf');
+const { ApiError } = require('./errors');
+const { parseDocumentDate, formatDocumentDate, daysBetweenDocumentDates } = require('./dates');
+
+const uploadsDir = path.join(__dirname, '..', 'uploads');
+
+// Used for any setting the company has not configured
+const REMINDER_DEFAULTS = {
+  enabled: false,
+  template: 'Dear {partyName},\n\n' +
+    'This is a reminder that {balanceDue} is due on invoice {invoiceNo} dated {invoiceDate}. ' +
+    'It was due on {dueDate} and is now {daysOverdue} days overdue.\n\n' +
+    'Please make the payment at the earliest. Ignore this message if you have already paid.\n\n' +
+    'Thank you,\n{businessName}',
+  firstReminderAfterDays: 1,
+  repeatEveryDays: 7,
+  maxReminders: 3,
+  sendHour: 10,
+  attachLedger: false
+};
+
+// Placeholders a template can use
+const TEMPLATE_PLACEHOLDERS = [
+  'partyName', 'invoiceNo', 'invoiceDate', 'dueDate', 'totalAmount',
+  'balanceDue', 'daysOverdue', 'businessName', 'businessPhone'
+];
+
+// How often the schedule checks for reminders to send
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const formatRupees = (amount) => `₹${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Get the reminder settings, with defaults for anything not configured
+ * @param {Company|null} company - Company profile, loaded if not given
+ * @returns {Promise<Object>} Reminder settings
+ */
+const getReminderSettings = async (company) => {
+  const profile = company !== undefined ? company : await Company.findOne().sort({ createdAt: -1 });
+  const configured = profile && profile.paymentReminders ? profile.paymentReminders.toObject() : {};
+
+  const settings = { ...REMINDER_DEFAULTS };
+  for (const key of Object.keys(REMINDER_DEFAULTS)) {
+    if (configured[key] !== undefined && configured[key] !== null && configured[key] !== '') {
+      settings[key] = configured[key];
+    }
+  }
+  return settings;
+};
+
+/**
+ * Fill a reminder template for a sale
+ * @param {string} template - Text with {placeholder} fields
+ * @param {Object} reminder - Sale, daysOverdue, company and the balance still due to fill it from
+ * @returns {string} Message text; unknown placeholders are left as they are
+ */
+const renderReminderMessage = (template, { sale, daysOverdue, company, balanceDue = sale.balanceDue }) => {
+  const values = {
+    partyName: sale.partyName,
+    invoiceNo: sale.invoiceNo,
+    invoiceDate: sale.date,
+    dueDate: sale.dueDate || sale.date,
+    totalAmount: formatRupees(sale.totalAmount),
+    balanceDue: formatRupees(balanceDue),
+    daysOverdue: String(daysOverdue),
+    businessName: company ? company.businessName : '',
+    businessPhone: company ? company.phoneNumber1 : ''
+  };
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => (
+    values[key] !== undefined ? values[key] : placeholder
+  ));
+};
+
+/**
+ * Work out what is still owed on the open sales of some parties. As in the ageing
+ * report, payments received on account settle the oldest amounts first, starting
+ * with an opening balance due from the party. Only the sale side counts: what we
+ * owe a party we also buy from doesn't settle its invoices.
+ * @param {Array<ObjectId>} partyIds - Parties to work out
+ * @returns {Promise<Map>} Outstanding amount per sale id
+ */
+const getOutstandingBySale = async (partyIds) => {
+  const [sales, payments, parties] = await Promise.all([
+    Sale.find({ partyId: { $in: partyIds }, balanceDue: { $gt: 0 } })
+      .select('partyId date dueDate balanceDue createdAt')
+      .lean(),
+    Payment.find({ partyId: { $in: partyIds }, type: 'payment-in' })
+      .select('partyId amount allocations')
+      .lean(),
+    Party.find({ _id: { $in: partyIds } })
+      .select('openingBalance openingBalanceType openingBalanceDate createdAt')
+      .lean()
+  ]);
+
+  const outstanding = new Map();
+
+  for (const party of parties) {
+    const key = party._id.toString();
+    const amounts = sales
+      .filter(sale => sale.partyId.toString() === key)
+      .map(sale => ({
+        saleId: sale._id.toString(),
+        amount: sale.balanceDue,
+        sortDate: parseDocumentDate(sale.dueDate || sale.date) || sale.createdAt
+      }));
+
+    if (party.openingBalance > 0 && party.openingBalanceType === 'to-receive') {
+      amounts.push({
+        saleId: null,
+        amount: party.openingBalance,
+        sortDate: parseDocumentDate(party.openingBalanceDate || formatDocumentDate(party.createdAt))
+      });
+    }
+    amounts.sort((a, b) => a.sortDate - b.sortDate);
+
+    const unallocated = payments
+      .filter(payment => payment.partyId.toString() === key)
+      .reduce((total, payment) => {
+        const allocated = (payment.allocations || []).reduce((sum, allocation) => sum + allocation.amount, 0);
+        return total + payment.amount - allocated;
+      }, 0);
+    let credit = roundAmount(Math.max(unallocated, 0));
+
+    for (const { saleId, amount } of amounts) {
+      const settled = Math.min(credit, amount);
+      credit = roundAmount(credit - settled);
+      if (saleId) {
+        outstanding.set(saleId, roundAmount(amount - settled));
+      }
+    }
+  }
+
+  return outstanding;
+};
+
+/**
+ * Find overdue sales that should get a reminder on a day. A sale qualifies once
+ * it is the configured number of days past due, when its last reminder was at
+ * least repeatEveryDays ago, and while it is under the reminder limit. Settled
+ * sales have no balance due and drop out, as do sales covered by payments made
+ * on account. A sale that was already tried that day is skipped, so a failed
+ * send is retried the next day rather than every hour.
+ * @param {Object} settings - Reminder settings
+ * @param {string} today - Date to check on, MM/DD/YYYY
+ * @returns {Promise<Array<Object>>} { sale, daysOverdue, balanceDue, reminderCount, lastSentAt }
+ */
+const findDueReminders = async (settings, today = formatDocumentDate()) => {
+  const sales = await Sale.find({ balanceDue: { $gt: 0 } })
+    .select('invoiceNo partyName phoneNumber partyId date dueDate totalAmount balanceDue');
+
+  const late = sales
+    .map(sale => ({ sale, daysOverdue: daysBetweenDocumentDates(sale.dueDate || sale.date, today) }))
+    .filter(({ daysOverdue }) => daysOverdue !== null && daysOverdue >= settings.firstReminderAfterDays);
+  if (late.length === 0) {
+    return [];
+  }
+
+  const partyIds = [...new Set(late.filter(({ sale }) => sale.partyId).map(({ sale }) => sale.partyId.toString()))];
+  const outstanding = await getOutstandingBySale(partyIds);
+
+  // Sales without a party have nothing paid on account to set off
+  const overdue = late
+    .map(entry => ({
+      ...entry,
+      balanceDue: entry.sale.partyId ? outstanding.get(entry.sale._id.toString()) || 0 : entry.sale.balanceDue
+    }))
+    .filter(({ balanceDue }) => balanceDue > 0);
+  if (overdue.length === 0) {
+    return [];
+  }
+
+  const history = await PaymentReminder.getHistory(overdue.map(({ sale }) => sale._id));
+
+  return overdue
+    .map(entry => {
+      const past = history.get(entry.sale._id.toString());
+      return {
+        ...entry,
+        reminderCount: past ? past.sentCount : 0,
+        lastSentAt: past ? past.lastSentAt : null,
+        lastAttemptAt: past ? past.lastAttemptAt : null
+      };
+    })
+    .filter(({ reminderCount, lastSentAt, lastAttemptAt }) => {
+      if (settings.maxReminders > 0 && reminderCount >= settings.maxReminders) {
+        return false;
+      }
+      if (lastAttemptAt && formatDocumentDate(lastAttemptAt) === today) {
+        return false;
+      }
+      return !lastSentAt || daysBetweenDocumentDates(formatDocumentDate(lastSentAt), today) >= settings.repeatEveryDays;
+    })
+    .sort((a, b) => b.daysOverdue - a.daysOverdue);
+};
+
+/**
+ * Render the party's ledger statement and upload it where WhatsApp can fetch it.
+ * Reminders go out from the schedule with no request to serve a local copy from,
+ * so the statement can only be attached when Cloudinary is configured.
+ * @param {ObjectId} partyId - Party the reminder is for
+ * @param {Company|null} company - Company profile for the statement header
+ * @returns {Promise<Object>} { documentUrl, fileName }
+ */
+const uploadLedgerStatement = async (partyId, company) => {
+  if (!CloudinaryService.isConfigured()) {
+    throw new Error('Cloudinary not configured');
+  }
+
+  const party = partyId ? await Party.findById(partyId) : null;
+  if (!party) {
+    throw new Error('Party not found');
+  }
+
+  const ledger = await buildPartyLedger(party);
+  const pdf = await renderLedgerPdf(ledger, company);
+  const fileName = `ledger-${party.name.replace(/[^a-zA-Z0-9]+/g, '-')}-${Date.now()}`;
+
+  if (!fs.existsSync(uploadsDir)) {
+    fs.mkdirSync(uploadsDir, { recursive: true });
+  }
+  const filePath = path.join(uploadsDir, `${fileName}.pdf`);
+
+  try {
+    fs.writeFileSync(filePath, pdf);
+    const upload = await CloudinaryService.uploadPdf(filePath, fileName, 'statements');
+
+    if (!upload.success) {
+      throw new Error(upload.error || 'Failed to upload statement to Cloudinary');
+    }
+    return { documentUrl: upload.url, fileName: `${fileName}.pdf` };
+  } finally {
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+};
+
+/**
+ * Send one reminder and record it, whether it went out or not. With attachLedger
+ * the party's ledger statement goes along as a PDF, the reminder as its caption;
+ * if the statement can't be made, the text goes alone and the reason is recorded.
+ * @param {Object} reminder - { sale, daysOverdue, balanceDue }
+ * @param {Object} options - { template, company, trigger, attachLedger }
+ * @returns {Promise<PaymentReminder>} Recorded reminder
+ */
+const sendReminder = async ({ sale, daysOverdue, balanceDue = sale.balanceDue }, { template, company, trigger, attachLedger = false }) => {
+  const message = renderReminderMessage(template, { sale, daysOverdue, company, balanceDue });
+
+  let statement = null;
+  let ledgerError;
+  if (attachLedger) {
+    try {
+      statement = await uploadLedgerStatement(sale.partyId, company);
+    } catch (error) {
+      console.error(`❌ Ledger statement not attached to reminder for ${sale.invoiceNo}:`, error);
+      ledgerError = error.message;
+    }
+  }
+
+  const result = statement
+    ? await WASenderService.sendLedgerStatement(sale.phoneNumber, statement.documentUrl, statement.fileName, message)
+    : await WASenderService.sendMessage(sale.phoneNumber, message);
+
+  return PaymentReminder.create({
+    saleId: sale._id,
+    invoiceNo: sale.invoiceNo,
+    partyId: sale.partyId,
+    partyName: sale.partyName,
+    phoneNumber: sale.phoneNumber,
+    dueDate: sale.dueDate || sale.date,
+    balanceDue,
+    daysOverdue,
+    message,
+    ledgerUrl: statement ? statement.documentUrl : undefined,
+    ledgerError,
+    status: result.success ? 'sent' : 'failed',
+    trigger,
+    messageId: result.success && result.messageId ? String(result.messageId) : undefined,
+    error: result.success ? undefined : result.error
+  });
+};
+
+/**
+ * Send reminders for every overdue sale that is due one. Scheduled runs only
+ * send when reminders are enabled and the send hour has come; a manual run
+ * sends straight away but keeps to the same cadence and limit.
+ * @param {Object} options - { trigger: 'scheduled' or 'manual', now }
+ * @returns {Promise<Object>} { skipped, reason, sentCount, failedCount, reminders }
+ */
+const runPaymentReminders = async ({ trigger = 'scheduled', now = new Date() } = {}) => {
+  const company = await Company.findOne().sort({ createdAt: -1 });
+  const settings = await getReminderSettings(company);
+
+  const skip = (reason) => ({ skipped: true, reason, sentCount: 0, failedCount: 0, reminders: [] });
+
+  if (trigger === 'scheduled' && !settings.enabled) {
+    return skip('Payment reminders are turned off');
+  }
+  if (trigger === 'scheduled' && now.getHours() < settings.sendHour) {
+    return skip(`Reminders go out from ${settings.sendHour}:00`);
+  }
+  if (!WASenderService.isConfigured()) {
+    return skip('WASender API key not configured');
+  }
+
+  const due = await findDueReminders(settings, formatDocumentDate(now));
+  const reminders = [];
+
+  // One at a time, to stay within the WhatsApp sending limits
+  for (const entry of due) {
+    reminders.push(await sendReminder(entry, {
+      template: settings.template,
+      company,
+      trigger,
+      attachLedger: settings.attachLedger
+    }));
+  }
+
+  return {
+    skipped: false,
+    sentCount: reminders.filter(reminder => reminder.status === 'sent').length,
+    failedCount: reminders.filter(reminder => reminder.status === 'failed').length,
+    reminders
+  };
+};
+
+/**
+ * Send a reminder for one sale now, outside the schedule
+ * @param {string} saleId - Sale to remind about
+ * @returns {Promise<PaymentReminder>} Recorded reminder
+ */
+const sendSaleReminder = async (saleId) => {
+  const sale = await Sale.findById(saleId);
+  if (!sale) {
+    throw new ApiError(404, 'Sale not found');
+  }
+  const balanceDue = sale.partyId && sale.balanceDue > 0
+    ? (await getOutstandingBySale([sale.partyId])).get(sale._id.toString()) || 0
+    : sale.balanceDue;
+  if (!(balanceDue > 0)) {
+    throw new ApiError(409, `Invoice ${sale.invoiceNo} has nothing due`);
+  }
+  if (!WASenderService.isConfigured()) {
+    throw new ApiError(503, 'WASender API key not configured');
+  }
+
+  const company = await Company.findOne().sort({ createdAt: -1 });
+  const settings = await getReminderSettings(company);
+  const daysOverdue = Math.max(daysBetweenDocumentDates(sale.dueDate || sale.date, formatDocumentDate()) || 0, 0);
+
+  return sendReminder({ sale, daysOverdue, balanceDue }, {
+    template: settings.template,
+    company,
+    trigger: 'manual',
+    attachLedger: settings.attachLedger
+  });
+};
+
+/**
+ * Check for reminders to send every hour while the server runs
+ * @returns {NodeJS.Timeout} Interval handle
+ */
+const startReminderSchedule = () => {
+  let running = false;
+
+  return setInterval(async () => {
+    // A slow run must not overlap the next check
+    if (running) {
+      return;
+    }
+    running = true;
+
+    try {
+      const result = await runPaymentReminders();
+      if (!result.skipped && result.reminders.length > 0) {
+        console.log(`🔔 Payment reminders: ${result.sentCount} sent, ${result.failedCount} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Error sending payment reminders:', error);
+    } finally {
+      running = false;
+    }
+  }, CHECK_INTERVAL_MS);
+};
+
+module.exports = {
+  REMINDER_DEFAULTS,
+  TEMPLATE_PLACEHOLDERS,
+  getReminderSettings,
+  renderReminderMessage,
+  findDueReminders,
+  runPaymentReminders,
+  sendSaleReminder,
+  startReminderSchedule
+};
@@ -0,0 +1,93 @@
+const { roundAmount } = require('./gst');
+const { ApiError } = require('./errors');
+
+/**
+ * Build returned lines as a share of the lines of the original sale/purchase.
+ * Each return line is { id, quantity, lineIndex? } with quantity in the original
+ * line's unit; without lineIndex the first line for that item is used.
+ * Discounts and taxes are returned in proportion to the quantity.
+ * @param {Object} document - Original Sale or Purchase
+ * @param {string} documentNo - Its invoice/bill number, for error messages
+ * @param {Array<Object>} returnItems - Lines being returned
+ * @param {Object} returnedQuantities - Quantity already returned per line index
+ * @returns {Array<Object>} Returned lines
+ */
+const buildReturnLines = (document, documentNo, returnItems, returnedQuantities = {}) => {
+  const returned = { ...returnedQuantities };
+
+  return returnItems.map(returnItem => {
+    const lineIndex = returnItem.lineIndex !== undefined
+      ? returnItem.lineIndex
+      : document.items.findIndex(item => item.id === returnItem.id);
+    const line = document.items[lineIndex];
+
+    if (!line || (returnItem.id && line.id !== returnItem.id)) {
+      throw new ApiError(400, `Item ${returnItem.itemName || returnItem.id} is not on bill ${documentNo}`);
+    }
+
+    const quantity = Number(returnItem.quantity);
+    const returnable = line.quantity - (returned[lineIndex] || 0);
+
+    if (!(quantity > 0)) {
+      throw new ApiError(400, `Return quantity for ${line.itemName} must be greater than 0`);
+    }
+
+    if (quantity > returnable) {
+      const unitLabel = line.unit ? ` ${line.unit}` : '';
+      throw new ApiError(400, `Only ${returnable}${unitLabel} of ${line.itemName} can be returned`);
+    }
+
+    returned[lineIndex] = (returned[lineIndex] || 0) + quantity;
+
+    const share = quantity / line.quantity;
+    const part = (value) => roundAmount((value || 0) * share);
+
+    return {
+      id: line.id,
+      itemName: line.itemName,
+      lineIndex,
+      quantity,
+      unit: line.unit,
+      baseQuantity: line.baseQuantity !== undefined && line.baseQuantity !== null
+        ? line.baseQuantity * share
+        : undefined,
+      // Returned goods go back to the warehouse of the original line
+      warehouseId: line.warehouseId,
+      // and to its lots, in proportion
+      lots: line.lots && line.lots.length > 0
+        ? line.lots.map(lot => ({ lotId: lot.lotId, lotNo: lot.lotNo, quantity: lot.quantity * share }))
+        : undefined,
+      rate: line.rate,
+      hsnCode: line.hsnCode,
+      gstRate: line.gstRate,
+      taxableValue: part(line.taxableValue !== undefined ? line.taxableValue : line.total),
+      cgstAmount: part(line.cgstAmount),
+      sgstAmount: part(line.sgstAmount),
+      igstAmount: part(line.igstAmount),
+      cessAmount: part(line.cessAmount),
+      total: part(line.total)
+    };
+  });
+};
+
+/**
+ * Add up quantities already returned per line index
+ * @param {Array<Object>} returnNotes - Credit or debit notes of one document
+ * @returns {Object} Returned quantity per line index
+ */
+const sumReturnedQuantities = (returnNotes) => {
+  const returned = {};
+
+  for (const note of returnNotes) {
+    for (const item of note.items) {
+      returned[item.lineIndex] = (returned[item.lineIndex] || 0) + item.quantity;
+    }
+  }
+
+  return returned;
+};
+
+module.exports = {
+  buildReturnLines,
+  sumReturnedQuantities
+};
@@ -0,0 +1,402 @@
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const StockMovement = require('../models/StockMovement');
+const Warehouse = require('../models/Warehouse');
+const { ApiError } = require('./errors');
+const { parseDocumentDate } = require('./dates');
+const { getDefaultUnit, toBaseQuantity, getBardanaQuantity } = require('./units');
+const { QUANTITY_TOLERANCE } = require('./lineProgress');
+const { moveLineLots, transferLots, returnTransferredLots } = require('./lots');
+
+/**
+ * Describe the document moving stock, for the stock ledger
+ * @param {string} type - Source type (see StockMovement.SOURCES)
+ * @param {Object} document - Sale, purchase, return note or challan
+ * @param {string} action - 'create', 'edit' or 'delete'
+ * @returns {Object} Stock movement source
+ */
+const getStockSource = (type, document, action = 'create') => ({
+  type,
+  action,
+  id: document._id,
+  number: document[StockMovement.SOURCE_NUMBER_FIELDS[type]],
+  date: document.date
+});
+
+/**
+ * Record a change already made to an item's stock in the stock ledger
+ * @param {Item} item - Item, with its stock after the change
+ * @param {number} quantity - Change in stock, in the item's base unit
+ * @param {Object} source - { type, action, id, number, date, reason, note }
+ * @param {ClientSession} session - Active transaction session
+ * @param {Object} line - Quantity and unit as entered on the document line, and the warehouseId moved in
+ * @returns {Promise<StockMovement>} Movement
+ */
+const recordStockMovement = async (item, quantity, source, session, line = {}) => {
+  const [movement] = await StockMovement.insertMany([{
+    itemId: item._id,
+    itemName: item.productName,
+    date: parseDocumentDate(source.date) || new Date(),
+    sourceType: source.type,
+    sourceId: source.id,
+    sourceNo: source.number,
+    action: source.action,
+    quantity,
+    unit: item.baseUnit,
+    lineQuantity: line.quantity,
+    lineUnit: line.unit,
+    balanceAfter: item.openingStock,
+    warehouseId: line.warehouseId,
+    warehouseBalanceAfter: line.warehouseId ? item.getWarehouseStock(line.warehouseId) : undefined,
+    reason: source.reason,
+    note: source.note
+  }], { session });
+
+  return movement;
+};
+
+/**
+ * Get how much of an item one warehouse holds. Stock not yet in any warehouse
+ * is placed in the default warehouse first.
+ * @param {Item} item - Item to check
+ * @param {ObjectId|null} warehouseId - Warehouse, or null for the default one
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Object>} { warehouseId, quantity }
+ */
+const getWarehouseQuantity = async (item, warehouseId, session) => {
+  const defaultWarehouse = await Warehouse.getDefault(session);
+  item.allocateUnassignedStock(defaultWarehouse._id);
+
+  const resolvedId = warehouseId || defaultWarehouse._id;
+  return { warehouseId: resolvedId, quantity: item.getWarehouseStock(resolvedId) };
+};
+
+/**
+ * Change an item's stock in one warehouse and record the change in the stock ledger.
+ * Stock never goes below zero; the movement records the change actually made.
+ * @param {Item} item - Item to change
+ * @param {number} change - Quantity to add (negative to remove), in the item's base unit
+ * @param {Object} source - { type, action, id, number, date, reason, note }
+ * @param {ClientSession} session - Active transaction session
+ * @param {Object} line - Quantity and unit as entered on the document line, and the
+ *   warehouseId to move stock in (the default warehouse if not given)
+ * @returns {Promise<StockMovement|null>} Movement, or null if stock did not change
+ */
+const moveItemStock = async (item, change, source, session, line = {}) => {
+  const { warehouseId } = await getWarehouseQuantity(item, line.warehouseId, session);
+
+  const quantity = item.moveWarehouseStock(warehouseId, change);
+  await item.save({ session });
+
+  if (quantity === 0) {
+    return null;
+  }
+
+  return recordStockMovement(item, quantity, source, session, { ...line, warehouseId });
+};
+
+/**
+ * Move the stock of a stock adjustment's lines, or undo them. Unlike sales and
+ * purchases, adjustments don't move Bardana; bags are adjusted as an item of their own.
+ * Lines taking out an item tracked by lot record the lots they took.
+ * @param {StockAdjustment} adjustment - Adjustment with resolved lines
+ * @param {ClientSession} session - Active transaction session
+ * @param {Object} options - { reverse: undo the adjustment (when it is deleted) }
+ */
+const applyStockAdjustment = async (adjustment, session, { reverse = false } = {}) => {
+  const source = getStockSource('adjustment', adjustment, reverse ? 'delete' : 'create');
+
+  for (const line of adjustment.items) {
+    const item = await findLineItem(line, session);
+    if (!item) {
+      if (!reverse) {
+        throw new ApiError(400, `Item not found: ${line.itemName}`);
+      }
+      continue;
+    }
+
+    const sign = (line.direction === 'in' ? 1 : -1) * (reverse ? -1 : 1);
+
+    // An adjustment can't take out more than the warehouse holds
+    if (!reverse && sign < 0) {
+      const available = await getWarehouseQuantity(item, line.warehouseId, session);
+      if (line.baseQuantity > available.quantity + QUANTITY_TOLERANCE) {
+        throw new ApiError(400, `Only ${available.quantity} ${item.baseUnit} of ${item.productName} in stock there`);
+      }
+    }
+
+    await moveItemStock(item, sign * line.baseQuantity, { ...source, reason: line.reason, note: line.note }, session, {
+      quantity: sign * line.quantity,
+      unit: line.unit,
+      warehouseId: line.warehouseId
+    });
+
+    await moveLineLots(item, line, sign * line.baseQuantity, source, session);
+  }
+};
+
+/**
+ * Move the stock of a transfer's lines from one warehouse to the other, or undo
+ * them. The total stock of each item stays the same. Lots of items tracked by lot
+ * move with the goods and are recorded on the line, so save the transfer afterwards.
+ * @param {StockTransfer} transfer - Transfer with resolved lines
+ * @param {ClientSession} session - Active transaction session
+ * @param {Object} options - { reverse: undo the transfer (when it is deleted) }
+ */
+const applyStockTransfer = async (transfer, session, { reverse = false } = {}) => {
+  const source = getStockSource('transfer', transfer, reverse ? 'delete' : 'create');
+  const fromWarehouseId = reverse ? transfer.toWarehouseId : transfer.fromWarehouseId;
+  const toWarehouseId = reverse ? transfer.fromWarehouseId : transfer.toWarehouseId;
+
+  for (const line of transfer.items) {
+    const item = await findLineItem(line, session);
+    if (!item) {
+      if (!reverse) {
+        throw new ApiError(400, `Item not found: ${line.itemName}`);
+      }
+      continue;
+    }
+
+    // Only what the sending warehouse holds can go
+    const available = await getWarehouseQuantity(item, fromWarehouseId, session);
+    if (line.baseQuantity > available.quantity + QUANTITY_TOLERANCE) {
+      throw new ApiError(400, `Only ${available.quantity} ${item.baseUnit} of ${item.productName} in the sending warehouse`);
+    }
+
+    const moved = await moveItemStock(item, -line.baseQuantity, source, session, {
+      quantity: -line.quantity,
+      unit: line.unit,
+      warehouseId: fromWarehouseId
+    });
+
+    // Whatever actually left arrives at the other end
+    if (moved) {
+      await moveItemStock(item, -moved.quantity, source, session, {
+        quantity: line.quantity,
+        unit: line.unit,
+        warehouseId: toWarehouseId
+      });
+    }
+
+    if (reverse) {
+      await returnTransferredLots(line.lots || [], transfer, item.productName, session);
+    } else {
+      line.lots = item.trackLots && moved
+        ? await transferLots(item, line, -moved.quantity, source, transfer, session)
+        : undefined;
+    }
+  }
+};
+
+/**
+ * Place stock of items that is not in any warehouse yet (kept before warehouses
+ * existed) in the default warehouse
+ * @returns {Promise<number>} Number of items placed
+ */
+const backfillWarehouseStock = async () => {
+  const defaultWarehouse = await Warehouse.getDefault();
+  const items = await Item.find({ openingStock: { $gt: 0 } });
+  let placedCount = 0;
+
+  for (const item of items) {
+    const before = item.getWarehouseStock(defaultWarehouse._id);
+    item.allocateUnassignedStock(defaultWarehouse._id);
+    if (item.getWarehouseStock(defaultWarehouse._id) !== before) {
+      await item.save();
+      placedCount += 1;
+    }
+  }
+
+  return placedCount;
+};
+
+/**
+ * Start the stock ledger of items that have no movements yet (items created
+ * before the ledger existed) with their current stock brought forward
+ * @returns {Promise<number>} Number of items started
+ */
+const backfillOpeningMovements = async () => {
+  const itemIds = await StockMovement.distinct('itemId');
+  const items = await Item.find({ _id: { $nin: itemIds }, openingStock: { $gt: 0 } });
+
+  for (const item of items) {
+    const source = { type: 'opening', note: 'Stock brought forward when the stock ledger started' };
+
+    if (item.warehouseStock.length === 0) {
+      await recordStockMovement(item, item.openingStock, source);
+      continue;
+    }
+
+    for (const stock of item.warehouseStock.filter(entry => entry.quantity > 0)) {
+      await recordStockMovement(item, stock.quantity, source, null, { warehouseId: stock.warehouseId });
+    }
+  }
+
+  return items.length;
+};
+
+/**
+ * Get the Bardana universal item
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Item|null>} Bardana item
+ */
+const getBardana = (session) => {
+  return Item.findOne({
+    isUniversal: true,
+    productName: 'Bardana'
+  }).session(session);
+};
+
+/**
+ * Find the item a line item refers to
+ * @param {Object} lineItem - Line item ({ id, itemName })
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Item|null>} Item, or null if it doesn't exist
+ */
+const findLineItem = (lineItem, session) => {
+  if (!mongoose.isValidObjectId(lineItem.id)) {
+    return Promise.resolve(null);
+  }
+  return Item.findById(lineItem.id).session(session);
+};
+
+/**
+ * Fill in the unit, stock-unit quantity and GST details of sale/purchase line items
+ * @param {Array<Object>} lineItems - Line items from the request
+ * @param {ClientSession} session - Active transaction session
+ * @returns {Promise<Array<Object>>} Line items with unit, baseQuantity and tax rates set
+ */
+const resolveLineItems = async (lineItems, session) => {
+  const resolved = [];
+
+  for (const lineItem of lineItems) {
+    const item = await findLineItem(lineItem, session);
+    if (!item) {
+      throw new ApiError(400, `Item not found: ${lineItem.itemName}`);
+    }
+
+    // Lines without a warehouse move stock in the default one
+    const warehouse = await Warehouse.resolve(lineItem.warehouseId, session);
+
+    const unit = lineItem.unit || getDefaultUnit(item);
+    resolved.push({
+      ...lineItem,
+      unit,
+      warehouseId: warehouse._id,
+      baseQuantity: toBaseQuantity(item, lineItem.quantity, unit),
+      // GST details default to the item's, unless the line overrides them
+      hsnCode: lineItem.hsnCode || item.hsnCode,
+      gstRate: lineItem.gstRate !== undefined ? lineItem.gstRate : item.gstRate,
+      cessRate: lineItem.cessRate !== undefined ? lineItem.cessRate : item.cessRate
+    });
+  }
+
+  return resolved;
+};
+
+// What a line moves in stock: the item, quantity, unit and warehouse
+const getStockLineKey = (line) => [
+  String(line.id),
+  Number(line.quantity),
+  line.unit || '',
+  line.warehouseId ? String(line.warehouseId) : ''
+].join('|');
+
+/**
+ * Tell whether edited lines move other stock than a document's lines did. Line
+ * order, prices and tax don't matter, only the items, quantities, units and warehouses.
+ * @param {Array<Object>} originalLines - Lines the document had
+ * @param {Array<Object>} lineItems - Resolved new lines
+ * @returns {boolean} Whether stock has to be moved again
+ */
+const stockLinesChanged = (originalLines, lineItems) => {
+  const originalKeys = originalLines.map(getStockLineKey).sort();
+  const newKeys = lineItems.map(getStockLineKey).sort();
+  return originalKeys.length !== newKeys.length || originalKeys.some((key, index) => key !== newKeys[index]);
+};
+
+/**
+ * Give edited lines that move the same stock the lots of the lines they replace,
+ * as stock and lots stay where they are (see stockLinesChanged)
+ * @param {Array<Object>} originalLines - Lines the document had
+ * @param {Array<Object>} lineItems - Resolved new lines, given their lots in place
+ */
+const keepLineLots = (originalLines, lineItems) => {
+  const unmatched = [...originalLines];
+
+  for (const lineItem of lineItems) {
+    const index = unmatched.findIndex(line => getStockLineKey(line) === getStockLineKey(lineItem));
+    const [original] = unmatched.splice(index, 1);
+    lineItem.lots = original.lots;
+  }
+};
+
+/**
+ * Move the stock of sale/purchase line items, and of Bardana alongside them,
+ * recording every change in the stock ledger. Stock never goes below zero.
+ * Lines of items tracked by lot have their lots set (see utils/lots.js), so pass
+ * the lines of the document and save it afterwards.
+ * @param {Array<Object>} lineItems - Line items ({ id, itemName, quantity, unit, baseQuantity, warehouseId })
+ * @param {number} direction - 1 to add stock, -1 to remove it
+ * @param {ClientSession} session - Active transaction session
+ * @param {Object} options - { source: document moving the stock (see getStockSource),
+ *   strict: fail when an item no longer exists }
+ */
+const adjustStock = async (lineItems, direction, session, { source, strict = true } = {}) => {
+  // Bardana bags go with the goods, so they are counted per warehouse
+  const bardanaBags = new Map();
+
+  for (const lineItem of lineItems) {
+    const item = await findLineItem(lineItem, session);
+
+    if (!item) {
+      if (strict) {
+        throw new ApiError(400, `Item not found: ${lineItem.itemName}`);
+      }
+      continue;
+    }
+
+    // Lines saved before units were recorded are in the item's default unit
+    const baseQuantity = lineItem.baseQuantity !== undefined && lineItem.baseQuantity !== null
+      ? lineItem.baseQuantity
+      : toBaseQuantity(item, lineItem.quantity, lineItem.unit || getDefaultUnit(item));
+
+    await moveItemStock(item, direction * baseQuantity, source, session, {
+      quantity: direction * lineItem.quantity,
+      unit: lineItem.unit || getDefaultUnit(item),
+      warehouseId: lineItem.warehouseId
+    });
+
+    await moveLineLots(item, lineItem, direction * baseQuantity, source, session);
+
+    const warehouseKey = lineItem.warehouseId ? lineItem.warehouseId.toString() : '';
+    bardanaBags.set(warehouseKey, (bardanaBags.get(warehouseKey) || 0) + getBardanaQuantity(item, baseQuantity));
+  }
+
+  const bardanaItem = bardanaBags.size > 0 ? await getBardana(session) : null;
+  if (bardanaItem) {
+    for (const [warehouseKey, bags] of bardanaBags) {
+      if (bags > 0) {
+        await moveItemStock(bardanaItem, direction * bags, { ...source, note: 'Bardana bags with the goods' }, session, {
+          warehouseId: warehouseKey || undefined
+        });
+      }
+    }
+  }
+};
+
+module.exports = {
+  getBardana,
+  getStockSource,
+  recordStockMovement,
+  getWarehouseQuantity,
+  moveItemStock,
+  applyStockAdjustment,
+  applyStockTransfer,
+  backfillWarehouseStock,
+  backfillOpeningMovements,
+  resolveLineItems,
+  stockLinesChanged,
+  keepLineLots,
+  adjustStock
+};
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const Item = require('../models/Item');
+const StockMovement = require('../models/StockMovement');
+const StockAdjustment = require('../models/StockAdjustment');
+const StockLot = require('../models/StockLot');
+const { roundAmount } = require('./gst');
+const { parseDocumentDate, daysBetweenDocumentDates } = require('./dates');
+
+// Stock quantities are fractions of the base unit, kept to 4 decimals in reports
+const roundQuantity = (quantity) => Math.round(quantity * 10000) / 10000;
+
+/**
+ * Summarise stock over a period from the stock ledger: stock at the start, the
+ * net change from each kind of document, adjustments by reason, and stock at
+ * the end. Movements are placed in the period by the date of their document.
+ * @param {Object} options - { from, to: MM/DD/YYYY, either optional; itemId }
+ * @returns {Promise<Object>} { from, to, items, adjustmentTotals }
+ */
+const buildStockSummary = async ({ from, to, itemId } = {}) => {
+  const fromDate = parseDocumentDate(from);
+  const toDate = parseDocumentDate(to);
+
+  const match = {};
+  if (itemId) {
+    match.itemId = new mongoose.Types.ObjectId(itemId);
+  }
+  if (toDate) {
+    match.date = { $lte: toDate };
+  }
+
+  const inPeriod = fromDate ? { $gte: ['$date', fromDate] } : true;
+  const rows = await StockMovement.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { itemId: '$itemId', sourceType: '$sourceType', reason: '$reason' },
+        before: { $sum: { $cond: [inPeriod, 0, '$quantity'] } },
+        during: { $sum: { $cond: [inPeriod, '$quantity', 0] } }
+      }
+    }
+  ]);
+
+  const items = await Item.find(itemId ? { _id: itemId } : {}, 'productName baseUnit').sort({ productName: 1 });
+  const summaries = new Map(items.map(item => [item._id.toString(), {
+    itemId: item._id,
+    productName: item.productName,
+    unit: item.baseUnit,
+    openingStock: 0,
+    changes: Object.fromEntries(StockMovement.SOURCES.map(source => [source, 0])),
+    adjustments: Object.fromEntries(StockAdjustment.REASONS.map(reason => [reason, 0])),
+    closingStock: 0
+  }]));
+
+  // Movements of deleted items are left out
+  for (const row of rows) {
+    const summary = summaries.get(row._id.itemId.toString());
+    if (!summary) {
+      continue;
+    }
+
+    summary.openingStock += row.before;
+    summary.changes[row._id.sourceType] += row.during;
+    if (row._id.sourceType === 'adjustment' && row._id.reason) {
+      summary.adjustments[row._id.reason] = (summary.adjustments[row._id.reason] || 0) + row.during;
+    }
+  }
+
+  const adjustmentTotals = Object.fromEntries(StockAdjustment.REASONS.map(reason => [reason, 0]));
+  const result = [...summaries.values()].map(summary => {
+    const netChange = Object.values(summary.changes).reduce((total, quantity) => total + quantity, 0);
+
+    Object.keys(summary.changes).forEach(source => { summary.changes[source] = roundQuantity(summary.changes[source]); });
+    Object.keys(summary.adjustments).forEach(reason => {
+      summary.adjustments[reason] = roundQuantity(summary.adjustments[reason]);
+      adjustmentTotals[reason] = roundQuantity(adjustmentTotals[reason] + summary.adjustments[reason]);
+    });
+
+    return {
+      ...summary,
+      openingStock: roundQuantity(summary.openingStock),
+      closingStock: roundQuantity(summary.openingStock + netChange)
+    };
+  });
+
+  return {
+    from: from || null,
+    to: to || null,
+    items: result,
+    adjustmentTotals
+  };
+};
+
+/**
+ * Total stock adjustments over a period by reason, with the value of the stock
+ * lost or found at purchase prices
+ * @param {Object} options - { from, to: MM/DD/YYYY, either optional }
+ * @returns {Promise<Object>} { from, to, reasons, valueIn, valueOut, adjustmentCount }
+ */
+const buildAdjustmentReport = async ({ from, to } = {}) => {
+  const fromDate = parseDocumentDate(from);
+  const toDate = parseDocumentDate(to);
+
+  // Dates are stored as MM/DD/YYYY text, so the period is checked after loading
+  const adjustments = (await StockAdjustment.find().sort({ createdAt: 1 }))
+    .filter(adjustment => {
+      const date = parseDocumentDate(adjustment.date);
+      return (!fromDate || date >= fromDate) && (!toDate || date <= toDate);
+    });
+
+  const reasons = new Map(StockAdjustment.REASONS.map(reason => [reason, {
+    reason,
+    lineCount: 0,
+    valueIn: 0,
+    valueOut: 0,
+    items: new Map()
+  }]));
+
+  for (const adjustment of adjustments) {
+    for (const line of adjustment.items) {
+      const entry = reasons.get(line.reason);
+      const valueKey = line.direction === 'in' ? 'valueIn' : 'valueOut';
+      entry.lineCount += 1;
+      entry[valueKey] = roundAmount(entry[valueKey] + line.value);
+
+      if (!entry.items.has(line.id)) {
+        entry.items.set(line.id, { itemId: line.id, itemName: line.itemName, quantityIn: 0, quantityOut: 0 });
+      }
+      const item = entry.items.get(line.id);
+      const quantityKey = line.direction === 'in' ? 'quantityIn' : 'quantityOut';
+      item[quantityKey] = roundQuantity(item[quantityKey] + line.baseQuantity);
+    }
+  }
+
+  const rows = [...reasons.values()]
+    .filter(entry => entry.lineCount > 0)
+    .map(entry => ({ ...entry, items: [...entry.items.values()] }));
+
+  return {
+    from: from || null,
+    to: to || null,
+    reasons: rows,
+    valueIn: roundAmount(rows.reduce((total, entry) => total + entry.valueIn, 0)),
+    valueOut: roundAmount(rows.reduce((total, entry) => total + entry.valueOut, 0)),
+    adjustmentCount: adjustments.length
+  };
+};
+
+/**
+ * List what is left of every lot, grouped by item, oldest arrival first, with
+ * the quality the lot arrived in and how long it has been in stock
+ * @param {Object} options - { itemId; includeExhausted: list lots with nothing left too;
+ *   asOf: MM/DD/YYYY date to age lots to, default today }
+ * @returns {Promise<Object>} { asOf, items, lotCount }
+ */
+const buildLotReport = async ({ itemId, includeExhausted = false, asOf } = {}) => {
+  const filter = {};
+  if (itemId) {
+    filter.itemId = itemId;
+  }
+  if (!includeExhausted) {
+    filter.quantityRemaining = { $gt: 0 };
+  }
+
+  const lots = await StockLot.find(filter).sort({ itemName: 1, arrivalDate: 1, createdAt: 1 });
+  const asOfDate = parseDocumentDate(asOf) || new Date();
+
+  const items = new Map();
+  for (const lot of lots) {
+    const key = lot.itemId.toString();
+    if (!items.has(key)) {
+      items.set(key, {
+        itemId: lot.itemId,
+        itemName: lot.itemName,
+        unit: lot.unit,
+        quantityRemaining: 0,
+        lots: []
+      });
+    }
+
+    const entry = items.get(key);
+    entry.quantityRemaining = roundQuantity(entry.quantityRemaining + lot.quantityRemaining);
+    entry.lots.push({
+      ...lot.getFormattedDetails(),
+      ageDays: daysBetweenDocumentDates(lot.arrivalDate, asOfDate)
+    });
+  }
+
+  return {
+    asOf: asOf || null,
+    items: [...items.values()],
+    lotCount: lots.length
+  };
+};
+
+module.exports = {
+  buildStockSummary,
+  buildAdjustmentReport,
+  buildLotReport
+};
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+/**
+ * Run a unit of work inside a MongoDB transaction.
+ * Every read and write inside `work` must use the session it receives, so
+ * either all of them are committed or none are. The driver retries `work`
+ * on transient errors, so it must not have side effects outside MongoDB.
+ * Transactions need MongoDB running as a replica set (Atlas always is).
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} Whatever `work` resolves to
+ */
+const withTransaction = (work) => {
+  return mongoose.connection.transaction(work);
+};
+
+module.exports = {
+  withTransaction
+};
@@ -0,0 +1,78 @@
+const { ApiError } = require('./errors');
+
+// Units an item can be stocked, bought or sold in
+const UNITS = ['bag', 'kg', 'quintal', 'gm', 'ltr', 'ml', 'pcs', 'box', 'packet', 'dozen'];
+
+// Items stocked in this unit are packed in Bardana, one per unit
+const BARDANA_UNIT = 'bag';
+
+/**
+ * Get the unit a line item is in when it doesn't say.
+ * Quantities have always been entered in the alternate unit (kg for grain
+ * kept in bags), so that stays the default; items without one use the base unit.
+ * @param {Object} item - Item document
+ * @returns {string} Default line unit
+ */
+const getDefaultUnit = (item) => {
+  return item.alternateUnit || item.baseUnit;
+};
+
+/**
+ * Check that a unit can be used for an item
+ * @param {Object} item - Item document
+ * @param {string} unit - Unit to check
+ * @returns {boolean} Whether the unit is the item's base or alternate unit
+ */
+const isItemUnit = (item, unit) => {
+  return unit === item.baseUnit || (!!item.alternateUnit && unit === item.alternateUnit);
+};
+
+/**
+ * Convert a quantity to the item's base (stock) unit
+ * @param {Object} item - Item document
+ * @param {number} quantity - Quantity in the given unit
+ * @param {string} unit - Unit of the quantity (defaults to the item's default unit)
+ * @returns {number} Quantity in the base unit
+ */
+const toBaseQuantity = (item, quantity, unit = getDefaultUnit(item)) => {
+  if (!isItemUnit(item, unit)) {
+    throw new ApiError(400, `${item.productName} cannot be measured in ${unit}`);
+  }
+
+  return unit === item.baseUnit ? quantity : quantity / item.conversionFactor;
+};
+
+/**
+ * Convert a quantity in the item's base unit to another of its units
+ * @param {Object} item - Item document
+ * @param {number} baseQuantity - Quantity in the base unit
+ * @param {string} unit - Target unit (defaults to the item's default unit)
+ * @returns {number} Quantity in the target unit
+ */
+const fromBaseQuantity = (item, baseQuantity, unit = getDefaultUnit(item)) => {
+  if (!isItemUnit(item, unit)) {
+    throw new ApiError(400, `${item.productName} cannot be measured in ${unit}`);
+  }
+
+  return unit === item.baseUnit ? baseQuantity : baseQuantity * item.conversionFactor;
+};
+
+/**
+ * Get how much Bardana a quantity of an item uses
+ * @param {Object} item - Item document
+ * @param {number} baseQuantity - Quantity in the base unit
+ * @returns {number} Bardana bags
+ */
+const getBardanaQuantity = (item, baseQuantity) => {
+  return !item.isUniversal && item.baseUnit === BARDANA_UNIT ? baseQuantity : 0;
+};
+
+module.exports = {
+  UNITS,
+  BARDANA_UNIT,
+  getDefaultUnit,
+  isItemUnit,
+  toBaseQuantity,
+  fromBaseQuantity,
+  getBardanaQuantity
+};
@@ -185,6 +185,79 @@ class WASenderService {
     return this.sendDocument(phoneNumber, documentUrl, fileName, '', 'payment-voucher');
   }
 
+  /**
+   * Send party ledger statement PDF via WhatsApp
+   * @param {string} phoneNumber - Party's phone number
+   * @param {string} documentUrl - Ledger statement PDF URL
+   * @param {string} fileName - File name for the statement
+   * @param {string} message - Optional message text
+   * @returns {Promise<Object>} Send result
+   */
+  async sendLedgerStatement(phoneNumber, documentUrl, fileName, message = '') {
+    return this.sendDocument(phoneNumber, documentUrl, fileName, message, 'ledger-statement');
+  }
+
+  /**
+   * Send a plain text message via WhatsApp
+   * @param {string} phoneNumber - Recipient's phone number (with country code)
+   * @param {string} message - Message text
+   * @returns {Promise<Object>} Send result
+   */
+  async sendMessage(phoneNumber, message) {
+    try {
+      if (!this.isConfigured()) {
+        return {
+          success: false,
+          error: 'WASender API key not configured'
+        };
+      }
+
+      const payload = {
+        to: this.formatPhoneNumber(phoneNumber),
+        text: message
+      };
+
+      const response = await axios.post(`${this.baseUrl}/send-message`, payload, {
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        timeout: 30000 // 30 seconds timeout
+      });
+
+      if (response.status === 200) {
+        return {
+          success: true,
+          messageId: response.data.messageId || response.data.id,
+          status: response.data.status || 'sent',
+          response: response.data
+        };
+      }
+
+      return {
+        success: false,
+        error: `Unexpected response status: ${response.status}`,
+        response: response.data
+      };
+    } catch (error) {
+      console.error('❌ Error sending WhatsApp message:', error.message);
+
+      if (error.response) {
+        return {
+          success: false,
+          error: error.response.data?.message || error.response.data?.error || 'API error',
+          statusCode: error.response.status,
+          response: error.response.data
+        };
+      }
+
+      return {
+        success: false,
+        error: error.request ? 'Network error - unable to reach WASender API' : (error.message || 'Unknown error occurred')
+      };
+    }
+  }
+
   /**
    * Format phone number to include country code
    * @param {string} phoneNumber - Raw phone number
@@ -222,6 +295,7 @@ class WASenderService {
       'purchase-bill': `📄 Purchase Bill: ${fileName}\n\nPlease find the purchase bill attached.`,
       'payment-receipt': `📄 Payment Receipt: ${fileName}\n\nPlease find your payment receipt attached.`,
       'payment-voucher': `📄 Payment Voucher: ${fileName}\n\nPlease find the payment voucher attached.`,
+      'ledger-statement': `📄 Ledger Statement: ${fileName}\n\nPlease find your account statement attached.`,
       'document': `📄 Document: ${fileName}\n\nPlease find the document attached.`
     };
     